@@ -1,33 +1,151 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { rng } from './random.js';
 
 const CAT_STATE = {
-  LURKING: 'lurking',
-  STALKING: 'stalking',
+  LURKING: 'lurking',           // hidden, waiting for the trigger zone
+  STALKING: 'stalking',         // hunting the player it can see (or just lost)
+  INVESTIGATING: 'investigating', // walking to the last noise it heard
+  SEARCHING: 'searching',       // sweeping hiding spots after losing the player
+  RETREATING: 'retreating',     // backing off after a missed pounce
+  AMBUSHING: 'ambushing',       // lying in wait at a doorway
+  DISTRACTED: 'distracted',     // busy with a treat or toy the player left out
   POUNCING: 'pouncing',
 };
 
-export { CAT_STATE };
+/**
+ * Behaviour tuning. Rooms override any of these via `catBehavior`;
+ * durations are in seconds and get a little random jitter each time.
+ */
+const DEFAULT_CAT_BEHAVIOR = {
+  stalkDuration: 5,        // eye contact before a forced pounce
+  investigateDuration: 3,  // how long to linger at a noise
+  searchDuration: 8,       // sweep time before hiding again
+  retreatDuration: 3,
+  ambushChance: 0,         // 0..1 chance to ambush a doorway instead of stalking
+  ambushDuration: 8,       // patience before giving up and searching
+  hideTolerance: 12,       // how long the player can stay hidden before being sniffed out
+  flinchChance: 0.5,       // 0..1 chance a flashlight in the eyes scares the cat off rather than enraging it
+};
+
+export { CAT_STATE, DEFAULT_CAT_BEHAVIOR };
+
+// Senses
+const SIGHT_RANGE = 9;                       // metres
+const SIGHT_HALF_ANGLE = THREE.MathUtils.degToRad(55); // half of the view cone
+const EYE_HEIGHT = 0.4;                      // cat eye height above the floor
+const PLAYER_TORSO_DROP = 0.6;               // aim below the player's eyes
+const HEARING_RADIUS = 6;                    // metres, for a loudness of 1
+const SCAN_TURN_SPEED = 1.2;                 // radians/sec when looking around
+const ARRIVE_DISTANCE = 0.3;                 // close enough to a last known position
+const POUNCE_DISTANCE = 2.0;                 // default; difficulty presets change it
+const NOISE_SPEED_MIN = 0.8;                 // stalking speed factor for a silent player
+const NOISE_SPEED_MAX = 1.5;                 // ...and for a loud one
+const CHARGE_SPEED = 1.6;                    // stalking speed factor while charging the flashlight
+const CHARGE_DURATION = 2.5;                 // seconds a charge lasts
+const LIGHT_REACT_COOLDOWN = 4;              // seconds before the beam can startle the cat again
+
+// Behaviour
+const TIMING_JITTER = 0.25;                  // +/- fraction applied to durations
+const INVESTIGATE_SPEED = 0.8;               // multipliers on the cat's base speed
+const SEARCH_SPEED = 0.7;
+const RETREAT_SPEED = 1.5;
+const SEARCH_PAUSE = 1;                      // seconds spent looking around each spot
+const POUNCE_SPEED = 10;                     // metres/sec during the lunge
+const POUNCE_TIME = 0.4;                     // lunge length in seconds
+const POUNCE_HIT_DISTANCE = 0.8;
+const DISTRACTED_SPEED = 1.2;
+const DISTRACTED_NOTICE = 1.5;               // a distracted cat only notices a player this close
+
+// Pathfinding
+const REPATH_INTERVAL = 0.4;                 // seconds between path refreshes
+const REPATH_TARGET_SHIFT = 0.5;             // target moved this far => repath now
+const WAYPOINT_REACHED = 0.15;
 
 export class Cat {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Object3D[]} collidables - Meshes that block the cat's line of sight
+   * @param {import('./navGrid.js').NavGrid|null} navGrid - Routes the cat around
+   *   furniture; without one the cat walks in straight lines
+   */
+  constructor(scene, collidables = [], navGrid = null) {
     this.scene = scene;
+    this.collidables = collidables;
+    this.navGrid = navGrid;
     this.model = null;
     this.mixer = null; // for future GLTF animations
     this.state = CAT_STATE.LURKING;
     this.speed = 2;
     this.aggressionMultiplier = 1;
+    this.pounceDistance = POUNCE_DISTANCE;
     this.stalkTimer = 0;
-    this.stalkDuration = 5; // seconds before forced pounce
+    this.behavior = { ...DEFAULT_CAT_BEHAVIOR };
     this.onJumpScare = null; // callback
     this.visible = false;
 
+    // Every choice the cat makes comes from here, so a run with the same seed
+    // (and the same inputs) plays out the same
+    this.random = rng.stream('cat');
+
+    // Difficulty scaling of each room's tuning (see setDifficulty)
+    this._aggressionScale = 1;
+    this._stalkTimeScale = 1;
+
     // Internal flags
     this._pounceFired = false;
 
+    // State timing — time spent in the current state, and how long it lasts
+    this._stateTime = 0;
+    this._stateDuration = 0;
+
+    // Room layout the behaviours work with
+    this._hidingSpots = [];
+    this._doorways = [];
+
+    // Per-state targets
+    this._noisePosition = new THREE.Vector3();
+    this._lingerTime = 0;
+    this._searchSpots = [];
+    this._searchIndex = 0;
+    this._searchEnding = false;
+    this._retreatSpot = new THREE.Vector3();
+    this._ambushSpot = new THREE.Vector3();
+    this._ambushFacing = new THREE.Vector3();
+    this._distraction = new THREE.Vector3();
+    this._onDistractionReached = null;
+
+    // Awareness — where the cat last saw or heard the player
+    this.canSeePlayer = false;
+    this.lastKnownPosition = new THREE.Vector3();
+    this.hasLastKnownPosition = false;
+
+    // Hiding — a hidden player can't be seen until they give themselves away
+    this._playerHidden = false;
+    this._playerHiddenTime = 0;
+    this._hideFound = false;
+
+    // Flashlight — the cat flinches or charges when the beam catches it
+    this._lightCooldown = 0;
+    this._chargeTime = 0;
+
+    // Current A* route (world-space waypoints)
+    this._path = null;
+    this._pathIndex = 0;
+    this._pathGoal = new THREE.Vector3();
+    this._repathTimer = 0;
+    this._pathVersion = -1; // nav grid version the path was planned on
+
+    // Line-of-sight raycaster
+    this._sightRaycaster = new THREE.Raycaster();
+    this._sightRaycaster.near = 0;
+
     // Reusable vectors to avoid GC pressure
     this._direction = new THREE.Vector3();
     this._lookTarget = new THREE.Vector3();
+    this._eyePosition = new THREE.Vector3();
+    this._toTarget = new THREE.Vector3();
+    this._facing = new THREE.Vector3();
   }
 
   /**
@@ -140,120 +258,769 @@ export class Cat {
     }
   }
 
+  /**
+   * Use the procedural cat without trying to load the model — headless in
+   * Node, say, where there's no file to fetch.
+   */
+  useFallbackModel() {
+    this._createFallbackCat();
+  }
+
+  /**
+   * Tune the cat for a difficulty preset (see difficulty.js). Speed and
+   * pounce distance apply straight away, the rest from the next room.
+   * @param {Object} difficulty
+   */
+  setDifficulty({ catSpeed, aggression, stalkTime, pounceDistance }) {
+    this.speed = catSpeed;
+    this.pounceDistance = pounceDistance;
+    this._aggressionScale = aggression;
+    this._stalkTimeScale = stalkTime;
+  }
+
   /**
    * Configure the cat for a specific room.
    * @param {number} roomIndex
    * @param {THREE.Vector3[]} hidingSpots
    * @param {number} aggressionMultiplier
+   * @param {Object} [options]
+   * @param {Object} [options.behavior] - Per-room overrides of DEFAULT_CAT_BEHAVIOR
+   * @param {THREE.Vector3[]} [options.doorways] - Ambush points just inside each door
    */
-  setupForRoom(roomIndex, hidingSpots, aggressionMultiplier) {
-    this.state = CAT_STATE.LURKING;
+  setupForRoom(roomIndex, hidingSpots, aggressionMultiplier, { behavior, doorways } = {}) {
+    this._setState(CAT_STATE.LURKING);
     this._pounceFired = false;
     this.stalkTimer = 0;
-    this.aggressionMultiplier = aggressionMultiplier;
+    this._forgetPlayer();
+    this.aggressionMultiplier = aggressionMultiplier * this._aggressionScale;
+    this.behavior = { ...DEFAULT_CAT_BEHAVIOR, ...behavior };
+    this.behavior.stalkDuration *= this._stalkTimeScale;
+    this._hidingSpots = hidingSpots || [];
+    this._doorways = doorways || [];
 
     // Pick a random hiding spot
-    if (hidingSpots && hidingSpots.length > 0) {
-      const spot = hidingSpots[Math.floor(Math.random() * hidingSpots.length)];
+    if (this._hidingSpots.length > 0) {
+      const spot = this.random.pick(this._hidingSpots);
       if (this.model) {
         this.model.position.copy(spot);
-        this.model.visible = false;
       }
     }
 
-    this.visible = false;
+    this._setVisible(false);
+  }
+
+  /**
+   * Where the cat is and what it's up to, for a saved game.
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      state: this.state,
+      position: this.model ? this.model.position.toArray() : null,
+      rotation: this.model ? this.model.rotation.y : 0,
+      lastKnownPosition: this.hasLastKnownPosition ? this.lastKnownPosition.toArray() : null,
+    };
   }
 
   /**
-   * Activate the cat — transition from LURKING to STALKING.
+   * Pick up where a saved game left off; call after setupForRoom. A lurking
+   * cat stays hidden where it was. One that was up and about carries on by
+   * checking where it last knew the player to be, or searching if it had
+   * lost them.
+   * @param {Object} saved - From serialize()
    */
-  activate() {
+  restore({ state, position, rotation, lastKnownPosition }) {
+    if (this.model && position) {
+      this.model.position.fromArray(position);
+      this.model.rotation.set(0, rotation, 0);
+    }
+    if (state === CAT_STATE.LURKING) return;
+
+    if (lastKnownPosition) {
+      this._beginInvestigating(new THREE.Vector3().fromArray(lastKnownPosition));
+    } else {
+      this._beginSearching();
+    }
+  }
+
+  /**
+   * Activate the cat — it wakes up and either starts stalking toward the
+   * player or, sometimes, slinks off to ambush a doorway.
+   * @param {THREE.Vector3} [playerPosition] - Where the player woke it from
+   */
+  activate(playerPosition) {
     if (this.state !== CAT_STATE.LURKING) return;
 
-    this.state = CAT_STATE.STALKING;
     this.stalkTimer = 0;
     this._pounceFired = false;
 
-    if (this.model) {
-      this.model.visible = true;
+    if (this._doorways.length > 0 && this.random.chance(this.behavior.ambushChance)) {
+      this._beginAmbush(playerPosition);
+      return;
+    }
+
+    this._setState(CAT_STATE.STALKING);
+    if (playerPosition) {
+      // It heard the player come in
+      this.lastKnownPosition.copy(playerPosition);
+      this.hasLastKnownPosition = true;
     }
-    this.visible = true;
+    this._setVisible(true);
+  }
+
+  /**
+   * Whether the cat is visibly on the prowl (drives the positional growl).
+   * @returns {boolean}
+   */
+  get isGrowling() {
+    return this.visible && (
+      this.state === CAT_STATE.STALKING ||
+      this.state === CAT_STATE.INVESTIGATING ||
+      this.state === CAT_STATE.SEARCHING
+    );
   }
 
   /**
    * Per-frame update. Runs the cat's state machine.
    * @param {number} delta - Seconds since last frame
    * @param {THREE.Vector3} playerPosition
-   * @param {boolean} playerIsSprinting
+   * @param {number} playerNoise - How loud the player is moving (1 = walking on tile)
    */
-  update(delta, playerPosition, playerIsSprinting) {
+  update(delta, playerPosition, playerNoise = 1) {
     if (!this.model) return;
 
+    this._updateHiding(delta, playerPosition);
+    this._lightCooldown = Math.max(0, this._lightCooldown - delta);
+    this._chargeTime = Math.max(0, this._chargeTime - delta);
+
     // Update GLTF animation mixer if present
     if (this.mixer) {
       this.mixer.update(delta);
     }
 
+    this._stateTime += delta;
+
     switch (this.state) {
       case CAT_STATE.LURKING:
         // Do nothing — waiting for trigger zone activation
         break;
 
       case CAT_STATE.STALKING:
-        this._updateStalking(delta, playerPosition, playerIsSprinting);
+        this._updateStalking(delta, playerPosition, playerNoise);
+        break;
+
+      case CAT_STATE.INVESTIGATING:
+        this._updateInvestigating(delta, playerPosition);
+        break;
+
+      case CAT_STATE.SEARCHING:
+        this._updateSearching(delta, playerPosition);
+        break;
+
+      case CAT_STATE.RETREATING:
+        this._updateRetreating(delta);
+        break;
+
+      case CAT_STATE.AMBUSHING:
+        this._updateAmbushing(delta, playerPosition);
+        break;
+
+      case CAT_STATE.DISTRACTED:
+        this._updateDistracted(delta, playerPosition);
         break;
 
       case CAT_STATE.POUNCING:
-        this._updatePouncing();
+        this._updatePouncing(delta, playerPosition);
         break;
     }
   }
 
+  // --- State transitions ---
+
+  _setState(state, duration = 0) {
+    this.state = state;
+    this._stateTime = 0;
+    this._stateDuration = duration;
+    this._path = null;
+  }
+
+  _setVisible(visible) {
+    this.visible = visible;
+    if (this.model) {
+      this.model.visible = visible;
+    }
+  }
+
   /**
-   * STALKING state logic: move toward the player, face them, and check for pounce.
+   * Randomise a duration a little so no two encounters play out the same.
    */
-  _updateStalking(delta, playerPosition, playerIsSprinting) {
-    this.model.visible = true;
+  _jitter(seconds) {
+    return seconds * this.random.range(1 - TIMING_JITTER, 1 + TIMING_JITTER);
+  }
 
-    // Look at the player (flatten y so the cat doesn't tilt up/down)
-    this._lookTarget.set(playerPosition.x, this.model.position.y, playerPosition.z);
-    this.model.lookAt(this._lookTarget);
+  _beginStalking(playerPosition) {
+    this._setState(CAT_STATE.STALKING);
+    this.stalkTimer = 0;
+    this.lastKnownPosition.copy(playerPosition);
+    this.hasLastKnownPosition = true;
+    this._setVisible(true);
+  }
+
+  _beginInvestigating(position) {
+    this._setState(CAT_STATE.INVESTIGATING, this._jitter(this.behavior.investigateDuration));
+    this._noisePosition.copy(position);
+    this._lingerTime = 0;
+    this._setVisible(true);
+  }
+
+  _beginSearching() {
+    this._setState(CAT_STATE.SEARCHING, this._jitter(this.behavior.searchDuration));
+    this._forgetPlayer();
+    this._searchEnding = false;
+    this._searchIndex = 0;
+    this._lingerTime = 0;
+
+    // Visit the hiding spots in a random order
+    this._searchSpots = this.random.shuffle([...this._hidingSpots]);
+    this._setVisible(true);
+  }
+
+  _beginRetreating(playerPosition) {
+    this._setState(CAT_STATE.RETREATING, this._jitter(this.behavior.retreatDuration));
+    this._forgetPlayer();
+
+    // Run for the hiding spot farthest from the player
+    this._retreatSpot.copy(this.model.position);
+    let best = -1;
+    for (const spot of this._hidingSpots) {
+      const d = spot.distanceToSquared(playerPosition);
+      if (d > best) {
+        best = d;
+        this._retreatSpot.copy(spot);
+      }
+    }
+  }
+
+  _beginAmbush(playerPosition) {
+    this._setState(CAT_STATE.AMBUSHING, this._jitter(this.behavior.ambushDuration));
+
+    // Wait at the doorway farthest from the player — the one they're heading for
+    let best = -1;
+    for (const doorway of this._doorways) {
+      const d = playerPosition ? doorway.distanceToSquared(playerPosition) : this.random.next();
+      if (d > best) {
+        best = d;
+        this._ambushSpot.copy(doorway);
+      }
+    }
+
+    // Watching the way it came, for the player following it
+    if (playerPosition) this._ambushFacing.copy(playerPosition);
+    else if (this.model) this._ambushFacing.copy(this.model.position);
+
+    // It sneaks there unseen
+    this._setVisible(false);
+  }
+
+  _beginDistracted(position, duration, onReached) {
+    this._setState(CAT_STATE.DISTRACTED, duration);
+    this._distraction.copy(position);
+    this._onDistractionReached = onReached;
+    this._lingerTime = 0;
+    this._forgetPlayer();
+    this._setVisible(true);
+  }
+
+  _beginPouncing() {
+    this._setState(CAT_STATE.POUNCING, POUNCE_TIME);
+    this._pounceFired = false;
+    this._setVisible(true);
+  }
+
+  /**
+   * Tell the cat the player has slipped into (or back out of) a hiding spot.
+   * @param {boolean} hidden
+   */
+  setPlayerHidden(hidden) {
+    this._playerHidden = hidden;
+    this._playerHiddenTime = 0;
+    this._hideFound = false;
+  }
+
+  /**
+   * Track how long the player has been hiding. While the cat is hunting, a
+   * player who stays hidden too long gets sniffed out.
+   */
+  _updateHiding(delta, playerPosition) {
+    if (!this._playerHidden) return;
+    this._playerHiddenTime += delta;
+
+    const hunting = (
+      this.state === CAT_STATE.STALKING ||
+      this.state === CAT_STATE.INVESTIGATING ||
+      this.state === CAT_STATE.SEARCHING ||
+      this.state === CAT_STATE.AMBUSHING
+    );
+    if (hunting && !this._hideFound && this._playerHiddenTime > this.behavior.hideTolerance) {
+      this._revealHidingPlayer(playerPosition);
+    }
+  }
 
-    // Calculate direction toward player on the XZ plane
-    this._direction.set(
+  /**
+   * The cat knows exactly which hiding spot the player is in.
+   */
+  _revealHidingPlayer(playerPosition) {
+    this._hideFound = true;
+    this._beginStalking(playerPosition);
+  }
+
+  /**
+   * Check the sight cone and, if the player is visible, remember where.
+   * @returns {boolean}
+   */
+  _lookForPlayer(playerPosition) {
+    // A found hiding player stays found; an unfound one can't be seen
+    this.canSeePlayer = this._hideFound || this.canSee(playerPosition);
+    if (this.canSeePlayer) {
+      this.lastKnownPosition.copy(playerPosition);
+      this.hasLastKnownPosition = true;
+    }
+    return this.canSeePlayer;
+  }
+
+  // --- State logic ---
+
+  /**
+   * STALKING state logic: hunt the player using sight and hearing.
+   * The cat homes in on the player only while it can see them; otherwise it
+   * heads for the last place it saw or heard them, then starts searching.
+   */
+  _updateStalking(delta, playerPosition, playerNoise) {
+    this._lookForPlayer(playerPosition);
+
+    if (!this.hasLastKnownPosition) {
+      // No idea where the player is — turn in place to sweep the sight cone
+      this.model.rotation.y += SCAN_TURN_SPEED * delta;
+      return;
+    }
+
+    const target = this.lastKnownPosition;
+    const distance = Math.hypot(
+      target.x - this.model.position.x,
+      target.z - this.model.position.z,
+    );
+
+    // Move toward the target — the louder the player, the keener the cat
+    // (or flat out, if it's charging the flashlight)
+    const noiseFactor = this._chargeTime > 0
+      ? CHARGE_SPEED
+      : THREE.MathUtils.clamp(playerNoise, NOISE_SPEED_MIN, NOISE_SPEED_MAX);
+    const moveSpeed = this.speed * this.aggressionMultiplier * noiseFactor * delta;
+    const arrived = this._moveToward(target, moveSpeed, delta);
+
+    if (!this.canSeePlayer && (arrived || distance < ARRIVE_DISTANCE)) {
+      // Reached the last known position and the player is gone
+      this._beginSearching();
+      return;
+    }
+
+    // The stalk clock only runs while the cat has eyes on the player
+    if (!this.canSeePlayer) return;
+    this.stalkTimer += delta;
+
+    // Check for pounce conditions (a hiding player has to be dug out up close)
+    const outOfPatience = !this._hideFound && this.stalkTimer > this.behavior.stalkDuration;
+    if (distance < this.pounceDistance || outOfPatience) {
+      this._beginPouncing();
+    }
+  }
+
+  /**
+   * INVESTIGATING state logic: walk to the noise, look around for a while,
+   * then fall back to searching.
+   */
+  _updateInvestigating(delta, playerPosition) {
+    if (this._lookForPlayer(playerPosition)) {
+      this._beginStalking(playerPosition);
+      return;
+    }
+
+    const step = this.speed * this.aggressionMultiplier * INVESTIGATE_SPEED * delta;
+    if (this._lingerTime === 0 && !this._moveToward(this._noisePosition, step, delta)) return;
+
+    // At the noise — look around
+    this._lingerTime += delta;
+    this.model.rotation.y += SCAN_TURN_SPEED * delta;
+    if (this._lingerTime > this._stateDuration) {
+      this._beginSearching();
+    }
+  }
+
+  /**
+   * SEARCHING state logic: check each hiding spot in turn. When the search
+   * time runs out the cat hides at the next spot it reaches.
+   */
+  _updateSearching(delta, playerPosition) {
+    if (this._lookForPlayer(playerPosition)) {
+      this._beginStalking(playerPosition);
+      return;
+    }
+
+    if (this._stateTime > this._stateDuration) {
+      this._searchEnding = true;
+    }
+
+    if (this._searchSpots.length === 0) {
+      // Nowhere to search — just look around where we are
+      this.model.rotation.y += SCAN_TURN_SPEED * delta;
+      if (this._searchEnding) this._lurk();
+      return;
+    }
+
+    const spot = this._searchSpots[this._searchIndex];
+    const step = this.speed * this.aggressionMultiplier * SEARCH_SPEED * delta;
+    if (this._lingerTime === 0 && !this._moveToward(spot, step, delta)) return;
+
+    if (this._searchEnding) {
+      this._lurk();
+      return;
+    }
+
+    // At a spot — look around, then move on to the next one
+    this._lingerTime += delta;
+    this.model.rotation.y += SCAN_TURN_SPEED * delta;
+    if (this._lingerTime > SEARCH_PAUSE) {
+      this._lingerTime = 0;
+      this._path = null;
+      this._searchIndex = (this._searchIndex + 1) % this._searchSpots.length;
+    }
+  }
+
+  /**
+   * RETREATING state logic: bolt for a far hiding spot and sulk there,
+   * ignoring the player, then start searching again.
+   */
+  _updateRetreating(delta) {
+    const step = this.speed * this.aggressionMultiplier * RETREAT_SPEED * delta;
+    this._moveToward(this._retreatSpot, step, delta);
+
+    if (this._stateTime > this._stateDuration) {
+      this._beginSearching();
+    }
+  }
+
+  /**
+   * AMBUSHING state logic: sneak (unseen) to a doorway and wait there.
+   * Pounces only when the player walks into range; gives up after a while.
+   */
+  _updateAmbushing(delta, playerPosition) {
+    const step = this.speed * this.aggressionMultiplier * delta;
+    const inPosition = this._moveToward(this._ambushSpot, step, delta);
+
+    if (inPosition) {
+      // It keeps its eyes on the way in, and only turns to follow the
+      // player once they walk into view
+      const target = this._lookForPlayer(playerPosition) ? playerPosition : this._ambushFacing;
+      this._lookTarget.set(target.x, this.model.position.y, target.z);
+      this.model.lookAt(this._lookTarget);
+
+      const distance = Math.hypot(
+        playerPosition.x - this.model.position.x,
+        playerPosition.z - this.model.position.z,
+      );
+      if (this.canSeePlayer && distance < this.pounceDistance + 1) {
+        this._beginPouncing();
+        return;
+      }
+    }
+
+    if (this._stateTime > this._stateDuration) {
+      this._beginSearching();
+    }
+  }
+
+  /**
+   * DISTRACTED state logic: trot over to the treat or toy and busy itself
+   * with it, all but ignoring the player, then go back to searching.
+   */
+  _updateDistracted(delta, playerPosition) {
+    const distance = Math.hypot(
       playerPosition.x - this.model.position.x,
-      0,
       playerPosition.z - this.model.position.z,
     );
+    if (distance < DISTRACTED_NOTICE && this._lookForPlayer(playerPosition)) {
+      this._beginPouncing();
+      return;
+    }
+
+    if (this._lingerTime === 0) {
+      const step = this.speed * this.aggressionMultiplier * DISTRACTED_SPEED * delta;
+      if (!this._moveToward(this._distraction, step, delta)) return;
+      if (this._onDistractionReached) this._onDistractionReached();
+      this._onDistractionReached = null;
+    }
+
+    this._lingerTime += delta;
+    if (this._lingerTime > this._stateDuration) {
+      this._beginSearching();
+    }
+  }
+
+  /**
+   * Go back into hiding where the cat stands.
+   */
+  _lurk() {
+    this._setState(CAT_STATE.LURKING);
+    this._forgetPlayer();
+    this._setVisible(false);
+  }
+
+  /**
+   * Step along an A* route toward a target, facing the next waypoint.
+   * Routes are refreshed periodically and whenever the target moves.
+   * @param {THREE.Vector3} target
+   * @param {number} step - Distance to travel this frame
+   * @param {number} delta
+   * @returns {boolean} True once the end of the route is reached (or there is none)
+   */
+  _moveToward(target, step, delta) {
+    const pos = this.model.position;
+    let waypoint = target;
+
+    if (this.navGrid) {
+      this._repathTimer -= delta;
+      const flatShift = Math.hypot(target.x - this._pathGoal.x, target.z - this._pathGoal.z);
+      // Replan on a timer, when the target moves, or when a door opens or shuts
+      if (!this._path || this._repathTimer <= 0 || flatShift > REPATH_TARGET_SHIFT ||
+          this._pathVersion !== this.navGrid.version) {
+        this._path = this.navGrid.findPath(pos, target);
+        this._pathIndex = 0;
+        this._pathGoal.copy(target);
+        this._repathTimer = REPATH_INTERVAL;
+        this._pathVersion = this.navGrid.version;
+      }
+      if (!this._path) return true; // unreachable — nowhere to go
+
+      // Skip waypoints we've already arrived at
+      while (this._pathIndex < this._path.length - 1) {
+        const wp = this._path[this._pathIndex];
+        if (Math.hypot(wp.x - pos.x, wp.z - pos.z) > WAYPOINT_REACHED) break;
+        this._pathIndex++;
+      }
+      waypoint = this._path[this._pathIndex];
+    }
+
+    // Calculate direction toward the waypoint on the XZ plane
+    this._direction.set(waypoint.x - pos.x, 0, waypoint.z - pos.z);
     const distance = this._direction.length();
+    const finalLeg = !this._path || this._pathIndex === this._path.length - 1;
+    if (distance < 0.01) return finalLeg;
+    this._direction.divideScalar(distance);
+
+    // Face the way we're going (flatten y so the cat doesn't tilt up/down)
+    this._lookTarget.set(waypoint.x, pos.y, waypoint.z);
+    this.model.lookAt(this._lookTarget);
+
+    pos.addScaledVector(this._direction, Math.min(step, distance));
+    return finalLeg && step >= distance;
+  }
+
+  /**
+   * Whether the player is inside the sight cone and not hidden behind a
+   * collidable (or tucked into a hiding spot).
+   * @param {THREE.Vector3} playerPosition - Player eye position
+   * @returns {boolean}
+   */
+  canSee(playerPosition) {
+    if (!this.model || this._playerHidden) return false;
+
+    this._eyePosition.copy(this.model.position);
+    this._eyePosition.y += EYE_HEIGHT;
+
+    this._toTarget.copy(playerPosition);
+    this._toTarget.y -= PLAYER_TORSO_DROP;
+    this._toTarget.sub(this._eyePosition);
+    const distance = this._toTarget.length();
+    if (distance > SIGHT_RANGE) return false;
+    if (distance < 0.01) return true;
 
-    if (distance > 0.01) {
-      this._direction.normalize();
+    // Angle check against the direction the cat is facing (XZ plane)
+    this.model.getWorldDirection(this._facing);
+    this._facing.y = 0;
+    this._facing.normalize();
+    const flatLength = Math.hypot(this._toTarget.x, this._toTarget.z);
+    if (flatLength > 0.01) {
+      const cos = (this._facing.x * this._toTarget.x + this._facing.z * this._toTarget.z) / flatLength;
+      if (cos < Math.cos(SIGHT_HALF_ANGLE)) return false;
     }
 
-    // Move toward player — faster if player is sprinting (cat reacts to noise)
-    const sprintFactor = playerIsSprinting ? 1.5 : 1.0;
-    const moveSpeed = this.speed * this.aggressionMultiplier * sprintFactor * delta;
-    this.model.position.addScaledVector(this._direction, moveSpeed);
+    // Occlusion check — anything between the cat's eyes and the player blocks sight
+    this._toTarget.divideScalar(distance);
+    this._sightRaycaster.set(this._eyePosition, this._toTarget);
+    this._sightRaycaster.far = distance;
+    const hits = this._sightRaycaster.intersectObjects(this.collidables, true);
+    return hits.length === 0;
+  }
 
-    // Increment stalk timer
-    this.stalkTimer += delta;
+  /**
+   * React to a noise (e.g. a player footstep). Noises within the hearing
+   * radius give a stalking cat a new last known position, and send a
+   * searching or investigating cat off to check them out. A lurking,
+   * retreating or ambushing cat ignores noises. A noise the player makes
+   * while hiding is taken to come from their hiding spot.
+   * @param {THREE.Vector3} position - Where the noise came from
+   * @param {number} loudness - 1 for a normal footstep; scales the hearing radius
+   * @param {Object} [opts]
+   * @param {boolean} [opts.fromPlayer=true] - False for things like a squeaking
+   *   toy, which draw the cat without giving a hiding player away
+   * @returns {boolean} Whether the cat heard it
+   */
+  hearNoise(position, loudness = 1, { fromPlayer = true } = {}) {
+    if (!this.model) return false;
+
+    const listening = (
+      this.state === CAT_STATE.STALKING ||
+      this.state === CAT_STATE.INVESTIGATING ||
+      this.state === CAT_STATE.SEARCHING
+    );
+    if (!listening) return false;
+
+    const dx = position.x - this.model.position.x;
+    const dz = position.z - this.model.position.z;
+    if (Math.hypot(dx, dz) > HEARING_RADIUS * loudness) return false;
+
+    // A noise from a hiding spot gives it away
+    if (fromPlayer && this._playerHidden) {
+      this._revealHidingPlayer(position);
+      return true;
+    }
+
+    if (this.state === CAT_STATE.STALKING) {
+      // Seeing beats hearing — don't replace a fresher visual fix
+      if (!this.canSeePlayer) {
+        this.lastKnownPosition.copy(position);
+        this.hasLastKnownPosition = true;
+      }
+    } else {
+      this._beginInvestigating(position);
+    }
+    return true;
+  }
+
+  /**
+   * Lure the cat to a treat or toy. Only a cat that's up and about takes
+   * the bait — not one asleep in its hiding spot or mid-pounce — and only
+   * if it's close enough to notice.
+   * @param {THREE.Vector3} position - Where the lure is
+   * @param {number} duration - Seconds the cat stays busy once it gets there
+   * @param {Object} [opts]
+   * @param {number} [opts.radius=Infinity] - How far away the cat notices it
+   * @param {Function} [opts.onReached] - Called when the cat gets there
+   * @returns {boolean} Whether the cat went for it
+   */
+  distract(position, duration, { radius = Infinity, onReached = null } = {}) {
+    if (!this.model) return false;
+
+    const awake = (
+      this.state === CAT_STATE.STALKING ||
+      this.state === CAT_STATE.INVESTIGATING ||
+      this.state === CAT_STATE.SEARCHING ||
+      this.state === CAT_STATE.AMBUSHING ||
+      this.state === CAT_STATE.DISTRACTED
+    );
+    if (!awake) return false;
+
+    const dx = position.x - this.model.position.x;
+    const dz = position.z - this.model.position.z;
+    if (Math.hypot(dx, dz) > radius) return false;
+
+    this._beginDistracted(position, this._jitter(duration), onReached);
+    return true;
+  }
+
+  /**
+   * The player's flashlight is shining in the cat's eyes. Spencer hates it:
+   * he either flinches and slinks off, or charges straight down the beam.
+   * Either way he now knows exactly where the player is standing.
+   * @param {THREE.Vector3} playerPosition
+   * @returns {'flinched'|'charged'|null} How the cat reacted, if it did
+   */
+  shineLight(playerPosition) {
+    if (!this.model || !this.visible || this._lightCooldown > 0) return null;
+
+    const awake = (
+      this.state === CAT_STATE.STALKING ||
+      this.state === CAT_STATE.INVESTIGATING ||
+      this.state === CAT_STATE.SEARCHING
+    );
+    if (!awake) return null;
 
-    // Check for pounce conditions
-    if (distance < 2.0 || this.stalkTimer > this.stalkDuration) {
-      this.state = CAT_STATE.POUNCING;
+    this._lightCooldown = LIGHT_REACT_COOLDOWN;
+    if (this.random.chance(this.behavior.flinchChance)) {
+      this._beginRetreating(playerPosition);
+      return 'flinched';
     }
+
+    this._beginStalking(playerPosition);
+    this._chargeTime = CHARGE_DURATION;
+    return 'charged';
+  }
+
+  /**
+   * Drop any knowledge of where the player is.
+   */
+  _forgetPlayer() {
+    this.canSeePlayer = false;
+    this._hideFound = false;
+    this.hasLastKnownPosition = false;
+    this._path = null;
   }
 
   /**
-   * POUNCING state logic: fire the jump scare callback once.
+   * POUNCING state logic: lunge at the player. Landing within reach fires
+   * the jump scare callback once; falling short (or hitting furniture)
+   * is a near miss and the cat retreats.
    */
-  _updatePouncing() {
-    if (!this._pounceFired) {
+  _updatePouncing(delta, playerPosition) {
+    if (this._pounceFired) return;
+
+    const pos = this.model.position;
+    this._direction.set(playerPosition.x - pos.x, 0, playerPosition.z - pos.z);
+    const distance = this._direction.length();
+
+    if (distance <= POUNCE_HIT_DISTANCE) {
       this._pounceFired = true;
       if (this.onJumpScare) {
         this.onJumpScare();
       }
+      return;
+    }
+
+    this._lookTarget.set(playerPosition.x, pos.y, playerPosition.z);
+    this.model.lookAt(this._lookTarget);
+
+    this._direction.divideScalar(distance);
+    const step = Math.min(POUNCE_SPEED * delta, distance - POUNCE_HIT_DISTANCE * 0.5);
+    const nextX = pos.x + this._direction.x * step;
+    const nextZ = pos.z + this._direction.z * step;
+    const blocked = this.navGrid && !this.navGrid.isWalkable(nextX, nextZ);
+
+    // Clawing into a hiding spot — the furniture doesn't save a found player
+    if (blocked && this._hideFound) {
+      this._pounceFired = true;
+      if (this.onJumpScare) {
+        this.onJumpScare();
+      }
+      return;
+    }
+
+    if (!blocked) {
+      pos.x = nextX;
+      pos.z = nextZ;
+    }
+
+    if (blocked || this._stateTime > this._stateDuration) {
+      this._beginRetreating(playerPosition);
     }
   }
 
@@ -271,13 +1038,13 @@ export class Cat {
    * Reset the cat to its initial dormant state.
    */
   reset() {
-    this.state = CAT_STATE.LURKING;
+    this._setState(CAT_STATE.LURKING);
+    this._onDistractionReached = null;
     this.stalkTimer = 0;
+    this._lightCooldown = 0;
+    this._chargeTime = 0;
     this._pounceFired = false;
-    this.visible = false;
-
-    if (this.model) {
-      this.model.visible = false;
-    }
+    this._forgetPlayer();
+    this._setVisible(false);
   }
 }
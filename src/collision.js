@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+
+/**
+ * CollisionWorld -- the player's body against the walls and furniture.
+ *
+ * The body is an upright capsule: a circle on the floor plan, with rounded
+ * ends from the feet to the top of the head. It's tested against the world
+ * bounding boxes of the house collidables. Those that never move sit in a
+ * spatial hash over the floor plan, so a move only looks at the boxes near
+ * it; ones that do (door panels) are measured again on each move.
+ *
+ * A move is taken in substeps shorter than the body is wide, so nothing is
+ * skipped over. After each, the body is pushed out of whatever it overlaps
+ * by the shortest way across the floor: walking into a wall at an angle
+ * slides along it, and a corner pushes back off both walls at once. Boxes
+ * whose top is within a step of the feet don't block — they're floor to
+ * step up onto (see floorHeight).
+ */
+
+const DEFAULT_CELL_SIZE = 1;    // metres per spatial hash cell
+const HASH_OFFSET = 1 << 10;    // keeps cell coordinates positive for the hash key
+const HASH_SPAN = 1 << 11;
+const MAX_PUSHES = 4;           // rounds of pushing out per substep
+const SUBSTEP_FRACTION = 0.5;   // longest substep, as a fraction of the radius
+const EPSILON = 1e-6;
+
+const _box = new THREE.Box3();
+const _step = new THREE.Vector3();
+
+export class CollisionWorld {
+  /**
+   * @param {THREE.Object3D[]} collidables - Walls and furniture that stay put
+   * @param {Object} [opts]
+   * @param {THREE.Object3D[]} [opts.dynamic] - Things that move, like door panels
+   * @param {number} [opts.cellSize]
+   */
+  constructor(collidables, { dynamic = [], cellSize = DEFAULT_CELL_SIZE } = {}) {
+    this.cellSize = cellSize;
+
+    this._boxes = [];
+    this._cells = new Map();
+    for (const obj of collidables) {
+      obj.updateWorldMatrix(true, false);
+      const box = new THREE.Box3().setFromObject(obj);
+      if (box.isEmpty()) continue;
+      this._hash(box);
+    }
+
+    this._dynamic = dynamic.map(object => ({ object, box: new THREE.Box3() }));
+
+    // Query scratch: boxes near a move, and a stamp per box so one spanning
+    // several cells is only listed once
+    this._nearby = [];
+    this._stamps = new Uint32Array(this._boxes.length);
+    this._query = 0;
+  }
+
+  /**
+   * Move a body across the floor, sliding along anything in its way.
+   * @param {THREE.Vector3} feet - Bottom of the body; x and z are moved in place
+   * @param {THREE.Vector3} motion - How far to go (y is ignored)
+   * @param {Object} body
+   * @param {number} body.radius
+   * @param {number} body.height - Feet to the top of the head
+   * @param {number} body.stepHeight - Ledges this high above the feet don't block
+   * @returns {THREE.Vector3} feet
+   */
+  move(feet, motion, body) {
+    const length = Math.hypot(motion.x, motion.z);
+    const substeps = Math.max(1, Math.ceil(length / (body.radius * SUBSTEP_FRACTION)));
+    _step.set(motion.x / substeps, 0, motion.z / substeps);
+
+    this._measureDynamic();
+    const reach = length + body.radius * 2; // room for the pushes too
+    const nearby = this._gather(feet.x - reach, feet.z - reach, feet.x + reach, feet.z + reach);
+
+    for (let i = 0; i < substeps; i++) {
+      feet.x += _step.x;
+      feet.z += _step.z;
+      for (let round = 0; round < MAX_PUSHES; round++) {
+        let pushed = false;
+        for (const box of nearby) {
+          if (pushOut(feet, box, body)) pushed = true;
+        }
+        if (!pushed) break;
+      }
+    }
+    return feet;
+  }
+
+  /**
+   * How high the floor is under a body: the top of the highest box beneath
+   * it that's low enough to step onto, or 0 for the bare floor.
+   * @param {THREE.Vector3} feet
+   * @param {number} radius
+   * @param {number} stepHeight
+   * @returns {number}
+   */
+  floorHeight(feet, radius, stepHeight) {
+    let height = 0;
+    const nearby = this._gather(feet.x - radius, feet.z - radius, feet.x + radius, feet.z + radius);
+    for (const box of nearby) {
+      const top = box.max.y;
+      if (top <= height || top > feet.y + stepHeight || box.min.y > feet.y + stepHeight) continue;
+      if (flatDistanceSq(feet, box) < radius * radius) height = top;
+    }
+    return height;
+  }
+
+  // --- Spatial hash ---
+
+  _cell(value) {
+    return Math.floor(value / this.cellSize) + HASH_OFFSET;
+  }
+
+  _hash(box) {
+    const index = this._boxes.length;
+    this._boxes.push(box);
+    for (let col = this._cell(box.min.x); col <= this._cell(box.max.x); col++) {
+      for (let row = this._cell(box.min.z); row <= this._cell(box.max.z); row++) {
+        const key = col * HASH_SPAN + row;
+        let cell = this._cells.get(key);
+        if (!cell) this._cells.set(key, cell = []);
+        cell.push(index);
+      }
+    }
+  }
+
+  /**
+   * Every box that might touch an area of the floor plan, moving ones included.
+   * The array is reused by the next call.
+   */
+  _gather(minX, minZ, maxX, maxZ) {
+    const nearby = this._nearby;
+    nearby.length = 0;
+    const query = ++this._query;
+
+    for (let col = this._cell(minX); col <= this._cell(maxX); col++) {
+      for (let row = this._cell(minZ); row <= this._cell(maxZ); row++) {
+        const cell = this._cells.get(col * HASH_SPAN + row);
+        if (!cell) continue;
+        for (const index of cell) {
+          if (this._stamps[index] === query) continue;
+          this._stamps[index] = query;
+          nearby.push(this._boxes[index]);
+        }
+      }
+    }
+
+    for (const { box } of this._dynamic) {
+      if (!box.isEmpty()) nearby.push(box);
+    }
+    return nearby;
+  }
+
+  _measureDynamic() {
+    for (const dynamic of this._dynamic) {
+      dynamic.object.updateWorldMatrix(true, false);
+      dynamic.box.copy(_box.setFromObject(dynamic.object));
+    }
+  }
+}
+
+/**
+ * Push a capsule body out of a box across the floor, if they overlap.
+ * @returns {boolean} Whether it had to move
+ */
+function pushOut(feet, box, body) {
+  const { radius, height, stepHeight } = body;
+  if (box.max.y <= feet.y + stepHeight || box.min.y >= feet.y + height) return false;
+
+  // How far the box is above or below the straight part of the capsule; past
+  // the ends the body is rounded, so there's less of it to push
+  const bottom = feet.y + radius;
+  const top = feet.y + height - radius;
+  const gap = box.max.y < bottom ? bottom - box.max.y : box.min.y > top ? box.min.y - top : 0;
+  if (gap >= radius) return false;
+  const reach = Math.sqrt(radius * radius - gap * gap);
+
+  // Nearest point of the box's footprint
+  const nearX = THREE.MathUtils.clamp(feet.x, box.min.x, box.max.x);
+  const nearZ = THREE.MathUtils.clamp(feet.z, box.min.z, box.max.z);
+  const dx = feet.x - nearX;
+  const dz = feet.z - nearZ;
+  const distanceSq = dx * dx + dz * dz;
+  if (distanceSq >= reach * reach) return false;
+
+  if (distanceSq > EPSILON) {
+    const distance = Math.sqrt(distanceSq);
+    const push = (reach - distance) / distance;
+    feet.x += dx * push;
+    feet.z += dz * push;
+    return true;
+  }
+
+  // Centre inside the footprint: out through the nearest side
+  const exits = [
+    [feet.x - box.min.x, -1, 0],
+    [box.max.x - feet.x, 1, 0],
+    [feet.z - box.min.z, 0, -1],
+    [box.max.z - feet.z, 0, 1],
+  ];
+  let [depth, sx, sz] = exits[0];
+  for (const exit of exits) {
+    if (exit[0] < depth) [depth, sx, sz] = exit;
+  }
+  feet.x += sx * (depth + reach);
+  feet.z += sz * (depth + reach);
+  return true;
+}
+
+/**
+ * Squared distance from a point to a box's footprint on the floor plan.
+ */
+function flatDistanceSq(point, box) {
+  const dx = point.x - THREE.MathUtils.clamp(point.x, box.min.x, box.max.x);
+  const dz = point.z - THREE.MathUtils.clamp(point.z, box.min.z, box.max.z);
+  return dx * dx + dz * dz;
+}
@@ -0,0 +1,60 @@
+/**
+ * Difficulty presets, picked on the launcher. Each one tunes the cat, the
+ * player and the house together:
+ *
+ *   name            {string}  shown on the launcher
+ *   lives           {number}  hits before game over
+ *   catSpeed        {number}  the cat's base speed, metres/sec
+ *   aggression      {number}  multiplier on each room's aggression
+ *   stalkTime       {number}  multiplier on how long the cat stalks before it
+ *                             has to pounce (each room's stalkDuration)
+ *   pounceDistance  {number}  metres — the cat pounces once it's this close
+ *   staminaDrain    {number}  multiplier on how fast sprinting uses stamina
+ *   lightIntensity  {number}  multiplier on the house's lights
+ */
+export const DIFFICULTIES = {
+  easy: {
+    name: 'Easy',
+    lives: 5,
+    catSpeed: 1.5,
+    aggression: 0.8,
+    stalkTime: 1.5,
+    pounceDistance: 1.5,
+    staminaDrain: 0.6,
+    lightIntensity: 1.6,
+  },
+  normal: {
+    name: 'Normal',
+    lives: 3,
+    catSpeed: 2,
+    aggression: 1,
+    stalkTime: 1,
+    pounceDistance: 2,
+    staminaDrain: 1,
+    lightIntensity: 1,
+  },
+  hard: {
+    name: 'Hard',
+    lives: 2,
+    catSpeed: 2.4,
+    aggression: 1.2,
+    stalkTime: 0.75,
+    pounceDistance: 2.5,
+    staminaDrain: 1.3,
+    lightIntensity: 0.7,
+  },
+  nightmare: {
+    name: 'Nightmare',
+    lives: 1,
+    catSpeed: 2.8,
+    aggression: 1.5,
+    stalkTime: 0.5,
+    pounceDistance: 3,
+    staminaDrain: 1.6,
+    lightIntensity: 0.4,
+  },
+};
+
+export const DIFFICULTY_IDS = Object.keys(DIFFICULTIES);
+
+export const DEFAULT_DIFFICULTY = 'normal';
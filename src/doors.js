@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { DOOR_WIDTH, DOOR_HEIGHT } from './house.js';
+
+/**
+ * DoorManager -- the swinging door panels hung in the house's doorways.
+ *
+ * Each panel turns on a hinge at one side of its doorway and always swings
+ * away from whoever opens it. Panels are collidable, so they stop the player
+ * and block the cat's sight; while a door isn't fully open it is also an
+ * obstacle on the cat's nav grid.
+ */
+
+const PANEL_THICKNESS = 0.05;
+const PANEL_GAP = 0.02;          // clearance around the panel inside the frame
+const SWING_SPEED = 3;           // radians per second
+const INTERACT_DISTANCE = 2;     // how far away a door can be used
+const CLOSE_CLEARANCE = 0.45;    // won't close on someone standing in the doorway
+const DEFAULT_COLOR = '#6B4226';
+
+export class DoorManager {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object[]} doors - Door data from createHouse
+   * @param {import('./navGrid.js').NavGrid|null} navGrid
+   */
+  constructor(scene, doors, navGrid = null) {
+    this.navGrid = navGrid;
+    this.doors = [];
+    this.colliders = [];
+
+    this._raycaster = new THREE.Raycaster();
+    this._raycaster.far = INTERACT_DISTANCE;
+    this._origin = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+
+    for (const def of doors) {
+      const door = this._buildDoor(def);
+      scene.add(door.pivot);
+      this.doors.push(door);
+      this.colliders.push(door.panel);
+    }
+    this.reset();
+  }
+
+  /**
+   * Hinge + panel for one doorway. The pivot sits on the hinge edge; the
+   * panel hangs off it along the wall while closed.
+   */
+  _buildDoor(def) {
+    const width = DOOR_WIDTH - PANEL_GAP * 2;
+    const material = new THREE.MeshStandardMaterial({ color: def.color || DEFAULT_COLOR, roughness: 0.8 });
+    const panel = new THREE.Mesh(
+      new THREE.BoxGeometry(width, DOOR_HEIGHT - PANEL_GAP, PANEL_THICKNESS),
+      material
+    );
+    panel.position.set(width / 2, (DOOR_HEIGHT - PANEL_GAP) / 2, 0);
+    panel.castShadow = true;
+    panel.receiveShadow = true;
+    panel.name = `door ${def.id}`;
+
+    // Walls along x need no turn; walls along z are a quarter turn round
+    const baseAngle = def.alongX ? 0 : -Math.PI / 2;
+    const along = def.alongX ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+    const pivot = new THREE.Group();
+    pivot.position.copy(def.position).addScaledVector(along, -width / 2);
+    pivot.rotation.y = baseAngle;
+    pivot.add(panel);
+
+    // Closed bounds for the nav grid, taken before anything swings
+    pivot.updateWorldMatrix(true, true);
+    const closedBox = new THREE.Box3().setFromObject(panel);
+
+    return {
+      ...def,
+      pivot,
+      panel,
+      baseAngle,
+      closedBox,
+      // Which way is "through" the doorway
+      normal: def.alongX ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0),
+      isOpen: false,
+      isLocked: false,
+      angle: 0,
+      targetAngle: 0,
+    };
+  }
+
+  // --- Public API ---
+
+  /**
+   * Put every door back how the level starts it.
+   */
+  reset() {
+    for (const door of this.doors) {
+      door.isLocked = door.locked;
+      door.isOpen = door.open;
+      // Start-open doors swing into the `to` side; it's as good as any
+      door.angle = door.targetAngle = door.open ? this._openAngle(door, 1) : 0;
+      door.pivot.rotation.y = door.baseAngle + door.angle;
+      this._updateObstacle(door);
+    }
+  }
+
+  /**
+   * The door the camera is looking at, if it's close enough to use.
+   * @param {THREE.Camera} camera
+   * @returns {Object|null}
+   */
+  doorInView(camera) {
+    camera.getWorldPosition(this._origin);
+    camera.getWorldDirection(this._direction);
+    this._raycaster.set(this._origin, this._direction);
+    const hits = this._raycaster.intersectObjects(this.colliders, false);
+    if (hits.length === 0) return null;
+    return this.doors.find(door => door.panel === hits[0].object) || null;
+  }
+
+  /**
+   * Try to open, close or unlock a door.
+   * @param {Object} door
+   * @param {THREE.Vector3} userPosition - Whoever is using it (swings away from them)
+   * @param {Set<string>} keys - Key ids the user holds
+   * @returns {'opened'|'closed'|'unlocked'|'locked'|'blocked'}
+   */
+  use(door, userPosition, keys) {
+    if (door.isLocked) {
+      if (!keys.has(door.key)) return 'locked';
+      door.isLocked = false;
+      this._swingOpen(door, userPosition);
+      return 'unlocked';
+    }
+
+    if (!door.isOpen) {
+      this._swingOpen(door, userPosition);
+      return 'opened';
+    }
+
+    // Don't shut the door on someone standing in the doorway
+    const dx = userPosition.x - door.position.x;
+    const dz = userPosition.z - door.position.z;
+    const across = Math.abs(dx * door.normal.x + dz * door.normal.z);
+    const along = Math.abs(dx * door.normal.z - dz * door.normal.x);
+    if (across < CLOSE_CLEARANCE && along < DOOR_WIDTH / 2) return 'blocked';
+
+    door.isOpen = false;
+    door.targetAngle = 0;
+    this._updateObstacle(door);
+    return 'closed';
+  }
+
+  /**
+   * Whether a door is open (or swinging open).
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isOpen(id) {
+    const door = this.doors.find(d => d.id === id);
+    return !!door && door.isOpen;
+  }
+
+  /**
+   * Which doors are open and locked, for a saved game.
+   * @returns {{ id: string, isOpen: boolean, isLocked: boolean, angle: number }[]}
+   */
+  serialize() {
+    return this.doors.map(door => ({
+      id: door.id,
+      isOpen: door.isOpen,
+      isLocked: door.isLocked,
+      angle: door.targetAngle,
+    }));
+  }
+
+  /**
+   * Set the doors as a saved game left them, already done swinging.
+   * Doors the save doesn't mention keep the level's starting state.
+   * @param {Object[]} saved - From serialize()
+   */
+  restore(saved) {
+    this.reset();
+    for (const state of saved) {
+      const door = this.doors.find(d => d.id === state.id);
+      if (!door) continue;
+      door.isOpen = state.isOpen;
+      door.isLocked = state.isLocked;
+      door.angle = door.targetAngle = state.angle;
+      door.pivot.rotation.y = door.baseAngle + door.angle;
+      this._updateObstacle(door);
+    }
+  }
+
+  /**
+   * Animate swinging doors.
+   * @param {number} delta
+   */
+  update(delta) {
+    for (const door of this.doors) {
+      if (door.angle === door.targetAngle) continue;
+      const step = SWING_SPEED * delta;
+      const remaining = door.targetAngle - door.angle;
+      door.angle = Math.abs(remaining) <= step ? door.targetAngle : door.angle + Math.sign(remaining) * step;
+      door.pivot.rotation.y = door.baseAngle + door.angle;
+      if (door.angle === door.targetAngle) this._updateObstacle(door);
+    }
+  }
+
+  // --- Internals ---
+
+  _swingOpen(door, userPosition) {
+    // Swing to the far side of the doorway from the user
+    const side = (userPosition.x - door.position.x) * door.normal.x +
+                 (userPosition.z - door.position.z) * door.normal.z;
+    door.isOpen = true;
+    door.targetAngle = this._openAngle(door, side >= 0 ? -1 : 1);
+  }
+
+  /**
+   * Hinge angle that lays the panel out on one side of the wall.
+   * @param {number} side - +1 or -1 along the door's normal
+   */
+  _openAngle(door, side) {
+    // The panel points along the pivot's local +x, which a turn of `a` takes
+    // to (cos a, 0, -sin a): for x walls +z needs -90°, for z walls +x needs +90°
+    return (door.alongX ? -side : side) * Math.PI / 2;
+  }
+
+  /**
+   * Doors block the cat unless they've finished opening.
+   */
+  _updateObstacle(door) {
+    if (!this.navGrid) return;
+    const blocking = !door.isOpen || door.angle !== door.targetAngle;
+    this.navGrid.setObstacle(door.id, blocking ? door.closedBox : null);
+  }
+}
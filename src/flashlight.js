@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import { rng } from './random.js';
+
+/**
+ * Flashlight -- a torch held in front of the player's camera.
+ *
+ * The battery drains while it's on and is topped up by battery pickups.
+ * When it runs low the beam starts to flicker, and once it's flat the light
+ * won't switch back on until the player finds another battery.
+ */
+
+const BEAM_COLOR = 0xFFF2D6;
+const BEAM_INTENSITY = 8;
+const BEAM_RANGE = 14;                                // metres
+const BEAM_HALF_ANGLE = THREE.MathUtils.degToRad(22);
+const BEAM_PENUMBRA = 0.4;
+const DRAIN_TIME = 90;          // seconds of light from a full battery
+const LOW_BATTERY = 0.15;       // below this the beam flickers
+const FLICKER_CHANCE = 0.08;    // per frame, while low
+
+export class Flashlight {
+  /**
+   * @param {THREE.Camera} camera - Must already be in the scene
+   * @param {THREE.Object3D[]} collidables - Meshes that stop the beam
+   */
+  constructor(camera, collidables = []) {
+    this.camera = camera;
+    this.collidables = collidables;
+    this.isOn = false;
+    this.battery = 1; // 0..1
+
+    // Held low and to the right, pointing where the player looks
+    this.light = new THREE.SpotLight(BEAM_COLOR, 0, BEAM_RANGE, BEAM_HALF_ANGLE, BEAM_PENUMBRA);
+    this.light.position.set(0.2, -0.2, 0);
+    this.light.castShadow = true;
+    this.light.shadow.mapSize.width = 512;
+    this.light.shadow.mapSize.height = 512;
+    this.light.target.position.set(0.2, -0.2, -1);
+    camera.add(this.light);
+    camera.add(this.light.target);
+
+    this._raycaster = new THREE.Raycaster();
+    this._raycaster.near = 0;
+    this._origin = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+    this._toTarget = new THREE.Vector3();
+
+    // The low-battery flicker
+    this.random = rng.stream('flashlight');
+  }
+
+  /**
+   * Switch on or off. A flat battery won't switch on.
+   * @returns {boolean} Whether the state changed
+   */
+  toggle() {
+    if (!this.isOn && this.battery <= 0) return false;
+    this.isOn = !this.isOn;
+    this.light.intensity = this.isOn ? BEAM_INTENSITY : 0;
+    return true;
+  }
+
+  /**
+   * Top up the battery.
+   * @param {number} amount - 0..1 of a full charge
+   */
+  recharge(amount) {
+    this.battery = Math.min(1, this.battery + amount);
+  }
+
+  /**
+   * Drain the battery and flicker when it's nearly flat.
+   * @param {number} delta
+   */
+  update(delta) {
+    if (!this.isOn) return;
+
+    this.battery = Math.max(0, this.battery - delta / DRAIN_TIME);
+    if (this.battery === 0) {
+      this.isOn = false;
+      this.light.intensity = 0;
+      return;
+    }
+
+    // Dimmer as it runs down, and unsteady once it's low
+    const strength = 0.5 + 0.5 * Math.min(1, this.battery / 0.5);
+    let intensity = BEAM_INTENSITY * strength;
+    if (this.battery < LOW_BATTERY && this.random.chance(FLICKER_CHANCE)) {
+      intensity *= this.random.range(0, 0.3);
+    }
+    this.light.intensity = intensity;
+  }
+
+  /**
+   * Whether the beam is shining on a point: on, in range, inside the cone
+   * and with nothing in the way.
+   * @param {THREE.Vector3} position
+   * @returns {boolean}
+   */
+  illuminates(position) {
+    if (!this.isOn) return false;
+
+    this.camera.getWorldPosition(this._origin);
+    this.camera.getWorldDirection(this._direction);
+    this._toTarget.subVectors(position, this._origin);
+    const distance = this._toTarget.length();
+    if (distance > BEAM_RANGE) return false;
+    if (distance < 0.01) return true;
+
+    this._toTarget.divideScalar(distance);
+    if (this._toTarget.dot(this._direction) < Math.cos(BEAM_HALF_ANGLE)) return false;
+
+    this._raycaster.set(this._origin, this._toTarget);
+    this._raycaster.far = distance;
+    return this._raycaster.intersectObjects(this.collidables, true).length === 0;
+  }
+
+  /**
+   * Off, with a full battery.
+   */
+  reset() {
+    this.isOn = false;
+    this.battery = 1;
+    this.light.intensity = 0;
+  }
+}
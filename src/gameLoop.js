@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+/**
+ * GameLoop -- steps the game at a fixed rate, however fast the screen draws.
+ *
+ * Real time since the last frame, times the time scale, builds up; the game
+ * is stepped FIXED_STEP at a time for as long as there's a whole step's
+ * worth. A long hitch (the tab in the background, a slow frame) counts for
+ * at most MAX_FRAME_TIME, so nothing moves further in one frame than it
+ * would in a few steps.
+ *
+ * Whatever's left over says how far the screen is between the last step and
+ * the next. Objects handed to track() are drawn that far between where the
+ * last two steps left them, so movement looks smooth whatever the screen's
+ * refresh rate.
+ *
+ * The time scale slows the game down, or stops it at 0. Every step is still
+ * FIXED_STEP of game time; the scale only changes how many of them a second
+ * of real time is worth, so the game plays out the same at any speed.
+ */
+
+export const FIXED_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25; // seconds of real time one frame can make up
+
+export class GameLoop {
+  /**
+   * @param {function(number): void} step - Moves the game on by one step (seconds)
+   */
+  constructor(step) {
+    this.step = step;
+    this.timeScale = 1;
+
+    // How far between the last step and the next the screen is, 0..1
+    this.alpha = 0;
+
+    this._accumulator = 0;
+    this._tracked = [];
+  }
+
+  /**
+   * Draw an object between steps. Its position is blended; its rotation too
+   * if asked (not the camera's — mouse look moves it between steps).
+   * @param {THREE.Object3D} object
+   * @param {Object} [opts]
+   * @param {boolean} [opts.position=true]
+   * @param {boolean} [opts.rotation=false]
+   */
+  track(object, { position = true, rotation = false } = {}) {
+    this._tracked.push({
+      object,
+      position,
+      rotation,
+      previousPosition: object.position.clone(),
+      currentPosition: new THREE.Vector3(),
+      previousQuaternion: object.quaternion.clone(),
+      currentQuaternion: new THREE.Quaternion(),
+    });
+  }
+
+  /**
+   * Drop the time left over from the last frame and draw everything where
+   * it is — after a pause, or a jump like a respawn that shouldn't be
+   * blended across.
+   */
+  reset() {
+    this._accumulator = 0;
+    this.alpha = 0;
+    this._remember();
+  }
+
+  /**
+   * Step the game for the real time since the last frame.
+   * @param {number} delta - Seconds
+   * @returns {number} How many steps were taken
+   */
+  advance(delta) {
+    this._accumulator += Math.min(delta, MAX_FRAME_TIME) * this.timeScale;
+
+    let steps = 0;
+    while (this._accumulator >= FIXED_STEP) {
+      this._accumulator -= FIXED_STEP;
+      this._remember();
+      this.step(FIXED_STEP);
+      steps++;
+    }
+    this.alpha = this._accumulator / FIXED_STEP;
+    return steps;
+  }
+
+  /**
+   * Draw with tracked objects blended between their last two steps, then
+   * put them back where the game has them.
+   * @param {Function} draw
+   */
+  render(draw) {
+    for (const tracked of this._tracked) {
+      const { object } = tracked;
+      if (tracked.position) {
+        tracked.currentPosition.copy(object.position);
+        object.position.lerpVectors(tracked.previousPosition, tracked.currentPosition, this.alpha);
+      }
+      if (tracked.rotation) {
+        tracked.currentQuaternion.copy(object.quaternion);
+        object.quaternion.slerpQuaternions(tracked.previousQuaternion, tracked.currentQuaternion, this.alpha);
+      }
+    }
+
+    draw();
+
+    for (const tracked of this._tracked) {
+      if (tracked.position) tracked.object.position.copy(tracked.currentPosition);
+      if (tracked.rotation) tracked.object.quaternion.copy(tracked.currentQuaternion);
+    }
+  }
+
+  /**
+   * Note where everything is before a step.
+   */
+  _remember() {
+    for (const tracked of this._tracked) {
+      tracked.previousPosition.copy(tracked.object.position);
+      tracked.previousQuaternion.copy(tracked.object.quaternion);
+    }
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * GameStateMachine -- which phase the game is in, and who needs to know.
+ *
+ *   MENU     the launcher is up; nothing is running
+ *   PLAYING  the game loop runs
+ *   PAUSED   the pause menu is up
+ *   HIT      Spencer got the player but they have lives left; a respawn follows
+ *   DEAD     out of lives or out of time; the game over screen follows
+ *   WON      the level's objectives are done; the win screen is up
+ *
+ * Only the moves in TRANSITIONS are allowed — anything else is a bug and
+ * throws. The HUD, screens, sounds and touch controls subscribe to entering
+ * or leaving a state rather than each caller tidying up after itself.
+ */
+
+const GAME_STATE = {
+  MENU: 'menu',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  HIT: 'hit',
+  DEAD: 'dead',
+  WON: 'won',
+};
+
+export { GAME_STATE };
+
+const TRANSITIONS = {
+  [GAME_STATE.MENU]: [GAME_STATE.PLAYING],
+  [GAME_STATE.PLAYING]: [GAME_STATE.PAUSED, GAME_STATE.HIT, GAME_STATE.DEAD, GAME_STATE.WON],
+  [GAME_STATE.PAUSED]: [GAME_STATE.PLAYING],
+  [GAME_STATE.HIT]: [GAME_STATE.PLAYING],
+  [GAME_STATE.DEAD]: [GAME_STATE.MENU],
+  [GAME_STATE.WON]: [GAME_STATE.MENU],
+};
+
+export class GameStateMachine {
+  constructor() {
+    this.state = GAME_STATE.MENU;
+
+    // Listeners: 'change', 'enter:<state>' and 'exit:<state>' => [callback]
+    this._listeners = new Map();
+  }
+
+  /**
+   * Whether the game is in any of the given states.
+   * @param {...string} states
+   * @returns {boolean}
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Whether moving to a state is allowed from the current one.
+   * @param {string} state
+   * @returns {boolean}
+   */
+  can(state) {
+    return TRANSITIONS[this.state].includes(state);
+  }
+
+  /**
+   * Move to another state: exit hooks for the old one run first, then enter
+   * hooks for the new one, then change listeners.
+   * @param {string} state - One of GAME_STATE
+   * @param {Object} [payload] - Passed to the hooks (e.g. the game over reason)
+   */
+  transition(state, payload = {}) {
+    if (!this.can(state)) {
+      throw new Error(`Can't go from ${this.state} to ${state}`);
+    }
+    const from = this.state;
+    this._emit(`exit:${from}`, { from, to: state, ...payload });
+    this.state = state;
+    this._emit(`enter:${state}`, { from, to: state, ...payload });
+    this._emit('change', { from, to: state, ...payload });
+  }
+
+  // --- Subscriptions (each returns a function that unsubscribes) ---
+
+  /**
+   * @param {string} state
+   * @param {Function} callback - callback({ from, to, ...payload })
+   * @returns {Function}
+   */
+  onEnter(state, callback) {
+    return this._on(`enter:${state}`, callback);
+  }
+
+  /**
+   * @param {string} state
+   * @param {Function} callback - callback({ from, to, ...payload })
+   * @returns {Function}
+   */
+  onExit(state, callback) {
+    return this._on(`exit:${state}`, callback);
+  }
+
+  /**
+   * Every transition.
+   * @param {Function} callback - callback({ from, to, ...payload })
+   * @returns {Function}
+   */
+  onChange(callback) {
+    return this._on('change', callback);
+  }
+
+  // --- Internals ---
+
+  _on(event, callback) {
+    if (!this._listeners.has(event)) this._listeners.set(event, []);
+    this._listeners.get(event).push(callback);
+    return () => {
+      const listeners = this._listeners.get(event);
+      const index = listeners.indexOf(callback);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  _emit(event, details) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+    for (const callback of [...listeners]) callback(details);
+  }
+}
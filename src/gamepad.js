@@ -0,0 +1,255 @@
+/**
+ * Gamepad Controls for Xbox and PlayStation controllers (the Gamepad API).
+ *
+ * Polled once a frame: the left stick moves (as fast as it's pushed), the
+ * right stick looks around, the triggers sprint and crouch, and the face
+ * buttons use, switch the light and use items. START pauses and resumes,
+ * BACK / SHARE shows the help. While paused, the d-pad turns the look speed
+ * up or down.
+ *
+ * Buttons are read by their place in the browser's "standard" layout, which
+ * both kinds of controller report:
+ *
+ *   A / ✕  use          LT / L2   crouch (hold)      LB / L1  previous item
+ *   B / ○  crouch       RT / R2   sprint (hold)      RB / R1  next item
+ *   X / □  use item     START     pause / resume
+ *   Y / △  flashlight   BACK      help
+ */
+
+import { Euler } from 'three';
+import { GAME_STATE } from './gameState.js';
+
+// ── Constants ────────────────────────────────────────────────────────────────
+
+const BUTTON = {
+  A: 0, B: 1, X: 2, Y: 3,
+  LB: 4, RB: 5, LT: 6, RT: 7,
+  BACK: 8, START: 9,
+  DPAD_LEFT: 14, DPAD_RIGHT: 15,
+};
+const AXIS = { LEFT_X: 0, LEFT_Y: 1, RIGHT_X: 2, RIGHT_Y: 3 };
+
+const STICK_DEAD_ZONE = 0.15;    // fraction of the stick's travel that's ignored
+const TRIGGER_THRESHOLD = 0.3;   // how far a trigger goes down to count as held
+const LOOK_SPEED = 2.5;          // radians per second at full tilt, sensitivity 1
+const LOOK_CURVE = 2;            // power the tilt is raised to, for finer aim near the middle
+const PITCH_LIMIT = Math.PI / 2 - 0.05; // clamp to avoid gimbal flip
+
+export const DEFAULT_LOOK_SENSITIVITY = 1;
+export const MIN_LOOK_SENSITIVITY = 0.25;
+export const MAX_LOOK_SENSITIVITY = 2.5;
+export const LOOK_SENSITIVITY_STEP = 0.25;
+
+// Reusable Euler for camera rotation (YXZ matches PointerLockControls)
+const _euler = new Euler(0, 0, 0, 'YXZ');
+
+// ── GamepadControls class ───────────────────────────────────────────────────
+
+export class GamepadControls {
+  /**
+   * @param {Object} opts
+   * @param {import('./player.js').Player} opts.player
+   * @param {THREE.Camera} opts.camera
+   * @param {import('./screens.js').HelpOverlay} opts.helpOverlay
+   * @param {import('./gameState.js').GameStateMachine} opts.game  Sticks,
+   *   triggers and buttons only work while it's PLAYING; START pauses it
+   * @param {Function} opts.onAction  onAction(name, arg?) for the face and
+   *   shoulder buttons: 'interact', 'toggleCrouch', 'toggleLight', 'useItem'
+   *   or 'cycleSlot' (+1 / -1)
+   * @param {Function} opts.onResume  START while paused
+   * @param {Function} [opts.onLookSensitivity]  onLookSensitivity(value) when
+   *   the d-pad changes it
+   * @param {Function} [opts.onActiveChange]  onActiveChange(active) when a
+   *   controller is picked up or unplugged
+   * @param {number} [opts.lookSensitivity]
+   */
+  constructor({ player, camera, helpOverlay, game, onAction, onResume, onLookSensitivity = null, onActiveChange = null, lookSensitivity = DEFAULT_LOOK_SENSITIVITY }) {
+    this.player = player;
+    this.camera = camera;
+    this.helpOverlay = helpOverlay;
+    this.game = game;
+    this.onAction = onAction;
+    this.onResume = onResume;
+    this.onLookSensitivity = onLookSensitivity;
+    this.onActiveChange = onActiveChange;
+    this.lookSensitivity = lookSensitivity;
+
+    // Whether a controller has been used since one was last plugged in —
+    // main.js stops waiting on the mouse while it has
+    this.active = false;
+
+    // The controller last pressed or pushed (rumble goes to it)
+    this._padIndex = null;
+
+    // Last frame's buttons, to catch presses, and the held ones driving keys
+    this._pressed = new Set();
+    this._sprinting = false;
+    this._crouching = false;
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+      if (e.gamepad.index !== this._padIndex) return;
+      this._padIndex = null;
+      this.active = false;
+      this._release();
+      if (this.onActiveChange) this.onActiveChange(false);
+      // Batteries going flat mid-game shouldn't leave the cat running
+      if (game.is(GAME_STATE.PLAYING)) game.transition(GAME_STATE.PAUSED);
+    });
+
+    // Let go of everything when the game stops
+    game.onExit(GAME_STATE.PLAYING, () => this._release());
+  }
+
+  /**
+   * Read the controllers and act on them. Call once a frame, paused or not.
+   * @param {number} delta - Seconds of real time since the last frame
+   */
+  update(delta) {
+    const pad = this._findPad();
+    if (!pad) return;
+
+    const pressed = new Set();
+    pad.buttons.forEach((button, i) => {
+      if (button.pressed) pressed.add(i);
+    });
+    const justPressed = (button) => pressed.has(button) && !this._pressed.has(button);
+    this._pressed = pressed;
+
+    // --- Pause menu ---
+    if (this.game.is(GAME_STATE.PAUSED)) {
+      if (justPressed(BUTTON.START)) this.onResume();
+      if (justPressed(BUTTON.DPAD_LEFT)) this.setLookSensitivity(this.lookSensitivity - LOOK_SENSITIVITY_STEP, true);
+      if (justPressed(BUTTON.DPAD_RIGHT)) this.setLookSensitivity(this.lookSensitivity + LOOK_SENSITIVITY_STEP, true);
+      return;
+    }
+    if (!this.game.is(GAME_STATE.PLAYING)) return;
+
+    // --- Buttons ---
+    if (justPressed(BUTTON.START)) {
+      this.game.transition(GAME_STATE.PAUSED);
+      return;
+    }
+    if (justPressed(BUTTON.BACK)) this.helpOverlay.toggle();
+    if (justPressed(BUTTON.A)) this.onAction('interact');
+    if (justPressed(BUTTON.B)) this.onAction('toggleCrouch');
+    if (justPressed(BUTTON.X)) this.onAction('useItem');
+    if (justPressed(BUTTON.Y)) this.onAction('toggleLight');
+    if (justPressed(BUTTON.LB)) this.onAction('cycleSlot', -1);
+    if (justPressed(BUTTON.RB)) this.onAction('cycleSlot', 1);
+
+    // --- Triggers (held) — only touch the keys when they change, so the
+    // keyboard's shift still works alongside ---
+    const sprinting = triggerHeld(pad, BUTTON.RT);
+    if (sprinting !== this._sprinting) this.player.keys.sprint = this._sprinting = sprinting;
+    const crouching = triggerHeld(pad, BUTTON.LT);
+    if (crouching !== this._crouching) this.player.keys.crouch = this._crouching = crouching;
+
+    // --- Left stick: move (stick up is -1) ---
+    const [moveX, moveY] = deadZone(pad.axes[AXIS.LEFT_X], pad.axes[AXIS.LEFT_Y]);
+    this.player.stick.set(moveX, -moveY);
+
+    // --- Right stick: look ---
+    const [lookX, lookY] = deadZone(pad.axes[AXIS.RIGHT_X], pad.axes[AXIS.RIGHT_Y]);
+    if (lookX !== 0 || lookY !== 0) this._applyLook(lookX, lookY, delta);
+  }
+
+  /**
+   * @param {number} value - 1 is the default look speed
+   * @param {boolean} [notify] - Tell onLookSensitivity (changed on the controller)
+   */
+  setLookSensitivity(value, notify = false) {
+    const clamped = Math.min(MAX_LOOK_SENSITIVITY, Math.max(MIN_LOOK_SENSITIVITY, value));
+    if (clamped === this.lookSensitivity) return;
+    this.lookSensitivity = clamped;
+    if (notify && this.onLookSensitivity) this.onLookSensitivity(clamped);
+  }
+
+  /**
+   * Shake the controller, if it can.
+   * @param {number} duration - Milliseconds
+   * @param {number} strong - Low-frequency motor, 0..1
+   * @param {number} weak - High-frequency motor, 0..1
+   */
+  rumble(duration, strong, weak) {
+    if (!this.active) return;
+    const pad = navigator.getGamepads()[this._padIndex];
+    const actuator = pad && pad.vibrationActuator;
+    if (!actuator || !actuator.playEffect) return;
+    actuator.playEffect('dual-rumble', { duration, strongMagnitude: strong, weakMagnitude: weak })
+      .catch(() => {
+        // Some browsers list an actuator but won't play the effect — nothing lost
+      });
+  }
+
+  // ── Polling ──────────────────────────────────────────────────────────────
+
+  /**
+   * The controller to read: the one in use, or the first to press a button
+   * or push a stick. Picking one up makes the controls active.
+   * @returns {Gamepad|null}
+   */
+  _findPad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    if (this._padIndex !== null && pads[this._padIndex]) return pads[this._padIndex];
+
+    for (const pad of pads) {
+      if (!pad || !pad.connected) continue;
+      const touched = pad.buttons.some(button => button.pressed) ||
+        pad.axes.some(axis => Math.abs(axis) > STICK_DEAD_ZONE);
+      if (touched) {
+        this._padIndex = pad.index;
+        this.active = true;
+        // Held since before it was picked up: not a fresh press
+        this._pressed = new Set(pad.buttons.flatMap((button, i) => (button.pressed ? [i] : [])));
+        if (this.onActiveChange) this.onActiveChange(true);
+        return pad;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Let go of the sticks and triggers.
+   */
+  _release() {
+    this.player.stick.set(0, 0);
+    if (this._sprinting) this.player.keys.sprint = this._sprinting = false;
+    if (this._crouching) this.player.keys.crouch = this._crouching = false;
+  }
+
+  // ── Camera look ──────────────────────────────────────────────────────────
+
+  /**
+   * Turn the camera by the right stick, the same way a mouse turns it in
+   * PointerLockControls (Euler YXZ quaternion approach).
+   */
+  _applyLook(x, y, delta) {
+    const speed = LOOK_SPEED * this.lookSensitivity * delta;
+    _euler.setFromQuaternion(this.camera.quaternion);
+
+    _euler.y -= Math.sign(x) * Math.abs(x) ** LOOK_CURVE * speed;
+    _euler.x -= Math.sign(y) * Math.abs(y) ** LOOK_CURVE * speed;
+
+    // Clamp pitch
+    _euler.x = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, _euler.x));
+
+    this.camera.quaternion.setFromEuler(_euler);
+  }
+}
+
+/**
+ * A stick's position with the dead zone taken out: 0 inside it, and rising
+ * smoothly from the edge so the slowest walk isn't a jump.
+ * @returns {number[]} [x, y], each -1..1
+ */
+function deadZone(x, y) {
+  const tilt = Math.min(1, Math.hypot(x, y));
+  if (tilt < STICK_DEAD_ZONE) return [0, 0];
+  const scale = (tilt - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE) / Math.hypot(x, y);
+  return [x * scale, y * scale];
+}
+
+function triggerHeld(pad, index) {
+  const button = pad.buttons[index];
+  return !!button && (button.pressed || button.value > TRIGGER_THRESHOLD);
+}
@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+import { Player } from './player.js';
+import { Simulation } from './simulation.js';
+import { DIFFICULTIES } from './difficulty.js';
+import { rng } from './random.js';
+import houseLevel from './levels/house.json' with { type: 'json' };
+
+/**
+ * Headless game -- a Simulation with a keyboardless Player, no renderer and
+ * no DOM, for running in Node: the tests step one, and so do the playtest
+ * bots (see tools/).
+ */
+
+/**
+ * Build a house and everything in it, ready to step.
+ * @param {Object} [options]
+ * @param {Object} [options.level] - Level data; the hand-made house by default
+ * @param {string} [options.difficulty] - Preset id
+ * @param {string|number} [options.seed] - Run seed, so the cat decides the same every time
+ * @returns {Simulation}
+ */
+export function createSimulation({ level = houseLevel, difficulty = 'normal', seed = 'test' } = {}) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+  const player = new Player(camera, scene);
+  player.setMobileMode(true);
+
+  const sim = new Simulation(scene, level, player);
+
+  // There's no model file to fetch in Node, so go straight to the box cat
+  // (a failed load() leaves three's loader waiting on the URL for good)
+  sim.cat.useFallbackModel();
+
+  sim.scene.updateMatrixWorld();
+  sim.setDifficulty(DIFFICULTIES[difficulty]);
+  rng.reseed(seed);
+  sim.startRun();
+  return sim;
+}
@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+
+/**
+ * HidingSpotManager -- finds the hiding spot (closet, under the bed, behind
+ * the couch...) the player is looking at, from the rooms' hide volumes.
+ */
+
+const HIDE_REACH = 2; // metres from the camera to the hide volume
+
+export class HidingSpotManager {
+  /**
+   * @param {object[]} rooms - Rooms from createHouse (each with world-space hideSpots)
+   */
+  constructor(rooms) {
+    this.spots = rooms.flatMap(room => room.hideSpots);
+
+    this._ray = new THREE.Ray();
+    this._hit = new THREE.Vector3();
+  }
+
+  /**
+   * The nearest hiding spot the camera is aimed at, within reach.
+   * @param {THREE.Camera} camera
+   * @returns {Object|null}
+   */
+  spotInView(camera) {
+    camera.getWorldPosition(this._ray.origin);
+    camera.getWorldDirection(this._ray.direction);
+
+    let best = null;
+    let bestDistance = HIDE_REACH;
+    for (const spot of this.spots) {
+      if (!this._ray.intersectBox(spot.volume, this._hit)) continue;
+      const distance = this._hit.distanceTo(this._ray.origin);
+      if (distance < bestDistance) {
+        best = spot;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+}
@@ -1,95 +1,68 @@
 import * as THREE from 'three';
-import { createKitchen } from './rooms/kitchen.js';
-import { createHallway } from './rooms/hallway.js';
-import { createLivingRoom } from './rooms/livingRoom.js';
-import { createBedroom } from './rooms/bedroom.js';
+import { validateLevel } from './level.js';
 
 const ROOM_HEIGHT = 3;
-const DOOR_WIDTH = 1.2;
-const DOOR_HEIGHT = 2.2;
+export const DOOR_WIDTH = 1.2;
+export const DOOR_HEIGHT = 2.2;
 const WALL_THICKNESS = 0.15;
+const AMBUSH_INSET = 0.8; // how far inside a door the cat waits to ambush
+
+// Which way each wall faces out of the room, and the axis doors slide along
+export const WALL_SIDES = {
+  north: { normal: [0, 1], along: 'x' },   // +z
+  south: { normal: [0, -1], along: 'x' },  // -z
+  east: { normal: [1, 0], along: 'z' },    // +x
+  west: { normal: [-1, 0], along: 'z' },   // -x
+};
+export const OPPOSITE_SIDE = { north: 'south', south: 'north', east: 'west', west: 'east' };
 
 /**
- * Creates a wall mesh (solid or with a doorway gap).
+ * Creates a wall mesh (solid or with doorway gaps).
+ * Doorways are given as offsets of the door centre along the wall's local
+ * x axis; `true` means a single centred door.
  * Returns an array of meshes that make up the wall.
  */
-function buildWall(width, height, position, rotationY, hasDoor, wallMaterial) {
+function buildWall(width, height, position, rotationY, doors, wallMaterial) {
   const meshes = [];
+  const doorOffsets = doors === true ? [0] : (doors || []);
+  const halfDoor = DOOR_WIDTH / 2;
+  const topHeight = height - DOOR_HEIGHT;
 
-  if (!hasDoor) {
-    // Solid wall
-    const geo = new THREE.BoxGeometry(width, height, WALL_THICKNESS);
-    const wall = new THREE.Mesh(geo, wallMaterial);
-    wall.position.copy(position);
-    wall.position.y = height / 2;
-    if (rotationY) wall.rotation.y = rotationY;
-    wall.castShadow = true;
-    wall.receiveShadow = true;
-    meshes.push(wall);
-  } else {
-    // Wall with doorway: left segment, right segment, top piece above door
-    const halfDoor = DOOR_WIDTH / 2;
-    const leftWidth = (width / 2) - halfDoor;
-    const rightWidth = (width / 2) - halfDoor;
-    const topHeight = height - DOOR_HEIGHT;
-
-    // Direction vector perpendicular to the wall for offset calculation
-    const dir = new THREE.Vector3(1, 0, 0);
+  // Place a wall piece centred `offsetX` along the wall's local x axis
+  const addPiece = (pieceWidth, pieceHeight, offsetX, y) => {
+    const geo = new THREE.BoxGeometry(pieceWidth, pieceHeight, WALL_THICKNESS);
+    const piece = new THREE.Mesh(geo, wallMaterial);
+    piece.position.copy(position);
+    piece.position.y = y;
     if (rotationY) {
-      dir.applyAxisAngle(new THREE.Vector3(0, 1, 0), rotationY);
-    }
-
-    // Left segment
-    if (leftWidth > 0.01) {
-      const leftGeo = new THREE.BoxGeometry(leftWidth, height, WALL_THICKNESS);
-      const leftWall = new THREE.Mesh(leftGeo, wallMaterial);
-      // Position: shift left by half the remaining wall + half the door
-      const offsetX = -(halfDoor + leftWidth / 2);
-      leftWall.position.copy(position);
-      leftWall.position.y = height / 2;
-      if (rotationY) {
-        leftWall.rotation.y = rotationY;
-        // Offset along the wall's local X axis
-        leftWall.position.x += Math.cos(rotationY) * offsetX;
-        leftWall.position.z += -Math.sin(rotationY) * offsetX;
-      } else {
-        leftWall.position.x += offsetX;
-      }
-      leftWall.castShadow = true;
-      leftWall.receiveShadow = true;
-      meshes.push(leftWall);
+      piece.rotation.y = rotationY;
+      piece.position.x += Math.cos(rotationY) * offsetX;
+      piece.position.z += -Math.sin(rotationY) * offsetX;
+    } else {
+      piece.position.x += offsetX;
     }
+    piece.castShadow = true;
+    piece.receiveShadow = true;
+    meshes.push(piece);
+  };
 
-    // Right segment
-    if (rightWidth > 0.01) {
-      const rightGeo = new THREE.BoxGeometry(rightWidth, height, WALL_THICKNESS);
-      const rightWall = new THREE.Mesh(rightGeo, wallMaterial);
-      const offsetX = halfDoor + rightWidth / 2;
-      rightWall.position.copy(position);
-      rightWall.position.y = height / 2;
-      if (rotationY) {
-        rightWall.rotation.y = rotationY;
-        rightWall.position.x += Math.cos(rotationY) * offsetX;
-        rightWall.position.z += -Math.sin(rotationY) * offsetX;
-      } else {
-        rightWall.position.x += offsetX;
-      }
-      rightWall.castShadow = true;
-      rightWall.receiveShadow = true;
-      meshes.push(rightWall);
+  // Solid segments run between the doorways, left to right
+  const sorted = [...doorOffsets].sort((a, b) => a - b);
+  let segmentStart = -width / 2;
+  for (const offset of sorted) {
+    const segmentEnd = offset - halfDoor;
+    if (segmentEnd - segmentStart > 0.01) {
+      addPiece(segmentEnd - segmentStart, height, (segmentStart + segmentEnd) / 2, height / 2);
     }
 
     // Top piece above door
     if (topHeight > 0.01) {
-      const topGeo = new THREE.BoxGeometry(DOOR_WIDTH, topHeight, WALL_THICKNESS);
-      const topWall = new THREE.Mesh(topGeo, wallMaterial);
-      topWall.position.copy(position);
-      topWall.position.y = DOOR_HEIGHT + topHeight / 2;
-      if (rotationY) topWall.rotation.y = rotationY;
-      topWall.castShadow = true;
-      topWall.receiveShadow = true;
-      meshes.push(topWall);
+      addPiece(DOOR_WIDTH, topHeight, offset, DOOR_HEIGHT + topHeight / 2);
     }
+    segmentStart = offset + halfDoor;
+  }
+  if (width / 2 - segmentStart > 0.01) {
+    addPiece(width / 2 - segmentStart, height, (segmentStart + width / 2) / 2, height / 2);
   }
 
   return meshes;
@@ -134,10 +107,11 @@ export function createRoom(width, depth, height, position, floorColor, wallColor
    * @param {number} wallHeight
    * @param {THREE.Vector3} wallPos - Center-bottom of the wall
    * @param {number} rotationY
-   * @param {boolean} hasDoor
+   * @param {boolean|number[]} doors - true for one centred doorway, or the
+   *   offsets of each doorway along the wall
    */
-  function addWall(wallWidth, wallHeight, wallPos, rotationY, hasDoor) {
-    const meshes = buildWall(wallWidth, wallHeight, wallPos, rotationY, hasDoor, wallMaterial);
+  function addWall(wallWidth, wallHeight, wallPos, rotationY, doors) {
+    const meshes = buildWall(wallWidth, wallHeight, wallPos, rotationY, doors, wallMaterial);
     meshes.forEach(m => {
       group.add(m);
       collidables.push(m);
@@ -149,27 +123,261 @@ export function createRoom(width, depth, height, position, floorColor, wallColor
 }
 
 /**
- * Creates the entire house by calling each room creator and assembling them.
+ * Build one furniture primitive from level data.
+ * Materials are shared between primitives with identical colours.
+ * @param {Object} def - Primitive definition (see level.js)
+ * @param {Map<string, THREE.Material>} materials - Per-room material cache
+ * @returns {THREE.Object3D}
+ */
+function buildPrimitive(def, materials) {
+  if (def.shape === 'pointLight') {
+    const light = new THREE.PointLight(def.color, def.intensity, def.distance || 0);
+    light.position.fromArray(def.position);
+    return light;
+  }
+
+  const key = `${def.color}|${def.emissive || ''}|${def.emissiveIntensity || ''}`;
+  let material = materials.get(key);
+  if (!material) {
+    material = new THREE.MeshStandardMaterial({ color: def.color });
+    if (def.emissive) {
+      material.emissive.set(def.emissive);
+      material.emissiveIntensity = def.emissiveIntensity ?? 1;
+    }
+    materials.set(key, material);
+  }
+
+  let geometry;
+  if (def.shape === 'cylinder') {
+    const [radiusTop, radiusBottom, height] = def.size;
+    geometry = new THREE.CylinderGeometry(radiusTop, radiusBottom, height, def.segments || 8);
+  } else {
+    geometry = new THREE.BoxGeometry(...def.size);
+  }
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.fromArray(def.position);
+  if (def.rotation) mesh.rotation.fromArray(def.rotation);
+  mesh.castShadow = def.castShadow !== false;
+  mesh.receiveShadow = !!def.receiveShadow;
+  if (def.name) mesh.name = def.name;
+  return mesh;
+}
+
+/**
+ * Convert a room-relative zone from level data into world space.
+ */
+function toWorldZone(zone, origin) {
+  return {
+    min: new THREE.Vector3().fromArray(zone.min).add(origin),
+    max: new THREE.Vector3().fromArray(zone.max).add(origin),
+  };
+}
+
+/**
+ * World XZ position of a point `offset` along one of a room's walls.
+ */
+function wallPoint(def, side, offset) {
+  const [x, , z] = def.position;
+  const [normalX, normalZ] = WALL_SIDES[side].normal;
+  const halfW = def.size[0] / 2;
+  const halfD = def.size[1] / 2;
+  return WALL_SIDES[side].along === 'x'
+    ? { x: x + offset, z: z + normalZ * halfD }
+    : { x: x + normalX * halfW, z: z + offset };
+}
+
+/**
+ * Work out which walls of which rooms each level door cuts through.
+ * A door is declared once, on its `from` room's wall; the room on the other
+ * side gets the matching gap in its opposite wall.
+ * @returns {Map<string, Object[]>} room id -> [{ id, side, offset, to }]
+ */
+function resolveDoors(level) {
+  const defs = new Map(level.rooms.map(def => [def.id, def]));
+  const doorsByRoom = new Map(level.rooms.map(def => [def.id, []]));
+
+  for (const door of level.doors || []) {
+    const from = defs.get(door.from);
+    const offset = door.offset || 0;
+    doorsByRoom.get(from.id).push({ id: door.id, side: door.wall, offset, to: door.to || null });
+    if (!door.to) continue;
+
+    // Find the same spot on the neighbouring room's opposite wall
+    const to = defs.get(door.to);
+    const side = OPPOSITE_SIDE[door.wall];
+    const point = wallPoint(from, door.wall, offset);
+    const toOffset = WALL_SIDES[side].along === 'x' ? point.x - to.position[0] : point.z - to.position[2];
+    const onWall = wallPoint(to, side, toOffset);
+    const wallHalf = (WALL_SIDES[side].along === 'x' ? to.size[0] : to.size[1]) / 2;
+    if (Math.abs(onWall.x - point.x) > 0.01 || Math.abs(onWall.z - point.z) > 0.01 ||
+        Math.abs(toOffset) + DOOR_WIDTH / 2 > wallHalf) {
+      throw new Error(`Door "${door.id}" doesn't line up with the ${side} wall of room "${to.id}"`);
+    }
+    doorsByRoom.get(to.id).push({ id: door.id, side, offset: toOffset, to: from.id });
+  }
+
+  return doorsByRoom;
+}
+
+/**
+ * Build a room (floor, walls, furniture) and its gameplay data from a level
+ * room definition. Positions in the definition are relative to the room.
+ * @param {Object} def - Room definition (see level.js)
+ * @param {Object[]} doors - This room's doors, from resolveDoors
+ * @returns {object} Room with world-space gameplay data
+ */
+function buildRoom(def, doors) {
+  const origin = new THREE.Vector3().fromArray(def.position);
+  const [width, depth] = def.size;
+  const height = def.height || ROOM_HEIGHT;
+  const halfW = width / 2;
+  const halfD = depth / 2;
+
+  const { group, collidables, addWall } = createRoom(
+    width, depth, height, origin,
+    def.floor.color,
+    def.wallColor
+  );
+
+  // --- Walls ---
+  // East/west walls are rotated a quarter turn, so their local x runs along -z
+  const local = (x, z) => new THREE.Vector3(origin.x + x, 0, origin.z + z);
+  const offsetsOn = (side) => doors.filter(d => d.side === side).map(d => d.offset);
+  addWall(width, height, local(0, halfD), 0, offsetsOn('north'));
+  addWall(width, height, local(0, -halfD), 0, offsetsOn('south'));
+  addWall(depth, height, local(-halfW, 0), Math.PI / 2, offsetsOn('west').map(o => -o));
+  addWall(depth, height, local(halfW, 0), Math.PI / 2, offsetsOn('east').map(o => -o));
+
+  // --- Furniture ---
+  const materials = new Map();
+  for (const prim of def.furniture || []) {
+    const obj = buildPrimitive(prim, materials);
+    obj.position.add(origin);
+    group.add(obj);
+    if (prim.collidable) collidables.push(obj);
+  }
+
+  // --- Room data ---
+  const toWorld = (p) => new THREE.Vector3().fromArray(p).add(origin);
+
+  // Doors in world space; `inward` points into this room
+  const roomDoors = doors.map(door => {
+    const point = wallPoint(def, door.side, door.offset);
+    const [normalX, normalZ] = WALL_SIDES[door.side].normal;
+    return {
+      id: door.id,
+      side: door.side,
+      to: door.to,
+      position: new THREE.Vector3(point.x, 0, point.z),
+      inward: new THREE.Vector3(-normalX, 0, -normalZ),
+    };
+  });
+
+  return {
+    id: def.id,
+    name: def.name,
+    group,
+    collidables,
+    bounds: {
+      minX: origin.x - halfW, maxX: origin.x + halfW,
+      minZ: origin.z - halfD, maxZ: origin.z + halfD,
+    },
+    height,
+    lights: (def.lights || []).map(light => ({
+      position: toWorld(light.position),
+      color: new THREE.Color(light.color).getHex(),
+      intensity: light.intensity,
+      flicker: !!light.flicker,
+    })),
+    catHidingSpots: (def.catHidingSpots || []).map(toWorld),
+    doors: roomDoors,
+    // Ambush points just inside each door
+    doorways: roomDoors.map(door => door.position.clone().addScaledVector(door.inward, AMBUSH_INSET)),
+    catBehavior: def.catBehavior || {},
+    aggression: def.aggression ?? 1,
+    triggerZone: toWorldZone(def.triggerZone, origin),
+    spawnPoint: toWorld(def.spawnPoint),
+    exitZone: def.exitZone ? toWorldZone(def.exitZone, origin) : null,
+    pickups: (def.pickups || []).map(pickup => ({ ...pickup, position: toWorld(pickup.position) })),
+    hideSpots: (def.hideSpots || []).map(spot => ({
+      prompt: spot.prompt,
+      view: spot.view || 'low',
+      volume: new THREE.Box3(toWorld(spot.volume.min), toWorld(spot.volume.max)),
+      eye: toWorld(spot.eye),
+      lookAt: toWorld(spot.lookAt),
+      exit: toWorld(spot.exit),
+    })),
+    floorType: def.floor.type || 'tile',
+  };
+}
+
+/**
+ * World-space data for each level door, for the DoorManager to hang a
+ * panel in.
+ * @returns {Object[]} [{ id, from, to, position, alongX, open, locked, key, color }]
+ */
+function describeDoors(level) {
+  const defs = new Map(level.rooms.map(def => [def.id, def]));
+  return (level.doors || []).map(door => {
+    const point = wallPoint(defs.get(door.from), door.wall, door.offset || 0);
+    return {
+      id: door.id,
+      from: door.from,
+      to: door.to || null,
+      position: new THREE.Vector3(point.x, 0, point.z),
+      alongX: WALL_SIDES[door.wall].along === 'x',
+      open: !!door.open,
+      locked: !!door.locked,
+      key: door.key || null,
+      color: door.color || null,
+    };
+  });
+}
+
+/**
+ * Creates the entire house from a level definition.
  * @param {THREE.Scene} scene
- * @returns {{ rooms: object[], collidables: THREE.Mesh[] }}
+ * @param {Object} level - Level data (see level.js)
+ * @returns {{ rooms: object[], collidables: THREE.Mesh[], doors: object[], spawnRoomIndex: number }}
  */
-export function createHouse(scene) {
+export function createHouse(scene, level) {
+  validateLevel(level);
+
   const allCollidables = [];
   const rooms = [];
+  const doorsByRoom = resolveDoors(level);
 
-  // Create each room
-  const kitchen = createKitchen();
-  const hallway = createHallway();
-  const livingRoom = createLivingRoom();
-  const bedroom = createBedroom();
-
-  const roomList = [kitchen, hallway, livingRoom, bedroom];
-
-  roomList.forEach(room => {
+  level.rooms.forEach(def => {
+    const room = buildRoom(def, doorsByRoom.get(def.id));
     scene.add(room.group);
     allCollidables.push(...room.collidables);
     rooms.push(room);
   });
 
-  return { rooms, collidables: allCollidables };
+  const spawnRoomIndex = rooms.findIndex(room => room.id === level.spawnRoom);
+
+  return { rooms, collidables: allCollidables, doors: describeDoors(level), spawnRoomIndex };
+}
+
+/**
+ * Whether a position lies inside a room's XZ footprint.
+ * @param {object} room
+ * @param {THREE.Vector3} position
+ * @returns {boolean}
+ */
+export function isInsideRoom(room, position) {
+  const b = room.bounds;
+  return position.x >= b.minX && position.x <= b.maxX &&
+         position.z >= b.minZ && position.z <= b.maxZ;
+}
+
+/**
+ * Determine which room a position is in from the rooms' XZ footprints.
+ * @param {object[]} rooms
+ * @param {THREE.Vector3} position
+ * @returns {number} room index, or -1 if outside all rooms
+ */
+export function findRoomIndex(rooms, position) {
+  return rooms.findIndex(room => isInsideRoom(room, position));
 }
@@ -1,13 +1,35 @@
+import { ITEMS } from './items.js';
+import { formatDelta } from './splits.js';
+
 /**
  * HUD -- heads-up display for Angry Cat.
  *
- * Renders a stamina bar, room-name popup, and elapsed-time timer.
+ * Renders a stamina bar, noise meter, flashlight battery meter, inventory
+ * strip, objective list, room-name popup, interaction prompt, short status
+ * messages, the peek overlay while hiding, elapsed-time timer and the
+ * latest split times.
  * All DOM elements are created with createElement (no innerHTML).
  */
+
+const MAX_SPLITS_SHOWN = 4;
+
+/**
+ * m:ss for a number of seconds.
+ */
+function formatSeconds(elapsed) {
+  const totalSeconds = Math.floor(elapsed);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes + ':' + String(seconds).padStart(2, '0');
+}
+
 export class HUD {
   constructor() {
     this._elapsed = 0;
     this._roomNameTimeout = null;
+    this._messageTimeout = null;
+    this.onSlotTap = null; // callback(index), for touch
+    this._objectivesKey = '';
 
     // ── Root container ──
     this.root = document.getElementById('hud');
@@ -16,13 +38,7 @@ export class HUD {
     this.livesWrap = document.createElement('div');
     this.livesWrap.className = 'hud-lives';
     this._livesHearts = [];
-    for (let i = 0; i < 3; i++) {
-      const heart = document.createElement('span');
-      heart.className = 'hud-heart';
-      heart.textContent = '\u2764'; // ❤
-      this.livesWrap.appendChild(heart);
-      this._livesHearts.push(heart);
-    }
+    this.setMaxLives(3);
     this.root.appendChild(this.livesWrap);
 
     // ── Stamina bar ──
@@ -32,20 +48,97 @@ export class HUD {
     this.staminaBar = document.createElement('div');
     this.staminaBar.className = 'hud-stamina-bar';
     this.staminaBar.style.width = '100%';
+    this.noiseWrap.classList.remove('visible');
+    this.noiseBar.style.width = '0';
+    this.updateBattery(1, false);
 
     this.staminaWrap.appendChild(this.staminaBar);
     this.root.appendChild(this.staminaWrap);
 
+    // ── Noise meter (how loud the player is moving) ──
+    this.noiseWrap = document.createElement('div');
+    this.noiseWrap.className = 'hud-noise';
+
+    this.noiseLabel = document.createElement('span');
+    this.noiseLabel.className = 'hud-noise-label';
+
+    const noiseTrack = document.createElement('div');
+    noiseTrack.className = 'hud-noise-track';
+    this.noiseBar = document.createElement('div');
+    this.noiseBar.className = 'hud-noise-bar';
+    noiseTrack.appendChild(this.noiseBar);
+
+    this.noiseWrap.appendChild(this.noiseLabel);
+    this.noiseWrap.appendChild(noiseTrack);
+    this.root.appendChild(this.noiseWrap);
+
+    // ── Flashlight battery ──
+    this.batteryWrap = document.createElement('div');
+    this.batteryWrap.className = 'hud-battery';
+
+    const batteryLabel = document.createElement('span');
+    batteryLabel.textContent = 'LIGHT';
+
+    const batteryCell = document.createElement('div');
+    batteryCell.className = 'hud-battery-cell';
+    this.batteryLevel = document.createElement('div');
+    this.batteryLevel.className = 'hud-battery-level';
+    this.batteryLevel.style.width = '100%';
+    batteryCell.appendChild(this.batteryLevel);
+
+    this.batteryWrap.appendChild(batteryLabel);
+    this.batteryWrap.appendChild(batteryCell);
+    this.root.appendChild(this.batteryWrap);
+
+    // ── Inventory strip ──
+    this.inventoryWrap = document.createElement('div');
+    this.inventoryWrap.className = 'hud-inventory';
+
+    this.inventoryLabel = document.createElement('div');
+    this.inventoryLabel.className = 'hud-inventory-label';
+
+    this.inventorySlots = document.createElement('div');
+    this.inventorySlots.className = 'hud-inventory-slots';
+
+    this.inventoryWrap.appendChild(this.inventoryLabel);
+    this.inventoryWrap.appendChild(this.inventorySlots);
+    this.root.appendChild(this.inventoryWrap);
+
+    // ── Objectives ──
+    this.objectiveList = document.createElement('ul');
+    this.objectiveList.className = 'hud-objectives';
+    this.root.appendChild(this.objectiveList);
+
     // ── Room name ──
     this.roomName = document.createElement('div');
     this.roomName.className = 'hud-room-name';
     this.root.appendChild(this.roomName);
 
+    // ── Interaction prompt (e.g. "E — Open door") ──
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'hud-prompt';
+    this.root.appendChild(this.prompt);
+
+    // ── Status message (e.g. "Picked up the front door key") ──
+    this.message = document.createElement('div');
+    this.message.className = 'hud-message';
+    this.root.appendChild(this.message);
+
+    // ── Peek overlay (while hiding) ──
+    this.peek = document.createElement('div');
+    this.peek.className = 'hud-peek';
+    this.root.appendChild(this.peek);
+
     // ── Timer ──
     this.timer = document.createElement('div');
     this.timer.className = 'hud-timer';
     this.timer.textContent = '0:00';
     this.root.appendChild(this.timer);
+
+    // ── Split times ──
+    this.splitList = document.createElement('ul');
+    this.splitList.className = 'hud-splits';
+    this.root.appendChild(this.splitList);
   }
 
   /**
@@ -68,6 +161,46 @@ export class HUD {
     }, 2000);
   }
 
+  /**
+   * Show or hide the interaction prompt under the crosshair.
+   * @param {string|null} text
+   */
+  setPrompt(text) {
+    if (text) {
+      this.prompt.textContent = text;
+      this.prompt.classList.add('visible');
+    } else {
+      this.prompt.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Darken the view while the player is hiding.
+   * @param {string|null} view - 'slats' (closet doors), 'low' (under/behind
+   *   furniture), or null to clear
+   */
+  setPeekView(view) {
+    this.peek.className = view ? `hud-peek visible ${view}` : 'hud-peek';
+  }
+
+  /**
+   * Show a short status message that fades out after a couple of seconds.
+   * @param {string} text
+   */
+  showMessage(text) {
+    if (this._messageTimeout) {
+      clearTimeout(this._messageTimeout);
+    }
+
+    this.message.textContent = text;
+    this.message.classList.add('visible');
+
+    this._messageTimeout = setTimeout(() => {
+      this.message.classList.remove('visible');
+      this._messageTimeout = null;
+    }, 2000);
+  }
+
   /**
    * Update stamina bar width and visibility.
    * Bar is visible when sprinting or stamina < 1.
@@ -92,6 +225,97 @@ export class HUD {
     }
   }
 
+  /**
+   * Update the noise meter. Shown while crouching or making any noise;
+   * turns red once the player is louder than walking on a hard floor.
+   * @param {number} noiseLevel  0 silent, 1 walking on tile, up to ~2
+   * @param {boolean} isCrouching
+   */
+  updateNoise(noiseLevel, isCrouching) {
+    this.noiseBar.style.width = Math.min(100, noiseLevel * 50) + '%';
+    this.noiseBar.classList.toggle('loud', noiseLevel > 1.25);
+    this.noiseLabel.textContent = isCrouching ? 'SNEAKING' : 'NOISE';
+    this.noiseWrap.classList.toggle('visible', isCrouching || noiseLevel > 0.05);
+  }
+
+  /**
+   * Update the flashlight battery meter. Dim while the light is off, red
+   * when nearly flat.
+   * @param {number} battery  0..1
+   * @param {boolean} isOn
+   */
+  updateBattery(battery, isOn) {
+    this.batteryLevel.style.width = (battery * 100) + '%';
+    this.batteryLevel.classList.toggle('low', battery < 0.2);
+    this.batteryWrap.classList.toggle('on', isOn);
+  }
+
+  /**
+   * Redraw the inventory strip: one slot per kind of item, with a count for
+   * stacks, and the selected item's name above.
+   * @param {import('./inventory.js').Inventory} inventory
+   */
+  updateInventory(inventory) {
+    this.inventorySlots.replaceChildren();
+
+    inventory.slots.forEach((slot, index) => {
+      const el = document.createElement('div');
+      el.className = index === inventory.selectedIndex ? 'hud-slot selected' : 'hud-slot';
+
+      const number = document.createElement('span');
+      number.className = 'hud-slot-number';
+      number.textContent = String(index + 1);
+      el.appendChild(number);
+
+      const icon = document.createElement('span');
+      icon.className = 'hud-slot-icon';
+      icon.textContent = ITEMS[slot.type].icon;
+      el.appendChild(icon);
+
+      if (slot.units.length > 1) {
+        const count = document.createElement('span');
+        count.className = 'hud-slot-count';
+        count.textContent = String(slot.units.length);
+        el.appendChild(count);
+      }
+
+      el.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        if (this.onSlotTap) this.onSlotTap(index);
+      }, { passive: false });
+
+      this.inventorySlots.appendChild(el);
+    });
+
+    const selected = inventory.selected;
+    if (selected) {
+      const count = selected.units.length;
+      this.inventoryLabel.textContent = count > 1 ? `${count} ${ITEMS[selected.type].plural}` : selected.name;
+    } else {
+      this.inventoryLabel.textContent = '';
+    }
+    this.inventoryWrap.classList.toggle('visible', inventory.slots.length > 0);
+  }
+
+  /**
+   * Show the level's objectives, ticking off the ones that are done. Only
+   * touches the DOM when something has changed.
+   * @param {{ label: string, done: boolean, failed: boolean }[]} objectives
+   */
+  updateObjectives(objectives) {
+    const key = objectives.map(o => `${o.label}|${o.done}|${o.failed}`).join('\n');
+    if (key === this._objectivesKey) return;
+    this._objectivesKey = key;
+
+    this.objectiveList.replaceChildren();
+    for (const objective of objectives) {
+      const item = document.createElement('li');
+      item.className = objective.done ? 'done' : objective.failed ? 'failed' : '';
+      item.textContent = `${objective.done ? '\u2713' : '\u25A1'} ${objective.label}`;
+      this.objectiveList.appendChild(item);
+    }
+  }
+
   /**
    * Increment the elapsed timer and update the DOM.
    * @param {number} delta  seconds since last frame
@@ -101,20 +325,81 @@ export class HUD {
     this.timer.textContent = this.getTimeString();
   }
 
+  /**
+   * Add a split to the list, green if it's ahead of the personal best and
+   * red if behind. Only the last few stay up.
+   * @param {{ name: string, time: number, delta: number|null }} split
+   */
+  showSplit(split) {
+    const row = document.createElement('li');
+
+    const name = document.createElement('span');
+    name.className = 'hud-split-name';
+    name.textContent = split.name;
+    row.appendChild(name);
+
+    const time = document.createElement('span');
+    time.className = 'hud-split-time';
+    time.textContent = formatSeconds(split.time);
+    row.appendChild(time);
+
+    if (split.delta !== null) {
+      const delta = document.createElement('span');
+      delta.className = split.delta <= 0 ? 'hud-split-delta ahead' : 'hud-split-delta behind';
+      delta.textContent = formatDelta(split.delta);
+      row.appendChild(delta);
+    }
+
+    this.splitList.appendChild(row);
+    while (this.splitList.children.length > MAX_SPLITS_SHOWN) {
+      this.splitList.firstChild.remove();
+    }
+  }
+
+  /**
+   * Seconds on the timer.
+   * @returns {number}
+   */
+  get elapsed() {
+    return this._elapsed;
+  }
+
+  /**
+   * Set the timer, e.g. when resuming a saved game.
+   * @param {number} seconds
+   */
+  setElapsed(seconds) {
+    this._elapsed = seconds;
+    this.timer.textContent = this.getTimeString();
+  }
+
   /**
    * Return the current elapsed time formatted as m:ss.
    * @returns {string}
    */
   getTimeString() {
-    const totalSeconds = Math.floor(this._elapsed);
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    return minutes + ':' + String(seconds).padStart(2, '0');
+    return formatSeconds(this._elapsed);
+  }
+
+  /**
+   * Show one heart per life the player starts with.
+   * @param {number} count
+   */
+  setMaxLives(count) {
+    this._livesHearts = [];
+    this.livesWrap.replaceChildren();
+    for (let i = 0; i < count; i++) {
+      const heart = document.createElement('span');
+      heart.className = 'hud-heart';
+      heart.textContent = '\u2764'; // ❤
+      this.livesWrap.appendChild(heart);
+      this._livesHearts.push(heart);
+    }
   }
 
   /**
    * Update the lives display.
-   * @param {number} lives  Current number of lives (0..3)
+   * @param {number} lives  Current number of lives (0..max)
    */
   updateLives(lives) {
     for (let i = 0; i < this._livesHearts.length; i++) {
@@ -135,10 +420,20 @@ export class HUD {
     this.staminaWrap.classList.remove('visible');
     this.staminaBar.style.width = '100%';
     this.roomName.classList.remove('visible');
-    this.updateLives(3);
+    this.prompt.classList.remove('visible');
+    this.message.classList.remove('visible');
+    this.setPeekView(null);
+    this.updateLives(this._livesHearts.length);
+    this.objectiveList.replaceChildren();
+    this._objectivesKey = '';
+    this.splitList.replaceChildren();
     if (this._roomNameTimeout) {
       clearTimeout(this._roomNameTimeout);
       this._roomNameTimeout = null;
     }
+    if (this._messageTimeout) {
+      clearTimeout(this._messageTimeout);
+      this._messageTimeout = null;
+    }
   }
 }
@@ -0,0 +1,121 @@
+import { ITEMS } from './items.js';
+
+/**
+ * Inventory -- what the player is carrying.
+ *
+ * Items of the same kind stack into one slot (keys stack per door key).
+ * Each slot keeps the pickups that went into it, so an item keeps its own
+ * details (a battery's charge, a key's name) until it's used.
+ */
+
+const MAX_SLOTS = 9; // one per number key
+
+/**
+ * An item's own details without what it had in the world (its model and
+ * where it lay) — what gets saved.
+ */
+function itemData({ mesh, position, collected, dropped, ...data }) {
+  return data;
+}
+
+export class Inventory {
+  constructor() {
+    /** @type {{ id: string, type: string, name: string, units: Object[] }[]} */
+    this.slots = [];
+    this.selectedIndex = 0;
+    this.onChange = null; // callback(inventory)
+  }
+
+  /**
+   * The slot currently selected for use, if any.
+   * @returns {Object|null}
+   */
+  get selected() {
+    return this.slots[this.selectedIndex] || null;
+  }
+
+  /**
+   * Ids of every door key being carried, for DoorManager.use.
+   * @returns {Set<string>}
+   */
+  get keys() {
+    return new Set(this.slots.filter(slot => slot.type === 'key').map(slot => slot.units[0].key));
+  }
+
+  /**
+   * Put a picked-up item in its slot.
+   * @param {Object} pickup - Pickup data ({ type, name?, key?, charge? ... })
+   * @returns {boolean} False if there's no room for a new kind of item
+   */
+  add(pickup) {
+    const id = pickup.type === 'key' ? `key:${pickup.key}` : pickup.type;
+    let slot = this.slots.find(s => s.id === id);
+    if (!slot) {
+      if (this.slots.length >= MAX_SLOTS) return false;
+      slot = { id, type: pickup.type, name: pickup.name || ITEMS[pickup.type].name, units: [] };
+      this.slots.push(slot);
+    }
+    slot.units.push(pickup);
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Take one item out of a slot, emptying the slot if it was the last.
+   * @param {Object} slot
+   * @returns {Object} The pickup data that went in
+   */
+  take(slot) {
+    const unit = slot.units.pop();
+    if (slot.units.length === 0) {
+      this.slots.splice(this.slots.indexOf(slot), 1);
+      this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, this.slots.length - 1));
+    }
+    this._changed();
+    return unit;
+  }
+
+  /**
+   * Select a slot by index (ignored if it's empty).
+   * @param {number} index
+   */
+  select(index) {
+    if (index < 0 || index >= this.slots.length || index === this.selectedIndex) return;
+    this.selectedIndex = index;
+    this._changed();
+  }
+
+  /**
+   * Drop everything.
+   */
+  clear() {
+    this.slots = [];
+    this.selectedIndex = 0;
+    this._changed();
+  }
+
+  /**
+   * What's being carried, for a saved game.
+   * @returns {{ slots: Object[], selectedIndex: number }}
+   */
+  serialize() {
+    return {
+      slots: this.slots.map(slot => ({ ...slot, units: slot.units.map(itemData) })),
+      selectedIndex: this.selectedIndex,
+    };
+  }
+
+  /**
+   * Carry what a saved game was carrying.
+   * @param {{ slots: Object[], selectedIndex: number }} saved - From serialize()
+   */
+  restore({ slots, selectedIndex }) {
+    this.slots = slots.map(slot => ({ ...slot, units: [...slot.units] }));
+    this.selectedIndex = Math.min(selectedIndex, Math.max(0, this.slots.length - 1));
+    this._changed();
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange(this);
+  }
+}
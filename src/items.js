@@ -0,0 +1,21 @@
+/**
+ * Item types the player can find lying around the house and carry in their
+ * inventory. Levels place them as pickups (see level.js); what each one does
+ * when used lives with the game wiring in main.js.
+ *
+ *   name       {string}   shown in messages ("Picked up a battery")
+ *   plural     {string}   for stacks in the inventory strip
+ *   icon       {string}   glyph on the inventory strip
+ *   usable     {boolean}  can be used from the inventory (keys work on doors)
+ *   throwable  {boolean}  using it throws it, to lure the cat where it lands
+ */
+export const ITEMS = {
+  key: { name: 'key', plural: 'keys', icon: '\u{1F511}', usable: false },
+  battery: { name: 'battery', plural: 'batteries', icon: '\u{1F50B}', usable: true },
+  treat: { name: 'cat treat', plural: 'cat treats', icon: '\u{1F41F}', usable: true },
+  'squeaky-toy': { name: 'squeaky toy', plural: 'squeaky toys', icon: '\u{1F986}', usable: true },
+  'toy-mouse': { name: 'toy mouse', plural: 'toy mice', icon: '\u{1F42D}', usable: true, throwable: true },
+  yarn: { name: 'ball of yarn', plural: 'balls of yarn', icon: '\u{1F9F6}', usable: true, throwable: true },
+};
+
+export const ITEM_TYPES = Object.keys(ITEMS);
@@ -1,3 +1,5 @@
+import { rng } from './random.js';
+
 const deathMessages = [
   'Spencer got you!',
   'You should have been quieter.',
@@ -6,6 +8,9 @@ const deathMessages = [
   'Maybe try tiptoeing next time?',
 ];
 
+// How much of the camera shake is left after a second
+const SHAKE_FALLOFF = 0.05;
+
 export class JumpScare {
   constructor(camera) {
     this.camera = camera;
@@ -14,6 +19,14 @@ export class JumpScare {
     this.isActive = false;
     this.onRespawn = null;
 
+    // The death message and the shake
+    this.random = rng.stream('jump-scare');
+
+    // Steps of the scare still to come ({ time, run }), counted down in
+    // update() rather than with setTimeout so they happen on the same frame
+    // every time a run is replayed
+    this._timers = [];
+
     // Create overlay element
     this.overlay = document.createElement('div');
     this.overlay.className = 'jumpscare-overlay';
@@ -56,15 +69,7 @@ export class JumpScare {
     this.shakeDuration = 0.4;
 
     // After 800ms: hide and respawn (shorter than full death)
-    setTimeout(() => {
-      this.overlay.style.display = 'none';
-      this._clearOverlay();
-      this.isActive = false;
-
-      if (this.onRespawn) {
-        this.onRespawn();
-      }
-    }, 800);
+    this._after(0.8, () => this._finish());
   }
 
   /**
@@ -92,39 +97,56 @@ export class JumpScare {
     this.shakeDuration = 0.5;
 
     // After 600ms: replace flash with death screen
-    setTimeout(() => {
+    this._after(0.6, () => {
       this._clearOverlay();
 
       const deathScreen = document.createElement('div');
       deathScreen.className = 'death-screen';
 
       const message = document.createElement('p');
-      const randomIndex = Math.floor(Math.random() * deathMessages.length);
-      message.textContent = deathMessages[randomIndex];
+      message.textContent = this.random.pick(deathMessages);
 
       deathScreen.appendChild(message);
       this.overlay.appendChild(deathScreen);
-    }, 600);
+    });
 
     // After 2500ms: hide overlay, reset, call respawn
-    setTimeout(() => {
-      this.overlay.style.display = 'none';
-      this._clearOverlay();
-
-      this.isActive = false;
-
-      if (this.onRespawn) {
-        this.onRespawn();
-      }
-    }, 2500);
+    this._after(2.5, () => this._finish());
   }
 
   update(delta) {
     if (this.shakeDuration > 0) {
       this.shakeDuration -= delta;
-      this.camera.rotation.x += (Math.random() - 0.5) * this.shakeIntensity;
-      this.camera.rotation.z += (Math.random() - 0.5) * this.shakeIntensity;
-      this.shakeIntensity *= 0.95;
+      this.camera.rotation.x += this.random.range(-0.5, 0.5) * this.shakeIntensity;
+      this.camera.rotation.z += this.random.range(-0.5, 0.5) * this.shakeIntensity;
+      this.shakeIntensity *= Math.pow(SHAKE_FALLOFF, delta);
+    }
+
+    // Timers are kept in the order they fire
+    for (const timer of this._timers) timer.time -= delta;
+    while (this._timers.length > 0 && this._timers[0].time <= 0) {
+      this._timers.shift().run();
+    }
+  }
+
+  /**
+   * Run a step of the scare after some seconds of game time.
+   */
+  _after(seconds, run) {
+    this._timers.push({ time: seconds, run });
+    this._timers.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * The scare is over: clear the screen and hand back to the game.
+   */
+  _finish() {
+    this.overlay.style.display = 'none';
+    this._clearOverlay();
+    this.isActive = false;
+
+    if (this.onRespawn) {
+      this.onRespawn();
     }
   }
 }
@@ -1,6 +1,28 @@
 import { isTouchDevice } from './touchControls.js';
+import { DIFFICULTIES, DIFFICULTY_IDS, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { createBestTimesList } from './screens.js';
 
-export function createLauncher(onStart) {
+/**
+ * Build the title screen.
+ * @param {Function} onStart - Called with the chosen difficulty id, and the
+ *   seed typed in (or null for a fresh one), once PLAY has faded the launcher out
+ * @param {Object} [house]
+ * @param {string} [house.houseName] - Shown under the PLAY button
+ * @param {Function} [house.onRandomHouse] - Adds a button to generate a new house
+ * @param {Function|null} [house.onOriginalHouse] - Adds a button back to the hand-made house
+ * @param {string} [house.difficulty] - Preset selected to begin with
+ * @param {Function} [house.onContinue] - Called once CONTINUE has faded the
+ *   launcher out; the button only shows while setCanContinue(true)
+ * @param {Function} [house.getBestTimes] - Returns the best runs in this house
+ *   for a difficulty id; adds a BEST TIMES tab
+ * @param {Function} [house.onLoadReplay] - Adds a LOAD REPLAY button; called
+ *   with the picked file, resolves to whether it can be watched straight away
+ *   (rejects with an Error to show if it can't be read)
+ * @param {Function} [house.onWatchReplay] - Called once the launcher has faded
+ *   out for a loaded replay; WATCH REPLAY also shows while setCanWatchReplay(true)
+ * @returns {{ setCanContinue: function(boolean), setCanWatchReplay: function(boolean), refreshBestTimes: Function }}
+ */
+export function createLauncher(onStart, { houseName, onRandomHouse, onOriginalHouse, difficulty = DEFAULT_DIFFICULTY, onContinue, getBestTimes, onLoadReplay, onWatchReplay } = {}) {
   const launcher = document.getElementById('launcher');
 
   // Build launcher DOM
@@ -34,25 +56,68 @@ export function createLauncher(onStart) {
   subtitle.textContent = "Spencer is having his crazy time.";
   content.appendChild(subtitle);
 
-  // Controls info
+  // Controls info, with a tab across to the best times
   const controlsBox = document.createElement('div');
   controlsBox.className = 'launcher-controls';
 
-  const controlsTitle = document.createElement('p');
-  controlsTitle.className = 'launcher-controls-title';
-  controlsTitle.textContent = 'CONTROLS';
-  controlsBox.appendChild(controlsTitle);
+  const tabBar = document.createElement('div');
+  tabBar.className = 'launcher-tabs';
+  controlsBox.appendChild(tabBar);
+
+  const controlsPane = document.createElement('div');
+  controlsPane.className = 'launcher-pane';
+  controlsBox.appendChild(controlsPane);
+
+  const bestTimesPane = document.createElement('div');
+  bestTimesPane.className = 'launcher-pane';
+  controlsBox.appendChild(bestTimesPane);
+
+  const tabs = [['CONTROLS', controlsPane]];
+  if (getBestTimes) tabs.push(['BEST TIMES', bestTimesPane]);
+  const tabButtons = tabs.map(([label, pane]) => {
+    const tab = document.createElement('button');
+    tab.className = 'launcher-controls-title launcher-tab';
+    tab.textContent = label;
+    tab.addEventListener('click', () => showTab(pane));
+    tabBar.appendChild(tab);
+    return tab;
+  });
+
+  function showTab(pane) {
+    tabs.forEach(([, other], i) => {
+      other.style.display = other === pane ? '' : 'none';
+      tabButtons[i].classList.toggle('selected', other === pane);
+    });
+  }
+  showTab(controlsPane);
+
+  // The best times for whichever difficulty is selected
+  function renderBestTimes() {
+    if (!getBestTimes) return;
+    const heading = document.createElement('p');
+    heading.className = 'launcher-best-times-heading';
+    heading.textContent = DIFFICULTIES[difficulty].name;
+    bestTimesPane.replaceChildren(heading, createBestTimesList(getBestTimes(difficulty)));
+  }
 
   const controlsList = isTouchDevice ? [
     ['JOYSTICK', 'Move'],
     ['SWIPE', 'Look around'],
     ['SPRINT', 'Sprint'],
+    ['CROUCH', 'Sneak'],
+    ['USE', 'Pick up / doors / hide'],
+    ['LIGHT', 'Flashlight'],
+    ['SLOTS', 'Use items'],
     ['?', 'Help'],
     ['| |', 'Pause'],
   ] : [
     ['W A S D', 'Move'],
     ['MOUSE', 'Look around'],
     ['SHIFT', 'Sprint'],
+    ['C / CTRL', 'Sneak'],
+    ['E', 'Pick up / doors / hide'],
+    ['F', 'Flashlight'],
+    ['1–9 / Q', 'Use items'],
     ['H', 'Help'],
     ['ESC', 'Pause'],
   ];
@@ -71,16 +136,121 @@ export function createLauncher(onStart) {
     actionEl.textContent = action;
     row.appendChild(actionEl);
 
-    controlsBox.appendChild(row);
+    controlsPane.appendChild(row);
   });
 
   content.appendChild(controlsBox);
 
+  // Difficulty — one button per preset, the chosen one lit up
+  const difficultyBox = document.createElement('div');
+  difficultyBox.className = 'launcher-difficulty';
+  const difficultyButtons = DIFFICULTY_IDS.map((id) => {
+    const btn = document.createElement('button');
+    btn.className = 'launcher-difficulty-btn';
+    btn.textContent = DIFFICULTIES[id].name.toUpperCase();
+    btn.addEventListener('click', () => selectDifficulty(id));
+    difficultyBox.appendChild(btn);
+    return btn;
+  });
+  content.appendChild(difficultyBox);
+
+  function selectDifficulty(id) {
+    difficulty = id;
+    DIFFICULTY_IDS.forEach((other, i) => {
+      difficultyButtons[i].classList.toggle('selected', other === id);
+    });
+    renderBestTimes();
+  }
+  selectDifficulty(DIFFICULTIES[difficulty] ? difficulty : DEFAULT_DIFFICULTY);
+
+  // Pick up a saved run where it left off
+  const continueBtn = document.createElement('button');
+  continueBtn.className = 'continue-btn';
+  continueBtn.textContent = 'CONTINUE';
+  continueBtn.style.display = 'none';
+  content.appendChild(continueBtn);
+
+  // Watch a replay that was loaded before the page switched houses
+  const watchBtn = document.createElement('button');
+  watchBtn.className = 'continue-btn';
+  watchBtn.textContent = 'WATCH REPLAY';
+  watchBtn.style.display = 'none';
+  content.appendChild(watchBtn);
+
+  // Seed for the run — type in one from a pause menu or end screen to play
+  // the same run again
+  const seedInput = document.createElement('input');
+  seedInput.type = 'text';
+  seedInput.className = 'launcher-seed';
+  seedInput.placeholder = 'RANDOM SEED';
+  seedInput.maxLength = 32;
+  seedInput.spellcheck = false;
+  content.appendChild(seedInput);
+
   const playBtn = document.createElement('button');
   playBtn.className = 'play-btn';
   playBtn.textContent = 'PLAY';
   content.appendChild(playBtn);
 
+  // Which house this run is in, and how to get another
+  if (houseName) {
+    const houseBox = document.createElement('div');
+    houseBox.className = 'launcher-house';
+
+    const houseLabel = document.createElement('p');
+    houseLabel.className = 'launcher-house-name';
+    houseLabel.textContent = houseName;
+    houseBox.appendChild(houseLabel);
+
+    const houseButtons = [
+      ['RANDOM HOUSE', onRandomHouse],
+      ['ORIGINAL HOUSE', onOriginalHouse],
+    ];
+    houseButtons.forEach(([label, onClick]) => {
+      if (!onClick) return;
+      const btn = document.createElement('button');
+      btn.className = 'launcher-house-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      houseBox.appendChild(btn);
+    });
+
+    content.appendChild(houseBox);
+  }
+
+  // Replay files — picked from disk, watched in the house they were played in
+  const replayError = document.createElement('p');
+  replayError.className = 'launcher-replay-error';
+  if (onLoadReplay) {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (!file) return;
+      replayError.textContent = '';
+      try {
+        if (await onLoadReplay(file)) fadeOutThen(onWatchReplay);
+      } catch (err) {
+        replayError.textContent = err.message;
+      }
+    });
+
+    const loadBtn = document.createElement('button');
+    loadBtn.className = 'launcher-house-btn';
+    loadBtn.textContent = 'LOAD REPLAY';
+    loadBtn.addEventListener('click', () => fileInput.click());
+
+    const replayBox = document.createElement('div');
+    replayBox.className = 'launcher-house';
+    replayBox.appendChild(loadBtn);
+    replayBox.appendChild(fileInput);
+    content.appendChild(replayBox);
+    content.appendChild(replayError);
+  }
+
   const credits = document.createElement('p');
   credits.className = 'launcher-credits';
   credits.textContent = 'Made for Ada Kaplan';
@@ -89,11 +259,29 @@ export function createLauncher(onStart) {
   bg.appendChild(content);
   launcher.appendChild(bg);
 
-  playBtn.addEventListener('click', () => {
+  function fadeOutThen(callback) {
     launcher.classList.add('fade-out');
     setTimeout(() => {
       launcher.style.display = 'none';
-      onStart();
+      callback();
     }, 500);
+  }
+
+  playBtn.addEventListener('click', () => {
+    const seed = seedInput.value.trim() || null;
+    fadeOutThen(() => onStart(difficulty, seed));
   });
+  continueBtn.addEventListener('click', () => fadeOutThen(onContinue));
+  watchBtn.addEventListener('click', () => fadeOutThen(onWatchReplay));
+
+  return {
+    setCanContinue(canContinue) {
+      continueBtn.style.display = canContinue && onContinue ? '' : 'none';
+    },
+    setCanWatchReplay(canWatch) {
+      watchBtn.style.display = canWatch && onWatchReplay ? '' : 'none';
+    },
+    // e.g. after a win, before the launcher shows again
+    refreshBestTimes: renderBestTimes,
+  };
 }
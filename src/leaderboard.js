@@ -0,0 +1,75 @@
+/**
+ * Leaderboard -- the fastest wins, kept in localStorage.
+ *
+ * There's a board per house and difficulty, each holding its best
+ * MAX_ENTRIES runs, fastest first:
+ *
+ *   time    {number}  seconds on the HUD timer
+ *   hits    {number}  lives lost along the way
+ *   date    {number}  Date.now() when the run was won
+ *   splits  [{ room, name, time }]  its split times (see splits.js), so the
+ *                     fastest run can be raced against
+ *
+ * Stored as { version, boards: { "<house>|<difficulty>": Run[] } }; a store
+ * from another version is started over rather than misread.
+ */
+
+const STORAGE_KEY = 'angry-cat-leaderboard';
+const STORE_VERSION = 1;
+const MAX_ENTRIES = 5;
+
+/**
+ * Which board a run goes on.
+ * @param {string} house - See main.js
+ * @param {string} difficulty - Preset id
+ * @returns {string}
+ */
+export function boardId(house, difficulty) {
+  return `${house}|${difficulty}`;
+}
+
+/**
+ * The best runs on a board, fastest first.
+ * @param {string} board - From boardId
+ * @returns {{ time: number, hits: number, date: number, splits: Object[] }[]}
+ */
+export function bestRuns(board) {
+  return loadStore().boards[board] || [];
+}
+
+/**
+ * Put a won run on its board, if it's fast enough.
+ * @param {string} board - From boardId
+ * @param {{ time: number, hits: number, splits: Object[] }} run
+ * @returns {number} Its place on the board (0 = a new record), or -1 if it
+ *   didn't make it
+ */
+export function recordRun(board, { time, hits, splits = [] }) {
+  const store = loadStore();
+  const runs = store.boards[board] || [];
+  const entry = { time, hits, date: Date.now(), splits };
+
+  // Ties go to whoever got there first
+  let place = runs.findIndex(run => time < run.time);
+  if (place === -1) place = runs.length;
+  if (place >= MAX_ENTRIES) return -1;
+
+  runs.splice(place, 0, entry);
+  store.boards[board] = runs.slice(0, MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch {
+    // Storage full or unavailable — the run still counts, it just won't be kept
+  }
+  return place;
+}
+
+function loadStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (store && store.version === STORE_VERSION && store.boards) return store;
+  } catch {
+    // Unreadable — start over
+  }
+  return { version: STORE_VERSION, boards: {} };
+}
@@ -0,0 +1,266 @@
+import { ITEM_TYPES } from './items.js';
+import { OBJECTIVE_TYPES, DEFAULT_OBJECTIVES } from './rules.js';
+
+/**
+ * Level format -- plain JSON describing a house.
+ *
+ * A level is an object with:
+ *   version    {number}   LEVEL_VERSION
+ *   name       {string}
+ *   spawnRoom  {string}   id of the room the player starts in
+ *   rooms      {Room[]}
+ *   doors      {Door[]}
+ *   seed       {number|string}  optional — set on generated levels (levelGenerator.js)
+ *   objectives [Objective]  optional — what the player has to do to win (see
+ *                       rules.js); default is just to escape
+ *
+ * Each room:
+ *   id, name       {string}
+ *   position       [x, y, z]  world centre of the floor
+ *   size           [width, depth]  along x and z
+ *   height         {number}
+ *   floor          { color, type }  type is the footstep sound: tile | wood | carpet
+ *   wallColor      {string}
+ *   aggression     {number}   cat speed multiplier in this room
+ *   lights         [{ position, color, intensity, flicker? }]
+ *   furniture      [Primitive]
+ *   catHidingSpots [[x, y, z]]  where the cat lurks
+ *   catBehavior    {Object}   overrides of DEFAULT_CAT_BEHAVIOR (see cat.js)
+ *   triggerZone    { min, max }  wakes the cat
+ *   spawnPoint     [x, y, z]  respawn point (eye height)
+ *   exitZone       { min, max }  optional — reaching it escapes
+ *   pickups        [{ type, position, ... }]  optional, see below
+ *   hideSpots      [HideSpot]  optional places the player can hide
+ *
+ * A primitive is { shape, position, color, ... }:
+ *   box         size [w, h, d]
+ *   cylinder    size [radiusTop, radiusBottom, height], segments
+ *   pointLight  intensity, distance (decorative, no shadows)
+ * with optional name, rotation [x, y, z], collidable, castShadow (default
+ * true), receiveShadow, emissive and emissiveIntensity.
+ *
+ * A hide spot is entered by looking at its volume and pressing use:
+ *   prompt  {string}     e.g. "Hide in the closet"
+ *   volume  { min, max } what the player aims at to get in
+ *   eye     [x, y, z]    camera position while hidden
+ *   lookAt  [x, y, z]    centre of the limited peek view
+ *   exit    [x, y, z]    where the player steps back out (eye height)
+ *   view    {string}     peek overlay: slats | low; default low
+ *
+ * A pickup is an item (see items.js) the player can look at and pick up,
+ * with an optional name. Some types take extra fields:
+ *   key          { key }     opens doors whose `key` matches
+ *   battery      { charge }  tops up the flashlight by `charge` (0..1) of a
+ *                            full battery; default 0.5
+ *   treat                    left out to keep the cat busy
+ *   squeaky-toy              set down to squeak and lure the cat
+ *
+ * Every position inside a room is relative to the room's position.
+ *
+ * Each door joins two rooms (or leads outside) and is declared once:
+ *   id     {string}
+ *   from   {string}   room whose wall the door is on
+ *   wall   {string}   north (+z) | south (-z) | east (+x) | west (-x)
+ *   offset {number}   door centre along the wall (x for north/south,
+ *                     z for east/west), relative to the room; default 0
+ *   to     {string|null}  the room on the other side, null for outside
+ *   open   {boolean}  starts open; default false
+ *   locked {boolean}  won't open until the player has the door's key
+ *   key    {string}   which key pickup unlocks it (required when locked)
+ *   color  {string}   door panel colour
+ * The `to` room must have a matching wall, so rooms can branch off any side
+ * and connect in loops. Every room must be reachable from the spawn room
+ * (collecting keys along the way), and at least one reachable room must
+ * have an exit zone.
+ */
+
+export const LEVEL_VERSION = 2;
+
+const WALL_SIDES = ['north', 'south', 'east', 'west'];
+const SHAPES = ['box', 'cylinder', 'pointLight'];
+
+function isVec(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(n => typeof n === 'number');
+}
+
+function isZone(zone) {
+  return zone && isVec(zone.min, 3) && isVec(zone.max, 3);
+}
+
+/**
+ * Check a level object against the format above.
+ * Throws an Error naming the first problem found.
+ * @param {Object} level
+ * @returns {Object} the same level, for chaining
+ */
+export function validateLevel(level) {
+  const label = `Level "${level && level.name}"`;
+
+  if (!level || typeof level !== 'object') {
+    throw new Error('Level must be an object');
+  }
+  if (level.version !== LEVEL_VERSION) {
+    throw new Error(`${label}: unsupported version ${level.version} (expected ${LEVEL_VERSION})`);
+  }
+  if (!Array.isArray(level.rooms) || level.rooms.length === 0) {
+    throw new Error(`${label}: needs at least one room`);
+  }
+
+  const ids = new Set();
+  level.rooms.forEach((room, i) => {
+    const where = `${label}, room ${room.id || i}`;
+
+    if (!room.id || ids.has(room.id)) {
+      throw new Error(`${where}: missing or duplicate id`);
+    }
+    ids.add(room.id);
+
+    if (!isVec(room.position, 3)) throw new Error(`${where}: "position" must be [x, y, z]`);
+    if (!isVec(room.size, 2)) throw new Error(`${where}: "size" must be [width, depth]`);
+    if (!isVec(room.spawnPoint, 3)) throw new Error(`${where}: "spawnPoint" must be [x, y, z]`);
+    if (!isZone(room.triggerZone)) throw new Error(`${where}: "triggerZone" needs min and max`);
+    if (room.exitZone && !isZone(room.exitZone)) throw new Error(`${where}: "exitZone" needs min and max`);
+
+    for (const prim of room.furniture || []) {
+      if (!SHAPES.includes(prim.shape)) {
+        throw new Error(`${where}: unknown furniture shape "${prim.shape}"`);
+      }
+      if (!isVec(prim.position, 3)) {
+        throw new Error(`${where}: furniture "${prim.name || prim.shape}" needs a position`);
+      }
+    }
+
+    for (const spot of room.hideSpots || []) {
+      const name = `hide spot "${spot.prompt}"`;
+      if (!isZone(spot.volume)) throw new Error(`${where}: ${name} needs a volume with min and max`);
+      if (!isVec(spot.eye, 3) || !isVec(spot.lookAt, 3) || !isVec(spot.exit, 3)) {
+        throw new Error(`${where}: ${name} needs eye, lookAt and exit as [x, y, z]`);
+      }
+    }
+
+    for (const pickup of room.pickups || []) {
+      if (!ITEM_TYPES.includes(pickup.type)) {
+        throw new Error(`${where}: unknown pickup type "${pickup.type}"`);
+      }
+      if (!isVec(pickup.position, 3)) throw new Error(`${where}: ${pickup.type} pickup needs a position`);
+      if (pickup.type === 'key' && !pickup.key) throw new Error(`${where}: key pickup needs a "key" id`);
+      if (pickup.charge !== undefined && !(pickup.charge > 0 && pickup.charge <= 1)) {
+        throw new Error(`${where}: battery charge must be between 0 and 1`);
+      }
+    }
+  });
+
+  if (!ids.has(level.spawnRoom)) {
+    throw new Error(`${label}: spawnRoom "${level.spawnRoom}" is not a room`);
+  }
+
+  for (const door of level.doors || []) {
+    const where = `${label}, door ${door.id}`;
+    if (!ids.has(door.from)) throw new Error(`${where}: "from" room "${door.from}" does not exist`);
+    if (door.to && !ids.has(door.to)) throw new Error(`${where}: "to" room "${door.to}" does not exist`);
+    if (!WALL_SIDES.includes(door.wall)) throw new Error(`${where}: unknown wall "${door.wall}"`);
+    if (door.locked && !door.key) throw new Error(`${where}: locked doors need a "key"`);
+  }
+
+  const reachable = getConnectedRoomIds(level, level.spawnRoom);
+  for (const room of level.rooms) {
+    if (!reachable.has(room.id)) {
+      throw new Error(`${label}: room "${room.id}" can't be reached from "${level.spawnRoom}"`);
+    }
+  }
+  const keys = findKeys(level, reachable);
+  for (const door of level.doors || []) {
+    if (door.locked && !keys.has(door.key)) {
+      throw new Error(`${label}: nothing reachable unlocks door "${door.id}" (key "${door.key}")`);
+    }
+  }
+  const objectives = level.objectives || DEFAULT_OBJECTIVES;
+  validateObjectives(level, objectives, label);
+  if (objectives.some(o => o.type === 'escape') && !level.rooms.some(room => room.exitZone)) {
+    throw new Error(`${label}: no room has an exit zone`);
+  }
+
+  return level;
+}
+
+/**
+ * Check each objective is well formed and can actually be completed.
+ */
+function validateObjectives(level, objectives, label) {
+  if (!Array.isArray(objectives)) throw new Error(`${label}: "objectives" must be an array`);
+
+  for (const objective of objectives) {
+    const where = `${label}, ${objective.type} objective`;
+    if (!OBJECTIVE_TYPES.includes(objective.type)) {
+      throw new Error(`${label}: unknown objective type "${objective.type}"`);
+    }
+    if ((objective.type === 'survive' || objective.type === 'dawn') && !(objective.seconds > 0)) {
+      throw new Error(`${where}: needs a number of "seconds"`);
+    }
+    if (objective.type === 'collect' || objective.type === 'feed') {
+      // Feeding the cat takes a treat each time
+      const item = objective.type === 'feed' ? 'treat' : objective.item;
+      const count = objective.type === 'feed' ? objective.count ?? 1 : objective.count;
+      if (!ITEM_TYPES.includes(item)) throw new Error(`${where}: unknown item "${item}"`);
+      if (!(count >= 1)) throw new Error(`${where}: "count" must be at least 1`);
+      const available = level.rooms.reduce(
+        (n, room) => n + (room.pickups || []).filter(p => p.type === item).length, 0);
+      if (available < count) {
+        throw new Error(`${where}: needs ${count} ${item}, level only has ${available}`);
+      }
+    }
+  }
+  if (!objectives.some(o => o.type !== 'dawn')) {
+    throw new Error(`${label}: needs an objective besides the time limit`);
+  }
+}
+
+/**
+ * Ids of the keys lying in a set of rooms.
+ * @returns {Set<string>}
+ */
+function findKeys(level, roomIds) {
+  const keys = new Set();
+  for (const room of level.rooms) {
+    if (!roomIds.has(room.id)) continue;
+    for (const pickup of room.pickups || []) {
+      if (pickup.type === 'key') keys.add(pickup.key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Flood-fill the door graph from a room. Locked doors only let the fill
+ * through once it has reached a room holding their key.
+ * @param {Object} level
+ * @param {string} startId
+ * @returns {Set<string>} ids of every room reachable through doors
+ */
+export function getConnectedRoomIds(level, startId) {
+  const seen = new Set([startId]);
+
+  // Keep flooding until no new key opens up another room
+  for (;;) {
+    const keys = findKeys(level, seen);
+    const neighbours = new Map(level.rooms.map(room => [room.id, []]));
+    for (const door of level.doors || []) {
+      if (!door.to || (door.locked && !keys.has(door.key))) continue;
+      neighbours.get(door.from)?.push(door.to);
+      neighbours.get(door.to)?.push(door.from);
+    }
+
+    const before = seen.size;
+    const queue = [...seen];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const next of neighbours.get(id) || []) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    if (seen.size === before) return seen;
+  }
+}
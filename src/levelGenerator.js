@@ -0,0 +1,491 @@
+import * as THREE from 'three';
+import houseLevel from './levels/house.json' with { type: 'json' };
+import { createHouse, DOOR_WIDTH, WALL_SIDES, OPPOSITE_SIDE } from './house.js';
+import { LEVEL_VERSION } from './level.js';
+import { NavGrid } from './navGrid.js';
+import { Random } from './random.js';
+
+/**
+ * Level generator -- assembles a random house from room templates.
+ *
+ * The rooms of the hand-made house are the templates: each generated room is
+ * one of them, mirrored and/or turned a quarter, snapped against a wall of a
+ * room that's already placed with a door through the shared stretch. Doors
+ * only go where the floor in front of them is clear on both sides, a few
+ * extra doors make loops, and the front door goes on an outside wall of the
+ * room furthest from the kitchen — sometimes locked, with its key left in
+ * another room.
+ *
+ * The finished level is built once off-screen and walked with a player-sized
+ * nav grid; layouts where furniture cuts off a room or the exit are thrown
+ * away and rerolled. The same seed always gives the same house.
+ */
+
+const MIN_ROOMS = 4;
+const MAX_ROOMS = 7;
+const LAYOUT_ATTEMPTS = 20;     // whole houses to try before giving up
+const PLACEMENT_ATTEMPTS = 40;  // spots to try for each room
+const DOOR_ATTEMPTS = 12;       // offsets to try for each door
+const SNAP = 0.25;              // room positions and door offsets sit on this grid
+const DOOR_MARGIN = 0.3;        // wall kept either side of a door
+const DOOR_CLEARANCE = 1.2;     // furniture-free floor needed in front of a door
+const EXIT_CLEARANCE = 1;       // open ground needed outside the front door
+const LOOP_CHANCE = 0.35;       // chance of an extra door between touching rooms
+const LOCKED_EXIT_CHANCE = 0.5;
+const ITEM_CHANCE = 0.5;        // chance each room (bar the first) has an item lying around
+const SCATTERED_ITEMS = ['battery', 'battery', 'treat', 'squeaky-toy', 'toy-mouse', 'yarn']; // drawn from at random
+const PICKUP_HEIGHT = 0.15;     // keys and items lie on the floor
+const AGGRESSION_PER_ROOM = 0.3; // the cat gets faster the deeper you go...
+const MAX_AGGRESSION = 2;       // ...up to this
+const PLAYER_RADIUS = 0.3;
+const PLAYER_HEIGHT = 1.7;
+
+const SPAWN_TEMPLATE = 'kitchen';
+
+// Templates are the hand-made rooms without their place in that house
+const TEMPLATES = houseLevel.rooms.map(({ id, position, exitZone, pickups, ...room }) => ({
+  ...room,
+  templateId: id,
+  furniture: room.furniture.filter(prim => !(prim.name || '').startsWith('exit')),
+}));
+
+// The hand-made front door is on the south wall of its room. Its frame and
+// exit zone, taken relative to the door, are reused for generated exits.
+const EXIT_TEMPLATE = (() => {
+  const room = houseLevel.rooms.find(r => r.exitZone);
+  const wallZ = -room.size[1] / 2;
+  const relative = ([x, y, z]) => [x, y, z - wallZ];
+  return {
+    furniture: room.furniture
+      .filter(prim => (prim.name || '').startsWith('exit'))
+      .map(prim => ({ ...prim, position: relative(prim.position) })),
+    zone: { min: relative(room.exitZone.min), max: relative(room.exitZone.max) },
+  };
+})();
+
+// How to turn something built against a south wall to face each wall
+const EXIT_ORIENTATION = {
+  south: { mirrorX: false, mirrorZ: false, turn: false },
+  north: { mirrorX: true, mirrorZ: true, turn: false },
+  west: { mirrorX: false, mirrorZ: false, turn: true },
+  east: { mirrorX: true, mirrorZ: true, turn: true },
+};
+
+const snap = (value) => Math.round(value / SNAP) * SNAP;
+
+// ── Orientation ─────────────────────────────────────────────────────────────
+
+/**
+ * Room-relative transforms for a mirror along x and/or z followed by an
+ * optional quarter turn. Only yaw is carried through for rotated furniture.
+ */
+function makeOrientation({ mirrorX, mirrorZ, turn }) {
+  const point = ([x, y, z]) => {
+    if (mirrorX) x = -x;
+    if (mirrorZ) z = -z;
+    return turn ? [z, y, -x] : [x, y, z];
+  };
+  const zone = ({ min, max }) => {
+    const a = point(min);
+    const b = point(max);
+    return { min: a.map((v, i) => Math.min(v, b[i])), max: a.map((v, i) => Math.max(v, b[i])) };
+  };
+  const primitive = (prim) => {
+    const oriented = { ...prim, position: point(prim.position) };
+    if (turn && prim.shape === 'box') {
+      const [w, h, d] = prim.size;
+      oriented.size = [d, h, w];
+    }
+    if (prim.rotation) {
+      const [rx, ry, rz] = prim.rotation;
+      const yaw = (mirrorX !== mirrorZ ? -ry : ry) + (turn ? Math.PI / 2 : 0);
+      oriented.rotation = [rx, yaw, rz];
+    }
+    return oriented;
+  };
+  return { point, zone, primitive };
+}
+
+/**
+ * A template in a random orientation, ready to be given an id and position.
+ */
+function orientTemplate(template, rng) {
+  const turn = rng.chance(0.5);
+  const { point, zone, primitive } = makeOrientation({
+    mirrorX: rng.chance(0.5),
+    mirrorZ: rng.chance(0.5),
+    turn,
+  });
+  return {
+    ...template,
+    size: turn ? [template.size[1], template.size[0]] : [...template.size],
+    lights: template.lights.map(light => ({ ...light, position: point(light.position) })),
+    furniture: template.furniture.map(primitive),
+    catHidingSpots: template.catHidingSpots.map(point),
+    triggerZone: zone(template.triggerZone),
+    spawnPoint: point(template.spawnPoint),
+    hideSpots: (template.hideSpots || []).map(spot => ({
+      ...spot,
+      volume: zone(spot.volume),
+      eye: point(spot.eye),
+      lookAt: point(spot.lookAt),
+      exit: point(spot.exit),
+    })),
+  };
+}
+
+// ── Geometry helpers ────────────────────────────────────────────────────────
+
+function boundsOf(def) {
+  const [x, , z] = def.position;
+  const [w, d] = def.size;
+  return { minX: x - w / 2, maxX: x + w / 2, minZ: z - d / 2, maxZ: z + d / 2 };
+}
+
+function overlaps(a, b) {
+  const eps = 0.01;
+  return a.minX < b.maxX - eps && a.maxX > b.minX + eps &&
+         a.minZ < b.maxZ - eps && a.maxZ > b.minZ + eps;
+}
+
+/**
+ * Room-relative XZ footprints of everything the player bumps into.
+ */
+function furnitureFootprints(def) {
+  return def.furniture.filter(prim => prim.collidable).map(prim => {
+    const [x, , z] = prim.position;
+    const halfW = prim.shape === 'box' ? prim.size[0] / 2 : Math.max(prim.size[0], prim.size[1]);
+    const halfD = prim.shape === 'box' ? prim.size[2] / 2 : halfW;
+    return { minX: x - halfW, maxX: x + halfW, minZ: z - halfD, maxZ: z + halfD };
+  });
+}
+
+/**
+ * Whether a door fits at `offset` along a wall: no other door too close and
+ * no furniture in the way just inside it.
+ * @param {Object} room - { def, doors }
+ */
+function isDoorClear(room, side, offset) {
+  if (room.doors.some(door => door.side === side && Math.abs(door.offset - offset) < DOOR_WIDTH + DOOR_MARGIN)) {
+    return false;
+  }
+
+  const [w, d] = room.def.size;
+  const [normalX, normalZ] = WALL_SIDES[side].normal;
+  const halfGap = DOOR_WIDTH / 2 + DOOR_MARGIN;
+  let area;
+  if (WALL_SIDES[side].along === 'x') {
+    const wallZ = normalZ * d / 2;
+    area = {
+      minX: offset - halfGap, maxX: offset + halfGap,
+      minZ: Math.min(wallZ, wallZ - normalZ * DOOR_CLEARANCE),
+      maxZ: Math.max(wallZ, wallZ - normalZ * DOOR_CLEARANCE),
+    };
+  } else {
+    const wallX = normalX * w / 2;
+    area = {
+      minX: Math.min(wallX, wallX - normalX * DOOR_CLEARANCE),
+      maxX: Math.max(wallX, wallX - normalX * DOOR_CLEARANCE),
+      minZ: offset - halfGap, maxZ: offset + halfGap,
+    };
+  }
+  return !furnitureFootprints(room.def).some(footprint => overlaps(footprint, area));
+}
+
+/**
+ * Pick a door position on the stretch of wall two touching rooms share.
+ * @returns {{ fromOffset: number, toOffset: number }|null}
+ */
+function findSharedDoor(rng, from, side, to) {
+  const alongX = WALL_SIDES[side].along === 'x';
+  const a = boundsOf(from.def);
+  const b = boundsOf(to.def);
+  const halfGap = DOOR_WIDTH / 2 + DOOR_MARGIN;
+  const lo = (alongX ? Math.max(a.minX, b.minX) : Math.max(a.minZ, b.minZ)) + halfGap;
+  const hi = (alongX ? Math.min(a.maxX, b.maxX) : Math.min(a.maxZ, b.maxZ)) - halfGap;
+  if (lo > hi) return null;
+
+  const fromCentre = alongX ? from.def.position[0] : from.def.position[2];
+  const toCentre = alongX ? to.def.position[0] : to.def.position[2];
+  for (let i = 0; i < DOOR_ATTEMPTS; i++) {
+    const along = snap(rng.range(lo, hi));
+    if (along < lo || along > hi) continue;
+    const fromOffset = along - fromCentre;
+    const toOffset = along - toCentre;
+    if (isDoorClear(from, side, fromOffset) && isDoorClear(to, OPPOSITE_SIDE[side], toOffset)) {
+      return { fromOffset, toOffset };
+    }
+  }
+  return null;
+}
+
+/**
+ * Which wall of `a` touches `b`, if they sit flush against each other.
+ * @returns {string|null}
+ */
+function touchingSide(a, b) {
+  const eps = 0.01;
+  const overlapX = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const overlapZ = Math.min(a.maxZ, b.maxZ) - Math.max(a.minZ, b.minZ);
+  if (overlapX > 0 && Math.abs(a.maxZ - b.minZ) < eps) return 'north';
+  if (overlapX > 0 && Math.abs(a.minZ - b.maxZ) < eps) return 'south';
+  if (overlapZ > 0 && Math.abs(a.maxX - b.minX) < eps) return 'east';
+  if (overlapZ > 0 && Math.abs(a.minX - b.maxX) < eps) return 'west';
+  return null;
+}
+
+// ── Layout ──────────────────────────────────────────────────────────────────
+
+/**
+ * Try to place a room against a random wall of a random placed room.
+ * @returns {boolean} whether it was placed
+ */
+function placeRoom(rng, placed, doors, id, name, template) {
+  const needed = DOOR_WIDTH + DOOR_MARGIN * 2;
+
+  for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+    const anchor = rng.pick(placed);
+    const side = rng.pick(Object.keys(WALL_SIDES));
+    const def = { ...orientTemplate(template, rng), id, name };
+
+    const [normalX, normalZ] = WALL_SIDES[side].normal;
+    const alongX = WALL_SIDES[side].along === 'x';
+    const [ax, , az] = anchor.def.position;
+    const [aw, ad] = anchor.def.size;
+    const [w, d] = def.size;
+    const maxSlide = ((alongX ? aw + w : ad + d) / 2) - needed;
+    if (maxSlide < 0) continue;
+    const slide = snap(rng.range(-maxSlide, maxSlide));
+    def.position = alongX
+      ? [ax + slide, 0, az + normalZ * (ad + d) / 2]
+      : [ax + normalX * (aw + w) / 2, 0, az + slide];
+
+    const bounds = boundsOf(def);
+    if (placed.some(room => overlaps(boundsOf(room.def), bounds))) continue;
+
+    const room = { def, doors: [] };
+    const door = findSharedDoor(rng, anchor, side, room);
+    if (!door) continue;
+
+    anchor.doors.push({ side, offset: door.fromOffset });
+    room.doors.push({ side: OPPOSITE_SIDE[side], offset: door.toOffset });
+    doors.push({ id: `${anchor.def.id}-${id}`, from: anchor.def.id, wall: side, offset: door.fromOffset, to: id });
+    placed.push(room);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Add extra doors between rooms that happen to share a wall.
+ */
+function addLoops(rng, placed, doors) {
+  const joined = (a, b) => doors.some(door =>
+    (door.from === a && door.to === b) || (door.from === b && door.to === a));
+
+  for (let i = 0; i < placed.length; i++) {
+    for (let j = i + 1; j < placed.length; j++) {
+      const from = placed[i];
+      const to = placed[j];
+      const side = touchingSide(boundsOf(from.def), boundsOf(to.def));
+      if (!side || joined(from.def.id, to.def.id) || !rng.chance(LOOP_CHANCE)) continue;
+
+      const door = findSharedDoor(rng, from, side, to);
+      if (!door) continue;
+      from.doors.push({ side, offset: door.fromOffset });
+      to.doors.push({ side: OPPOSITE_SIDE[side], offset: door.toOffset });
+      doors.push({ id: `${from.def.id}-${to.def.id}`, from: from.def.id, wall: side, offset: door.fromOffset, to: to.def.id });
+    }
+  }
+}
+
+/**
+ * Door-count distance of every room from the spawn room.
+ * @returns {Map<string, number>}
+ */
+function roomDepths(spawnId, doors) {
+  const depths = new Map([[spawnId, 0]]);
+  const queue = [spawnId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const door of doors) {
+      const next = door.from === id ? door.to : door.to === id ? door.from : null;
+      if (next && !depths.has(next)) {
+        depths.set(next, depths.get(id) + 1);
+        queue.push(next);
+      }
+    }
+  }
+  return depths;
+}
+
+/**
+ * Put the front door on an outside wall, as far from the spawn room as
+ * possible, with its frame, sign and exit zone.
+ * @returns {Object|null} the room the exit went in
+ */
+function placeExit(rng, placed, doors, depths) {
+  const candidates = placed
+    .filter(room => depths.get(room.def.id) > 0)
+    .sort((a, b) => depths.get(b.def.id) - depths.get(a.def.id));
+  const halfGap = DOOR_WIDTH / 2 + DOOR_MARGIN;
+
+  for (const room of candidates) {
+    const [w, d] = room.def.size;
+    const b = boundsOf(room.def);
+
+    for (const side of rng.shuffle(Object.keys(WALL_SIDES))) {
+      const [normalX, normalZ] = WALL_SIDES[side].normal;
+      const alongX = WALL_SIDES[side].along === 'x';
+      const wallHalf = (alongX ? w : d) / 2 - halfGap;
+
+      for (let i = 0; i < DOOR_ATTEMPTS; i++) {
+        const offset = snap(rng.range(-wallHalf, wallHalf));
+        if (Math.abs(offset) > wallHalf || !isDoorClear(room, side, offset)) continue;
+
+        // Nothing built on the other side of the front door
+        const centre = alongX ? room.def.position[0] + offset : room.def.position[2] + offset;
+        const outside = alongX
+          ? { minX: centre - halfGap, maxX: centre + halfGap,
+              minZ: normalZ > 0 ? b.maxZ : b.minZ - EXIT_CLEARANCE, maxZ: normalZ > 0 ? b.maxZ + EXIT_CLEARANCE : b.minZ }
+          : { minX: normalX > 0 ? b.maxX : b.minX - EXIT_CLEARANCE, maxX: normalX > 0 ? b.maxX + EXIT_CLEARANCE : b.minX,
+              minZ: centre - halfGap, maxZ: centre + halfGap };
+        if (placed.some(other => overlaps(boundsOf(other.def), outside))) continue;
+
+        // Move the template frame from a south wall at offset 0 to this door
+        const { zone, primitive } = makeOrientation(EXIT_ORIENTATION[side]);
+        const doorX = alongX ? offset : normalX * w / 2;
+        const doorZ = alongX ? normalZ * d / 2 : offset;
+        const shift = ([x, y, z]) => [x + doorX, y, z + doorZ];
+        const exitZone = zone(EXIT_TEMPLATE.zone);
+
+        room.def.furniture.push(...EXIT_TEMPLATE.furniture.map(prim => {
+          const oriented = primitive(prim);
+          return { ...oriented, position: shift(oriented.position) };
+        }));
+        room.def.exitZone = { min: shift(exitZone.min), max: shift(exitZone.max) };
+        room.doors.push({ side, offset });
+        doors.push({ id: 'front-door', from: room.def.id, wall: side, offset, to: null });
+        return room;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Lock the front door and leave its key on the floor of another room, where
+ * the player would respawn (always open floor).
+ */
+function lockExit(rng, placed, doors, exitRoom) {
+  const frontDoor = doors.find(door => door.to === null);
+  const keyRoom = rng.pick(placed.filter(room => room !== exitRoom));
+  const [x, , z] = keyRoom.def.spawnPoint;
+  frontDoor.locked = true;
+  frontDoor.key = 'front-door';
+  keyRoom.def.pickups = [{ type: 'key', key: 'front-door', name: 'front door key', position: [x, PICKUP_HEIGHT, z] }];
+}
+
+/**
+ * Leave batteries, treats and toys on the floor of some rooms, again where
+ * the player would respawn. Rooms already holding the key are skipped.
+ */
+function scatterItems(rng, placed) {
+  for (const room of placed.slice(1)) {
+    if (room.def.pickups || !rng.chance(ITEM_CHANCE)) continue;
+    const [x, , z] = room.def.spawnPoint;
+    room.def.pickups = [{ type: rng.pick(SCATTERED_ITEMS), position: [x, PICKUP_HEIGHT, z] }];
+  }
+}
+
+/**
+ * One attempt at a house layout.
+ * @returns {Object|null} level, or null if the rooms didn't fit
+ */
+function buildLayout(rng, roomCount) {
+  const spawnTemplate = TEMPLATES.find(t => t.templateId === SPAWN_TEMPLATE);
+  const others = TEMPLATES.filter(t => t !== spawnTemplate);
+
+  const placed = [{
+    def: { ...orientTemplate(spawnTemplate, rng), id: spawnTemplate.templateId, name: spawnTemplate.name, position: [0, 0, 0] },
+    doors: [],
+  }];
+  const doors = [];
+  const uses = new Map([[spawnTemplate.templateId, 1]]);
+
+  // Deal templates like cards so repeats only come once each has been used
+  const deck = [];
+  for (let i = 1; i < roomCount; i++) {
+    if (deck.length === 0) deck.push(...rng.shuffle([...others]));
+    const template = deck.pop();
+    const count = (uses.get(template.templateId) || 0) + 1;
+    uses.set(template.templateId, count);
+    const id = count > 1 ? `${template.templateId}-${count}` : template.templateId;
+    const name = count > 1 ? `${template.name} ${count}` : template.name;
+    if (!placeRoom(rng, placed, doors, id, name, template)) return null;
+  }
+
+  addLoops(rng, placed, doors);
+
+  const depths = roomDepths(placed[0].def.id, doors);
+  const exitRoom = placeExit(rng, placed, doors, depths);
+  if (!exitRoom) return null;
+  if (rng.chance(LOCKED_EXIT_CHANCE)) lockExit(rng, placed, doors, exitRoom);
+  scatterItems(rng, placed);
+
+  const rooms = placed.map(({ def }) => {
+    const { templateId, ...room } = def;
+    room.aggression = Math.min(MAX_AGGRESSION, 1 + depths.get(room.id) * AGGRESSION_PER_ROOM);
+    return room;
+  });
+
+  return {
+    version: LEVEL_VERSION,
+    name: '',
+    spawnRoom: placed[0].def.id,
+    rooms,
+    doors,
+  };
+}
+
+/**
+ * Build the level off-screen and check a player-sized walker can get from
+ * the spawn point into every room and out of the front door.
+ */
+function isSolvable(level) {
+  const { rooms, collidables, spawnRoomIndex } = createHouse(new THREE.Group(), level);
+  const grid = new NavGrid(collidables, { agentRadius: PLAYER_RADIUS, agentHeight: PLAYER_HEIGHT });
+  const start = rooms[spawnRoomIndex].spawnPoint;
+
+  const targets = rooms.map(room => room.spawnPoint);
+  for (const room of rooms) {
+    if (room.exitZone) {
+      targets.push(new THREE.Vector3().addVectors(room.exitZone.min, room.exitZone.max).multiplyScalar(0.5));
+    }
+  }
+  // findPath snaps to the nearest open cell, so check the targets themselves too
+  return targets.every(target => grid.isWalkable(target.x, target.z) && grid.findPath(start, target) !== null);
+}
+
+/**
+ * Generate a random, solvable house.
+ * @param {number|string} seed - Same seed, same house
+ * @param {Object} [opts]
+ * @param {number} [opts.minRooms]
+ * @param {number} [opts.maxRooms]
+ * @returns {Object} Level data (see level.js)
+ */
+export function generateLevel(seed, { minRooms = MIN_ROOMS, maxRooms = MAX_ROOMS } = {}) {
+  const rng = new Random(seed);
+
+  for (let attempt = 0; attempt < LAYOUT_ATTEMPTS; attempt++) {
+    const roomCount = minRooms + rng.int(maxRooms - minRooms + 1);
+    const level = buildLayout(rng, roomCount);
+    if (!level) continue;
+    level.name = `House #${seed}`;
+    level.seed = seed;
+    if (isSolvable(level)) return level;
+  }
+
+  throw new Error(`Couldn't generate a solvable house from seed "${seed}"`);
+}
@@ -1,13 +1,20 @@
 import * as THREE from 'three';
+import { rng } from './random.js';
+
+const AMBIENT_INTENSITY = 0.3;
 
 export class LightingManager {
   constructor(scene) {
     this.scene = scene;
     this.lights = [];
     this.flickerLights = [];
+    this.brightness = 1;
+
+    // Drives the flicker, so replays flicker the same
+    this.random = rng.stream('lighting');
 
     // Very dim ambient — creates spooky base
-    this.ambient = new THREE.AmbientLight(0x111122, 0.3);
+    this.ambient = new THREE.AmbientLight(0x111122, AMBIENT_INTENSITY);
     scene.add(this.ambient);
   }
 
@@ -20,7 +27,8 @@ export class LightingManager {
    * @returns {THREE.PointLight}
    */
   addRoomLight(position, color, intensity, flicker = false) {
-    const light = new THREE.PointLight(color, intensity, 15);
+    const light = new THREE.PointLight(color, intensity * this.brightness, 15);
+    light.userData.baseIntensity = intensity;
     light.position.copy(position);
     light.castShadow = true;
     light.shadow.mapSize.width = 512;
@@ -29,12 +37,27 @@ export class LightingManager {
     this.lights.push(light);
 
     if (flicker) {
-      this.flickerLights.push({ light, baseIntensity: intensity, timer: 0 });
+      this.flickerLights.push({ light, baseIntensity: intensity * this.brightness, timer: 0 });
     }
 
     return light;
   }
 
+  /**
+   * Brighten or darken every light in the house (difficulty presets).
+   * @param {number} scale - Multiplier on each light's own intensity; 1 = as built
+   */
+  setBrightness(scale) {
+    this.brightness = scale;
+    this.ambient.intensity = AMBIENT_INTENSITY * scale;
+    for (const light of this.lights) {
+      light.intensity = light.userData.baseIntensity * scale;
+    }
+    for (const f of this.flickerLights) {
+      f.baseIntensity = f.light.userData.baseIntensity * scale;
+    }
+  }
+
   /**
    * Update flickering lights each frame.
    * @param {number} delta - Time since last frame in seconds
@@ -44,17 +67,17 @@ export class LightingManager {
       f.timer += delta;
 
       // 5% chance per frame: randomize intensity between 0.3x and 1.0x of base
-      if (Math.random() < 0.05) {
-        f.light.intensity = f.baseIntensity * (0.3 + Math.random() * 0.7);
+      if (this.random.chance(0.05)) {
+        f.light.intensity = f.baseIntensity * this.random.range(0.3, 1);
       }
 
       // 0.5% chance per frame: go fully dark momentarily
-      if (Math.random() < 0.005) {
+      if (this.random.chance(0.005)) {
         f.light.intensity = 0;
       }
 
       // Otherwise, slowly drift back toward base intensity
-      if (Math.random() >= 0.05) {
+      if (!this.random.chance(0.05)) {
         f.light.intensity += (f.baseIntensity - f.light.intensity) * delta * 2;
       }
     }
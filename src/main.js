@@ -1,20 +1,31 @@
 import * as THREE from 'three';
 import { createLauncher } from './launcher.js';
 import { Player } from './player.js';
-import { createHouse } from './house.js';
+import houseLevel from './levels/house.json' with { type: 'json' };
+import { generateLevel } from './levelGenerator.js';
+import { rng, randomSeed } from './random.js';
 import { LightingManager } from './lighting.js';
-import { Cat } from './cat.js';
+import { Simulation } from './simulation.js';
+import { CAT_STATE } from './cat.js';
+import { ITEMS } from './items.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { GameStateMachine, GAME_STATE } from './gameState.js';
+import { GameLoop, FIXED_STEP } from './gameLoop.js';
+import { readSave, writeSave, clearSave } from './saveGame.js';
+import { boardId, bestRuns, recordRun } from './leaderboard.js';
+import { SplitTimer } from './splits.js';
+import { InputRecorder, InputPlayback, parseReplay, downloadReplay } from './replay.js';
 import { JumpScare } from './jumpScare.js';
 import { SoundManager } from './sounds.js';
 import { HUD } from './hud.js';
 import { WinScreen, PauseMenu, HelpOverlay, GameOverScreen } from './screens.js';
 import { isTouchDevice, TouchControls } from './touchControls.js';
+import { GamepadControls, DEFAULT_LOOK_SENSITIVITY } from './gamepad.js';
 
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x111111);
 
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 1.6, 2); // Kitchen spawn point
 
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
@@ -26,26 +37,32 @@ document.getElementById('game-canvas').appendChild(renderer.domElement);
 // Player
 const player = new Player(camera, scene, renderer.domElement);
 
-// Build the house
-const { rooms, collidables } = createHouse(scene);
+// Build the house — the hand-made level, or a generated one when the URL
+// carries a seed (?seed=1234), so a layout can be shared and replayed
+const houseSeed = new URLSearchParams(window.location.search).get('seed');
+const level = houseSeed !== null ? generateLevel(houseSeed) : houseLevel;
+// Saved runs only continue in the house they were saved in, and best times
+// are kept per house
+const HOUSE_ID = houseSeed !== null ? `seed:${houseSeed}` : 'original';
+
+// The game's rules: the house, the cat, doors, items, lives and objectives
+// (see simulation.js). The player starts at the spawn room's spawn point
+const sim = new Simulation(scene, level, player);
+const {
+  rooms, collidables, navGrid, doorManager, pickupManager, inventory,
+  hidingSpotManager, flashlight, throwableManager, rules, cat,
+} = sim;
 
 // Atmospheric lighting — LightingManager provides dim ambient + per-room lights
 const lightingManager = new LightingManager(scene);
+for (const room of rooms) {
+  for (const light of room.lights) {
+    lightingManager.addRoomLight(light.position, light.color, light.intensity, light.flicker);
+  }
+}
 
-// Kitchen: warm overhead light
-lightingManager.addRoomLight(new THREE.Vector3(0, 2.8, 0), 0xFFE4B5, 1.5, false);
-
-// Hallway: flickering light for tension
-lightingManager.addRoomLight(new THREE.Vector3(0, 2.8, -7), 0xFFFFAA, 1.0, true);
-
-// Living Room: dim lamp in the corner
-lightingManager.addRoomLight(new THREE.Vector3(-3, 2, -14), 0xFFD700, 0.6, false);
-
-// Bedroom: faint moonlight, very dark and scary
-lightingManager.addRoomLight(new THREE.Vector3(2, 2.8, -20), 0x4444FF, 0.3, false);
-
-// Cat AI
-const cat = new Cat(scene);
+// Split times for each room reached, raced against the personal best
+const splitTimer = new SplitTimer(rooms[sim.spawnRoomIndex].id);
 
 // Jump scare system
 const jumpScare = new JumpScare(camera);
@@ -53,103 +70,415 @@ const jumpScare = new JumpScare(camera);
 // HUD
 const hud = new HUD();
 
-// Aggression multiplier per room: escalates as the player goes deeper
-const ROOM_AGGRESSION = [1.0, 1.3, 1.6, 2.0];
-
-// Room z-boundaries for detecting which room the player is in.
-// Derived from each room's center-z and depth:
-//   Kitchen:     center  0, depth 6  =>  z from -3  to +3
-//   Hallway:     center -7, depth 8  =>  z from -11 to -3
-//   Living Room: center -14, depth 6 =>  z from -17 to -11
-//   Bedroom:     center -20, depth 6 =>  z from -23 to -17
-const ROOM_Z_BOUNDS = [
-  { minZ: -3, maxZ: 3 },     // 0: Kitchen
-  { minZ: -11, maxZ: -3 },   // 1: Hallway
-  { minZ: -17, maxZ: -11 },  // 2: Living Room
-  { minZ: -23, maxZ: -17 },  // 3: Bedroom
-];
+// Inventory strip — tapping a slot selects it, tapping it again uses it
+inventory.onChange = () => hud.updateInventory(inventory);
+hud.onSlotTap = (index) => {
+  if (index === inventory.selectedIndex) queueAction('useItem');
+  else queueAction('selectSlot', index);
+};
 
 // Sound manager — initialized after user click (Web Audio requires gesture)
 let soundManager = null;
 
-// Track which room the player is currently in (-1 = none/unknown)
-let currentRoomIndex = -1;
-// Track whether the cat has been activated in the current room
-let catActivatedInRoom = false;
+// How loud slipping into a hiding spot is (1 = a footstep)
+const HIDE_NOISE = 0.5;
+
+// Footsteps sound softer to the player while crouching
+const CROUCH_STEP_VOLUME = 0.4;
+
+// How much a battery pickup charges the flashlight when the level doesn't say
+const DEFAULT_BATTERY_CHARGE = 0.5;
+
+// Treats and toys the player sets down land this far in front of them
+const DROP_DISTANCE = 0.8;
+const DROP_HEIGHT = 0.1;
+
+// A treat left out keeps the cat busy, if it's near enough to smell it
+const TREAT_SMELL_RADIUS = 10;
+const TREAT_EAT_TIME = 6;
+
+// A squeaky toy squeaks this long after it's set down, and this loudly
+const SQUEAK_DELAY = 3;
+const SQUEAK_NOISE = 2.5;
+
+// A thrown toy draws the cat over if it lands this close, for this long
+const LURE_RADIUS = 12;
+const LURE_TIME = 4;
+const LAND_SOUNDS = { 'toy-mouse': 'mouse-land', yarn: 'yarn-land' };
+
+// Toys set down and waiting to squeak ({ toy, time })
+let pendingSqueaks = [];
+const _dropPosition = new THREE.Vector3();
+
+// Cat sounds that keep going until they're stopped
+const CAT_SOUNDS = ['cat-growl', 'cat-yowl', 'cat-hiss'];
+
+// Game phase (menu, playing, paused...) — game logic only runs while PLAYING
+const game = new GameStateMachine();
+
+// Difficulty preset, chosen on the launcher — remembered between visits
+const DIFFICULTY_STORAGE_KEY = 'angry-cat-difficulty';
+let difficultyId = DEFAULT_DIFFICULTY;
+let difficulty = DIFFICULTIES[difficultyId];
+
+// Whether the run is won or lost and the end screen is up (the rest of the
+// run's progress is in sim)
+let runOver = false;
+
+// Replays — each run draws everything random from its own seed (see rng in
+// random.js), and each step's input is recorded (see replay.js), so a run
+// can be saved and watched again
+let recorder = null;       // recording this run (not a continued one — it didn't start here)
+let playback = null;       // or playing a replay back instead of taking input
+let pendingReplay = null;  // loaded, waiting for the launcher's WATCH REPLAY
+const PENDING_REPLAY_KEY = 'angry-cat-pending-replay';
+
+// What the player can do besides moving and looking, by name. They're queued
+// as they happen and run at the start of the next step, which is where a
+// replay runs them too
+const ACTIONS = {
+  interact: () => player.interact(),
+  toggleCrouch: () => player.toggleCrouch(),
+  toggleLight: () => toggleFlashlight(),
+  useItem: () => useSelectedItem(),
+  selectSlot: (index) => inventory.select(index),
+  cycleSlot: (direction) => cycleSlot(direction),
+};
+let pendingActions = [];
 
-// Game state: controls whether game logic updates run
-let gameRunning = false;
+// Touch controls instance (created on first game start, only on touch devices)
+let touchControls = null;
 
-// Lives system — 3 hits before game over
-const MAX_LIVES = 3;
-let lives = MAX_LIVES;
+// Xbox / PlayStation controller — how fast the right stick turns, remembered
+// between visits
+const LOOK_SENSITIVITY_STORAGE_KEY = 'angry-cat-look-sensitivity';
 
-// Whether the animate loop has been started (only start once)
-let animateStarted = false;
+// Rumble on a jump scare: [milliseconds, strong motor, weak motor]
+const HIT_RUMBLE = [400, 0.7, 0.5];
+const DEATH_RUMBLE = [1200, 1, 1];
 
-// Touch controls instance (created on first game start, only on touch devices)
-let touchControls = null;
+// Title screen controls (see createLauncher), once init has built it
+let launcherControls = null;
+
+/**
+ * Prompt for the door the player is looking at.
+ */
+function doorPrompt(door) {
+  if (door.isLocked) {
+    return inventory.keys.has(door.key) ? 'Unlock' : 'Locked';
+  }
+  return door.isOpen ? 'Close' : 'Open';
+}
 
 /**
- * Determine which room the player is in based on their z-position.
- * Returns room index (0-3) or -1 if outside all rooms.
+ * Open, close or unlock a door in front of the player.
  */
-function getRoomIndexForPosition(position) {
-  const pz = position.z;
-  for (let i = 0; i < ROOM_Z_BOUNDS.length; i++) {
-    if (pz >= ROOM_Z_BOUNDS[i].minZ && pz <= ROOM_Z_BOUNDS[i].maxZ) {
-      return i;
+function useDoor(door) {
+  const result = doorManager.use(door, player.position, inventory.keys);
+  if (result === 'locked') {
+    soundManager.play('door-locked');
+    hud.showMessage("It's locked. The key must be somewhere...");
+  } else if (result === 'blocked') {
+    hud.showMessage('Step out of the doorway first');
+  } else {
+    // The creak plays when a door actually swings
+    soundManager.play('door-creak');
+    if (result === 'unlocked') hud.showMessage('Unlocked');
+  }
+}
+
+/**
+ * Pick up an item the player is looking at.
+ */
+function pickUp(pickup) {
+  if (!sim.pickUp(pickup)) {
+    hud.showMessage('Your pockets are full');
+    return;
+  }
+  hud.showMessage(`Picked up the ${pickup.name || ITEMS[pickup.type].name}`);
+}
+
+/**
+ * Where an item set down by the player ends up: on the floor in front of
+ * them, or at their feet if that's inside furniture.
+ */
+function dropPosition() {
+  camera.getWorldDirection(_dropPosition);
+  _dropPosition.y = 0;
+  _dropPosition.normalize().multiplyScalar(DROP_DISTANCE).add(player.position);
+  if (!navGrid.isWalkable(_dropPosition.x, _dropPosition.z)) {
+    _dropPosition.set(player.position.x, 0, player.position.z);
+  }
+  _dropPosition.y = DROP_HEIGHT;
+  return _dropPosition;
+}
+
+/**
+ * Use the selected inventory item (Q / tap the selected slot).
+ */
+function useSelectedItem() {
+  const slot = inventory.selected;
+  if (!slot) return;
+
+  if (!ITEMS[slot.type].usable) {
+    hud.showMessage(slot.type === 'key' ? 'Keys open locked doors' : "You can't use that");
+    return;
+  }
+
+  if (ITEMS[slot.type].throwable) {
+    if (player.isHidden) {
+      hud.showMessage('Not from in here');
+      return;
+    }
+    throwableManager.throw(inventory.take(slot), camera);
+    return;
+  }
+
+  switch (slot.type) {
+    case 'battery': {
+      if (flashlight.battery >= 1) {
+        hud.showMessage('The flashlight is fully charged');
+        return;
+      }
+      const battery = inventory.take(slot);
+      flashlight.recharge(battery.charge ?? DEFAULT_BATTERY_CHARGE);
+      if (soundManager) soundManager.play('flashlight-click');
+      hud.showMessage('Put in a fresh battery');
+      break;
+    }
+
+    case 'treat': {
+      if (player.isHidden) {
+        hud.showMessage('Not from in here');
+        return;
+      }
+      const treat = pickupManager.drop(inventory.take(slot), dropPosition());
+      const smelt = cat.distract(treat.position, TREAT_EAT_TIME, {
+        radius: TREAT_SMELL_RADIUS,
+        onReached: () => {
+          if (treat.collected) return; // the player took it back
+          pickupManager.collect(treat);
+          rules.catFed();
+          hud.showMessage('Spencer gobbles up the treat');
+        },
+      });
+      hud.showMessage(smelt ? 'Spencer smells the treat...' : 'You leave a treat out');
+      break;
+    }
+
+    case 'squeaky-toy': {
+      if (player.isHidden) {
+        hud.showMessage('Not from in here');
+        return;
+      }
+      const toy = pickupManager.drop(inventory.take(slot), dropPosition());
+      pendingSqueaks.push({ toy, time: SQUEAK_DELAY });
+      hud.showMessage('You wind up the toy and set it down');
+      break;
     }
   }
-  return -1;
 }
 
 /**
- * Check whether a position is inside an AABB trigger zone.
+ * A thrown toy has landed: it rattles where it fell, the cat comes to play
+ * with it, and it can be picked up again.
+ */
+throwableManager.onLand = (item, position) => {
+  if (soundManager) soundManager.playAt(LAND_SOUNDS[item.type], position);
+  cat.distract(position, LURE_TIME, { radius: LURE_RADIUS });
+  pickupManager.drop(item, position);
+};
+
+/**
+ * Count down squeaky toys that have been set down; when one goes off, the
+ * cat hears it (unless the player picked it back up first).
  */
-function isInsideTriggerZone(position, zone) {
-  return (
-    position.x >= zone.min.x && position.x <= zone.max.x &&
-    position.z >= zone.min.z && position.z <= zone.max.z
-  );
+function updateSqueaks(delta) {
+  for (const pending of pendingSqueaks) {
+    pending.time -= delta;
+    if (pending.time > 0 || pending.toy.collected) continue;
+    if (soundManager) soundManager.play('squeak');
+    cat.hearNoise(pending.toy.position, SQUEAK_NOISE, { fromPlayer: false });
+  }
+  pendingSqueaks = pendingSqueaks.filter(pending => pending.time > 0 && !pending.toy.collected);
 }
 
+// Things the player can use, nearest-first: items, doors, then hiding spots
+player.addInteractable({
+  find: () => {
+    const pickup = pickupManager.pickupInView(camera);
+    return pickup && {
+      prompt: `Pick up the ${pickup.name || ITEMS[pickup.type].name}`,
+      use: () => pickUp(pickup),
+    };
+  },
+});
+player.addInteractable({
+  find: () => {
+    const door = doorManager.doorInView(camera);
+    return door && { prompt: doorPrompt(door), use: () => useDoor(door) };
+  },
+});
+player.addInteractable({
+  find: () => {
+    const spot = hidingSpotManager.spotInView(camera);
+    return spot && { prompt: spot.prompt, use: () => player.hide(spot) };
+  },
+});
+
+// Hiding — the cat loses sight of the player, unless it hears them get in
+player.onHidingChange = (hidden) => {
+  cat.setPlayerHidden(hidden);
+  hud.setPeekView(hidden ? player.hidingSpot.view : null);
+  if (hidden) {
+    if (soundManager) soundManager.play('footstep-carpet');
+    cat.hearNoise(player.position, HIDE_NOISE);
+  }
+};
+
+// The player walked into another room: show its name, take a split the
+// first time in, and keep a save from it
+sim.onRoomEnter = (room) => {
+  hud.showRoomName(room.name);
+  const split = splitTimer.reach(room, hud.elapsed);
+  if (split) hud.showSplit(split);
+  saveRun();
+};
+
+sim.onExitBlocked = (remaining) => hud.showMessage(`Not yet: ${remaining[0]}`);
+
+sim.onCatDazzled = () => {
+  if (soundManager) soundManager.play('cat-hiss');
+};
+
 // ── Win Screen ──
 const winScreen = new WinScreen(() => {
-  // PLAY AGAIN callback: full reset
-  resetGame();
-});
+  // PLAY AGAIN: back to the launcher
+  game.transition(GAME_STATE.MENU);
+}, saveReplay);
 
 // ── Game Over Screen ──
 const gameOverScreen = new GameOverScreen(() => {
-  // TRY AGAIN callback: full reset
-  resetGame();
-});
+  // TRY AGAIN: back to the launcher
+  game.transition(GAME_STATE.MENU);
+}, saveReplay);
 
 // ── Help Overlay (H key) ──
 const helpOverlay = new HelpOverlay();
 
 // ── Pause Menu ──
-const pauseMenu = new PauseMenu(() => {
-  if (isTouchDevice) {
-    // On mobile, just hide pause and show touch controls again
-    pauseMenu.hide();
-    if (touchControls) touchControls.show();
+const pauseMenu = new PauseMenu(resumeGame, setLookSensitivity);
+
+/**
+ * Carry on from the pause menu (click / tap, or START on a controller).
+ */
+function resumeGame() {
+  if (isTouchDevice || playback || gamepadControls.active) {
+    game.transition(GAME_STATE.PLAYING);
   } else {
-    // Desktop: re-request pointer lock
+    // Desktop: re-request pointer lock — getting it back resumes the game
     player.lock();
   }
+}
+
+// ── Controller ──
+const gamepadControls = new GamepadControls({
+  player,
+  camera,
+  helpOverlay,
+  game,
+  onAction: queueAction,
+  onResume: resumeGame,
+  onLookSensitivity: setLookSensitivity,
+  onActiveChange: updateMobileMode,
+  lookSensitivity: savedLookSensitivity(),
 });
+pauseMenu.setLookSensitivity(gamepadControls.lookSensitivity);
+
+/**
+ * Set how fast the right stick looks around, from the pause menu's slider
+ * or the d-pad.
+ * @param {number} value
+ */
+function setLookSensitivity(value) {
+  gamepadControls.setLookSensitivity(value);
+  pauseMenu.setLookSensitivity(gamepadControls.lookSensitivity);
+  try {
+    localStorage.setItem(LOOK_SENSITIVITY_STORAGE_KEY, String(gamepadControls.lookSensitivity));
+  } catch {
+    // Storage can be unavailable (private browsing) — just don't remember it
+  }
+}
+
+/**
+ * The look speed set last time, or the default.
+ * @returns {number}
+ */
+function savedLookSensitivity() {
+  try {
+    const value = Number(localStorage.getItem(LOOK_SENSITIVITY_STORAGE_KEY));
+    return value > 0 ? value : DEFAULT_LOOK_SENSITIVITY;
+  } catch {
+    return DEFAULT_LOOK_SENSITIVITY;
+  }
+}
+
+/**
+ * Select the next or previous item (LB / RB), wrapping round.
+ * @param {number} direction - 1 or -1
+ */
+function cycleSlot(direction) {
+  const count = inventory.slots.length;
+  if (count === 0) return;
+  inventory.select((inventory.selectedIndex + direction + count) % count);
+}
 
 /**
  * Handle H key for help overlay toggle.
  */
 document.addEventListener('keydown', (e) => {
-  if (e.code === 'KeyH' && gameRunning) {
+  if (!game.is(GAME_STATE.PLAYING)) return;
+  if (e.code === 'KeyH') {
     helpOverlay.toggle();
   }
+  if (e.code === 'KeyF' && !e.repeat) {
+    queueAction('toggleLight');
+  }
+  if (e.code === 'KeyQ' && !e.repeat) {
+    queueAction('useItem');
+  }
+  if (/^Digit[1-9]$/.test(e.code)) {
+    queueAction('selectSlot', Number(e.code.slice(5)) - 1);
+  }
+  // A replay has no pointer lock to give up — ESC pauses it directly
+  if (e.code === 'Escape' && playback) {
+    game.transition(GAME_STATE.PAUSED);
+  }
 });
 
+/**
+ * Do something on the next step (see ACTIONS). Ignored while watching a
+ * replay — it has its own.
+ * @param {string} name
+ * @param {*} [arg]
+ */
+function queueAction(name, arg) {
+  if (playback || !game.is(GAME_STATE.PLAYING)) return;
+  pendingActions.push(arg === undefined ? [name] : [name, arg]);
+}
+player.onAction = queueAction;
+
+/**
+ * Switch the flashlight on or off (F / touch LIGHT).
+ */
+function toggleFlashlight() {
+  if (flashlight.toggle()) {
+    if (soundManager) soundManager.play('flashlight-click');
+  } else {
+    hud.showMessage('The battery is flat');
+  }
+}
+
 /**
  * Handle pointer lock changes for pause/resume.
  * (Touch devices don't use pointer lock — they have an explicit pause button.)
@@ -157,131 +486,342 @@ document.addEventListener('keydown', (e) => {
 document.addEventListener('pointerlockchange', () => {
   if (isTouchDevice) return;
 
-  const isLocked = document.pointerLockElement === renderer.domElement;
-
-  if (isLocked) {
-    // Pointer lock acquired — hide pause, ensure game is running
-    pauseMenu.hide();
-  } else {
-    // Pointer lock lost — show pause if the game is still running
-    // (Don't show pause during win screen or before game starts)
-    if (gameRunning && !jumpScare.isActive) {
-      pauseMenu.show();
-    }
+  if (isPointerLocked()) {
+    if (game.is(GAME_STATE.PAUSED)) game.transition(GAME_STATE.PLAYING);
+  } else if (game.is(GAME_STATE.PLAYING)) {
+    // Only pause mid-game — not behind the win screen, a jump scare or the launcher
+    game.transition(GAME_STATE.PAUSED);
   }
 });
 
+function isPointerLocked() {
+  return document.pointerLockElement === renderer.domElement;
+}
+
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-// Delta time clock
+// Real time between frames, and the loop that turns it into fixed steps
 const clock = new THREE.Clock();
+const loop = new GameLoop(stepOnce);
+
+// Slow motion while the cat's in mid-pounce
+const POUNCE_TIME_SCALE = 0.35;
+const TIME_SCALE_EASE = 6; // how fast the time scale follows, per second
+let slowMotion = 1;
+
+// The player and the door panels move in steps; draw them in between
+loop.track(camera);
+for (const door of doorManager.doors) loop.track(door.pivot, { position: false, rotation: true });
+
+// ── Game state hooks ──
 
 /**
- * Trigger win state: player escaped!
+ * Stop the game sounds: the cat's, and the ambience too when the run is over.
+ * @param {boolean} [includeAmbient]
  */
-function triggerWin() {
-  gameRunning = false;
+function stopSounds(includeAmbient = false) {
+  if (!soundManager) return;
+  if (includeAmbient) soundManager.stop('ambient');
+  for (const name of CAT_SOUNDS) soundManager.stop(name);
+}
+
+game.onEnter(GAME_STATE.PLAYING, () => {
+  // Time spent in the menu or paused mustn't arrive as one huge frame, and a
+  // respawn isn't blended across the house
+  clock.getDelta();
+  loop.reset();
+  renderer.setAnimationLoop(animate);
+});
+
+game.onExit(GAME_STATE.PLAYING, () => hud.setPrompt(null));
+
+game.onEnter(GAME_STATE.PAUSED, () => {
+  saveRun();
+  pauseMenu.show();
+});
+game.onExit(GAME_STATE.PAUSED, () => pauseMenu.hide());
 
-  // Exit pointer lock
+// Caught with lives to spare: a short scare, then back in the room
+game.onEnter(GAME_STATE.HIT, () => {
+  jumpScare.triggerHit();
+  gamepadControls.rumble(...HIT_RUMBLE);
+});
+game.onExit(GAME_STATE.HIT, () => stopSounds());
+
+/**
+ * The run is over, won or lost: let go of the mouse, quiet everything down
+ * and clear the overlays for the end screen.
+ */
+function endRun() {
+  runOver = true;
+  if (!playback) clearSave();
   document.exitPointerLock();
+  stopSounds(true);
+  helpOverlay.hide();
+}
 
-  // Stop sounds
-  if (soundManager) {
-    soundManager.stop('ambient');
-    soundManager.stop('cat-growl');
-    soundManager.stop('cat-yowl');
-    soundManager.stop('cat-hiss');
+game.onEnter(GAME_STATE.WON, ({ title }) => {
+  endRun();
+
+  // Onto the best times for this house and difficulty, if it was quick enough
+  // (watching a replay doesn't count)
+  const board = boardId(HOUSE_ID, difficultyId);
+  hud.showSplit(splitTimer.finish(hud.elapsed));
+  const place = playback ? -1 : recordRun(board, {
+    time: hud.elapsed,
+    hits: difficulty.lives - sim.lives,
+    splits: splitTimer.serialize(),
+  });
+  winScreen.show(hud.getTimeString(), title, { runs: bestRuns(board), place, splits: splitTimer.splits }, canSaveReplay());
+});
+
+// Caught for the last time, the full death scare plays before the game over
+// screen (see jumpScare.onRespawn); running out of time goes straight to it
+game.onEnter(GAME_STATE.DEAD, ({ caught, reason }) => {
+  if (caught) {
+    jumpScare.trigger();
+    gamepadControls.rumble(...DEATH_RUMBLE);
+  } else {
+    showGameOver(reason);
   }
+});
 
-  // Hide pause, help, and touch overlays
-  pauseMenu.hide();
-  helpOverlay.hide();
-  if (touchControls) touchControls.hide();
+/**
+ * @param {string} [reason] - Shown under GAME OVER
+ */
+function showGameOver(reason) {
+  endRun();
+  gameOverScreen.show(reason, canSaveReplay());
+}
+
+game.onEnter(GAME_STATE.MENU, () => {
+  resetGame();
+  renderer.setAnimationLoop(null);
+  playback = null;
+  updateMobileMode();
+  launcherControls.setCanContinue(savedRun() !== null);
+  launcherControls.refreshBestTimes();
 
-  // Show win screen with final time
-  winScreen.show(hud.getTimeString());
+  // Show the launcher again
+  const launcher = document.getElementById('launcher');
+  launcher.style.display = '';
+  launcher.classList.remove('fade-out');
+  launcher.style.opacity = '';
+});
+
+/**
+ * Put the house back how it started for the next run: player, cat, doors,
+ * items, objectives and HUD.
+ */
+function resetGame() {
+  sim.reset();
+  pendingSqueaks = [];
+  hud.reset();
 }
 
 /**
- * Trigger game over: Spencer got all 3 lives.
+ * Tune the cat, player, lights and lives for a difficulty preset.
+ * @param {string} id - Key of DIFFICULTIES
  */
-function triggerGameOver() {
-  gameRunning = false;
+function applyDifficulty(id) {
+  difficultyId = DIFFICULTIES[id] ? id : DEFAULT_DIFFICULTY;
+  difficulty = DIFFICULTIES[difficultyId];
+  sim.setDifficulty(difficulty);
+  lightingManager.setBrightness(difficulty.lightIntensity);
+  hud.setMaxLives(difficulty.lives);
+}
 
-  // Exit pointer lock
-  document.exitPointerLock();
+/**
+ * Remember the difficulty for the launcher next time.
+ * @param {string} id
+ */
+function saveDifficulty(id) {
+  try {
+    localStorage.setItem(DIFFICULTY_STORAGE_KEY, id);
+  } catch {
+    // Storage can be unavailable (private browsing) — just don't remember it
+  }
+}
 
-  // Stop sounds
-  if (soundManager) {
-    soundManager.stop('ambient');
-    soundManager.stop('cat-growl');
-    soundManager.stop('cat-yowl');
-    soundManager.stop('cat-hiss');
+/**
+ * The difficulty picked last time, if any.
+ * @returns {string|undefined}
+ */
+function savedDifficulty() {
+  try {
+    return localStorage.getItem(DIFFICULTY_STORAGE_KEY) ?? undefined;
+  } catch {
+    return undefined;
   }
+}
 
-  // Hide pause, help, and touch overlays
-  pauseMenu.hide();
-  helpOverlay.hide();
-  if (touchControls) touchControls.hide();
+// ── Saved runs ──
 
-  // Show game over screen
-  gameOverScreen.show();
+/**
+ * Save the run so it can be continued if the tab is closed.
+ */
+function saveRun() {
+  if (sim.roomIndex === -1 || playback) return;
+  writeSave({
+    house: HOUSE_ID,
+    difficulty: difficultyId,
+    elapsed: hud.elapsed,
+    ...sim.serialize(),
+    splits: splitTimer.serialize(),
+  });
 }
 
 /**
- * Full game reset for PLAY AGAIN / TRY AGAIN.
- * Resets player, cat, HUD, sounds, game state, and shows the launcher.
+ * The saved run, if there's one for this house.
+ * @returns {Object|null}
  */
-function resetGame() {
-  // Reset game state
-  gameRunning = false;
-  currentRoomIndex = -1;
-  catActivatedInRoom = false;
-  lives = MAX_LIVES;
+function savedRun() {
+  const save = readSave();
+  return save && save.house === HOUSE_ID && rooms[save.roomIndex] ? save : null;
+}
 
-  // Reset player to kitchen spawn
-  player.position.set(0, 1.6, 2);
-  player.stamina = 1;
+/**
+ * Put everything back how a saved run left it.
+ * @param {Object} save - See saveGame.js
+ */
+function restoreRun(save) {
+  sim.restore(save);
+  hud.setElapsed(save.elapsed);
+  splitTimer.restore(save.splits, personalBestSplits());
+  for (const split of splitTimer.splits) hud.showSplit(split);
+  hud.showRoomName(rooms[sim.roomIndex].name);
+}
 
-  // Reset cat
-  cat.reset();
+// Leaving the page mid-game saves too, not just pausing
+window.addEventListener('pagehide', () => {
+  if (game.is(GAME_STATE.PLAYING)) saveRun();
+});
 
-  // Reset HUD
-  hud.reset();
+/**
+ * Splits of the fastest win in this house on this difficulty, to race.
+ * @returns {Object[]}
+ */
+function personalBestSplits() {
+  const [best] = bestRuns(boardId(HOUSE_ID, difficultyId));
+  return best ? best.splits || [] : [];
+}
 
-  // Stop all sounds
-  if (soundManager) {
-    soundManager.stop('ambient');
-    soundManager.stop('cat-growl');
-    soundManager.stop('cat-yowl');
-    soundManager.stop('cat-hiss');
+// ── Replays ──
+
+/**
+ * Whether the run just ended can be saved as a replay.
+ * @returns {boolean}
+ */
+function canSaveReplay() {
+  return recorder !== null || playback !== null;
+}
+
+/**
+ * Download the run just ended (SAVE REPLAY on the end screens).
+ */
+function saveReplay() {
+  if (recorder) downloadReplay(recorder.toJSON());
+  else if (playback) downloadReplay(playback.replay);
+}
+
+/**
+ * A replay file picked on the launcher. One from another house is kept
+ * for a moment while the page reloads on that house.
+ * @param {File} file
+ * @returns {Promise<boolean>} Whether it can be watched here and now
+ */
+async function loadReplay(file) {
+  const replay = parseReplay(await file.text());
+  if (replay.house === HOUSE_ID) {
+    pendingReplay = replay;
+    return true;
+  }
+  try {
+    sessionStorage.setItem(PENDING_REPLAY_KEY, JSON.stringify(replay));
+  } catch {
+    throw new Error('That replay is too big to open in another house');
   }
+  loadHouse(replay.house.startsWith('seed:') ? replay.house.slice(5) : null);
+  return false;
+}
 
-  // Hide overlays and touch controls
-  helpOverlay.hide();
-  gameOverScreen.hide();
-  if (touchControls) touchControls.hide();
+/**
+ * A replay carried over from loadReplay, if the page was reloaded for it.
+ * @returns {Object|null}
+ */
+function carriedOverReplay() {
+  try {
+    const text = sessionStorage.getItem(PENDING_REPLAY_KEY);
+    sessionStorage.removeItem(PENDING_REPLAY_KEY);
+    return text ? parseReplay(text) : null;
+  } catch {
+    return null;
+  }
+}
 
-  // Show the launcher again
-  const launcher = document.getElementById('launcher');
-  launcher.style.display = '';
-  launcher.classList.remove('fade-out');
-  launcher.style.opacity = '';
+/**
+ * Watch the loaded replay (the launcher's WATCH REPLAY).
+ */
+function watchReplay() {
+  if (!pendingReplay) return;
+  playback = new InputPlayback(pendingReplay);
+  pendingReplay = null;
+  launcherControls.setCanWatchReplay(false);
+  startGame(playback.replay.difficulty);
+  hud.showMessage('Watching a replay — ESC to pause');
+}
+
+/**
+ * Continue the saved run (called from the launcher's CONTINUE).
+ */
+function continueGame() {
+  const save = savedRun();
+  startGame(save ? save.difficulty : difficultyId, null, save);
+}
+
+/**
+ * Start a new game (the launcher's PLAY). The difficulty picked is the one
+ * the launcher offers next time.
+ * @param {string} id - Difficulty preset picked on the launcher
+ * @param {string|null} [seed] - Seed typed on the launcher, to play a run again
+ */
+function newGame(id, seed = null) {
+  startGame(id, seed);
+  saveDifficulty(difficultyId);
 }
 
 /**
- * Start the game (called from launcher onStart callback).
+ * Start a game: a new one, a continued one or a replay.
+ * @param {string} id - Difficulty preset
+ * @param {string|null} [seed] - Seed typed on the launcher, to play a run again
+ * @param {Object|null} [save] - A saved run to pick up instead of starting afresh
  */
-function startGame() {
-  gameRunning = true;
-  currentRoomIndex = -1;
-  catActivatedInRoom = false;
-  lives = MAX_LIVES;
-  hud.updateLives(lives);
+function startGame(id, seed = null, save = null) {
+  applyDifficulty(id);
+  if (save) {
+    restoreRun(save);
+  } else {
+    sim.startRun();
+    splitTimer.start(personalBestSplits());
+  }
+  runOver = false;
+  hud.updateLives(sim.lives);
+
+  // The seed typed on the launcher, a fresh one, or the replay's. A continued
+  // run isn't recorded: a replay has to start from the beginning
+  pendingActions = [];
+  if (playback) {
+    rng.reseed(playback.replay.seed);
+    recorder = null;
+  } else {
+    rng.reseed(seed ?? randomSeed());
+    recorder = save ? null : new InputRecorder({ house: HOUSE_ID, difficulty: difficultyId, seed: rng.seed, step: FIXED_STEP });
+  }
+  for (const screen of [pauseMenu, winScreen, gameOverScreen]) screen.setSeed(rng.seed);
 
   // Initialize sound system AFTER user click (Web Audio requires gesture)
   if (!soundManager) {
@@ -300,112 +840,160 @@ function startGame() {
   // Start ambient background loop
   soundManager.play('ambient');
 
-  // Wire footstep sounds to the player step callback
-  player.onStep = () => {
-    const room = rooms[currentRoomIndex];
-    const floorType = room ? room.floorType : 'tile';
-    soundManager.playFootstep(floorType);
+  // Wire footstep sounds to the player step callback — the cat hears them too
+  player.onStep = (noiseLevel) => {
+    soundManager.playFootstep(player.floorType, player.isCrouching ? CROUCH_STEP_VOLUME : 1);
+    cat.hearNoise(player.position, noiseLevel);
   };
 
-  // Reset the delta clock so the first frame doesn't get a huge delta
-  clock.getDelta();
-
   // Show startup hint (different text for touch vs desktop)
   showStartupHint();
 
-  if (isTouchDevice) {
-    // Mobile/tablet: skip pointer lock (unsupported on iOS), use touch controls
-    player.setMobileMode(true);
+  updateMobileMode();
 
+  if (isTouchDevice) {
+    // Mobile/tablet: skip pointer lock (unsupported on iOS), use touch controls.
+    // They show themselves while the game is PLAYING
     if (!touchControls) {
       touchControls = new TouchControls({
         player,
         camera,
         helpOverlay,
-        pauseMenu,
-        gameRunningFn: () => gameRunning,
+        game,
+        onAction: queueAction,
       });
-    } else {
-      touchControls.show();
     }
-  } else {
-    // Desktop: use pointer lock for mouse look
-    player.lock();
   }
 
-  // Only start the animate loop once
-  if (!animateStarted) {
-    animateStarted = true;
-    animate();
-  }
+  game.transition(GAME_STATE.PLAYING);
+
+  // Desktop: use pointer lock for mouse look
+  if (!isTouchDevice && !playback) player.lock();
 }
 
+/**
+ * One frame, driven by the renderer's animation loop while the game is out
+ * of the menu: as many fixed steps as the time since the last frame is
+ * worth (see gameLoop.js), then a redraw.
+ */
 function animate() {
-  requestAnimationFrame(animate);
   const delta = clock.getDelta();
 
-  // Always render and update lighting (even when paused for visual continuity)
-  lightingManager.update(delta);
-  renderer.render(scene, camera);
-
-  // Skip game logic when not running (paused, win screen, etc.)
-  if (!gameRunning) return;
+  // Time stands still while paused or waiting on the mouse, and slows
+  // right down while the cat pounces
+  const pouncing = game.is(GAME_STATE.PLAYING) && cat.state === CAT_STATE.POUNCING;
+  slowMotion += ((pouncing ? POUNCE_TIME_SCALE : 1) - slowMotion) * Math.min(1, TIME_SCALE_EASE * delta);
+  // The controller is read every frame, paused or not (START resumes)
+  if (!playback) gamepadControls.update(delta);
 
-  player.update(delta, collidables);
+  loop.timeScale = isStepping() ? slowMotion : 0;
+  loop.advance(delta);
 
-  // --- HUD updates ---
-  hud.updateStamina(player.stamina, player.isSprinting);
-  hud.updateTimer(delta);
+  loop.render(() => renderer.render(scene, camera));
+}
 
-  // --- Room detection ---
-  const roomIndex = getRoomIndexForPosition(player.position);
+/**
+ * One fixed step of the game, with the player's input or the replay's.
+ * @param {number} dt - Seconds (FIXED_STEP)
+ */
+function stepOnce(dt) {
+  // The run may have ended a step ago, partway through the frame
+  if (!isStepping()) return;
 
-  // Player entered a new room — set up the cat and play door creak
-  if (roomIndex !== -1 && roomIndex !== currentRoomIndex) {
-    // Play door creak on room transitions (not on the very first room detection)
-    if (currentRoomIndex !== -1 && soundManager) {
-      soundManager.play('door-creak');
-    }
-    currentRoomIndex = roomIndex;
-    catActivatedInRoom = false;
-    const room = rooms[roomIndex];
-    cat.setupForRoom(roomIndex, room.catHidingSpots, ROOM_AGGRESSION[roomIndex]);
+  step(playback ? playback.next() : liveFrame(dt));
+  if (recorder) recorder.settle(camera.quaternion);
 
-    // Show room name on HUD
-    hud.showRoomName(room.name);
+  // The replay ran out before the run ended (a file from an older build, say)
+  if (playback && playback.done && game.is(GAME_STATE.PLAYING)) {
+    game.transition(GAME_STATE.DEAD, { reason: 'The replay ends here.' });
   }
+}
 
-  // --- Win condition: player reaches bedroom exit zone ---
-  if (roomIndex === 3) {
-    const bedroom = rooms[3];
-    if (bedroom.exitZone && isInsideTriggerZone(player.position, bedroom.exitZone)) {
-      triggerWin();
-      return; // Stop processing this frame
-    }
+/**
+ * Whether time passes this frame — not while paused or once the end screen
+ * is up, and on desktop not while the mouse is free. (A scare plays out
+ * either way; a replay and a controller don't need the mouse.)
+ * @returns {boolean}
+ */
+function isStepping() {
+  if (runOver || game.is(GAME_STATE.PAUSED)) return false;
+  return playback !== null || isTouchDevice || gamepadControls.active || isPointerLocked() || !game.is(GAME_STATE.PLAYING);
+}
+
+/**
+ * Let the player use things without the mouse captured: on touch devices,
+ * with a controller, and in a replay (which drives the player itself).
+ */
+function updateMobileMode() {
+  player.setMobileMode(isTouchDevice || playback !== null || gamepadControls.active);
+}
+
+/**
+ * This step's input from the player, recorded if the run is.
+ * @param {number} delta
+ */
+function liveFrame(delta) {
+  const frame = { dt: delta, keys: player.keys, stick: player.stick, look: null, actions: pendingActions };
+  pendingActions = [];
+  if (recorder) recorder.record(frame, camera.quaternion);
+  return frame;
+}
+
+/**
+ * Move the game on by a step's input — the player's, or a replay's.
+ * @param {{ dt: number, keys: Object, stick: THREE.Vector2|number[], look: number[]|null, actions: Array[] }} frame
+ */
+function step({ dt: delta, keys, stick, look, actions }) {
+  if (playback) {
+    Object.assign(player.keys, keys);
+    player.stick.fromArray(stick);
+    if (look) camera.quaternion.fromArray(look);
   }
 
-  // --- Cat trigger zone check ---
-  if (roomIndex !== -1 && !catActivatedInRoom) {
-    const room = rooms[roomIndex];
-    if (isInsideTriggerZone(player.position, room.triggerZone)) {
-      cat.activate();
-      catActivatedInRoom = true;
+  lightingManager.update(delta);
+
+  // Camera shake carries on through a jump scare
+  jumpScare.update(delta);
+
+  // Game logic only runs while playing (not being scared, etc.)
+  if (!game.is(GAME_STATE.PLAYING)) return;
+
+  for (const [name, arg] of actions) ACTIONS[name](arg);
+  updateSqueaks(delta);
+  hud.updateTimer(delta);
+
+  // --- The house, the cat and the objectives (see simulation.js) ---
+  const outcome = sim.step(delta);
+
+  // --- HUD updates (unless the cat just got the player) ---
+  if (game.is(GAME_STATE.PLAYING)) {
+    hud.setPrompt(player.interaction ? `${isTouchDevice ? 'USE' : 'E'} — ${player.interaction.prompt}` : null);
+    if (touchControls) {
+      touchControls.setLightOn(flashlight.isOn);
+      touchControls.setCrouching(player.isCrouching);
     }
+    hud.updateStamina(player.stamina, player.isSprinting);
+    hud.updateNoise(player.noiseLevel, player.isCrouching);
+    hud.updateBattery(flashlight.battery, flashlight.isOn);
+    hud.updateObjectives(rules.objectives);
   }
 
-  // --- Update cat AI ---
-  cat.update(delta, player.position, player.isSprinting);
+  if (outcome === 'won') {
+    game.transition(GAME_STATE.WON, { title: rules.escaped ? 'YOU ESCAPED!' : 'YOU MADE IT!' });
+    return; // Stop processing this frame
+  }
+  if (outcome === 'lost') {
+    game.transition(GAME_STATE.DEAD, { reason: rules.lostReason });
+    return;
+  }
 
   // --- Update positional cat growl ---
   if (soundManager) {
     soundManager.updateCatGrowl(
-      cat.state === 'stalking',
+      cat.isGrowling,
       cat.model ? cat.model.position : null
     );
   }
-
-  // --- Update jump scare (camera shake) ---
-  jumpScare.update(delta);
 }
 
 /**
@@ -418,9 +1006,13 @@ function showStartupHint() {
 
   const hint = document.createElement('div');
   hint.className = 'startup-hint';
-  hint.textContent = isTouchDevice
-    ? 'Joystick to move · Hold SPRINT to run · Swipe to look'
-    : 'WASD to move · SHIFT to sprint · H for help';
+  if (isTouchDevice) {
+    hint.textContent = 'Joystick to move · Hold SPRINT to run · CROUCH to sneak · USE for doors';
+  } else if (gamepadControls.active) {
+    hint.textContent = 'Left stick to move · RT to sprint · LT to crouch · A to open doors · BACK for help';
+  } else {
+    hint.textContent = 'WASD to move · SHIFT to sprint · C to crouch · E to open doors · H for help';
+  }
   document.body.appendChild(hint);
 
   // Fade out after 4 seconds
@@ -436,49 +1028,82 @@ function showStartupHint() {
  */
 async function init() {
   await cat.load();
+  loop.track(cat.model, { rotation: true });
 
-  // Set the jump scare callback — subtract a life, trigger hit or game over
-  cat.onJumpScare = () => {
+  // Caught — a life's gone (see Simulation): hit scare or game over
+  sim.onCaught = (livesLeft) => {
     if (soundManager) {
       soundManager.play('cat-yowl');
       soundManager.play('cat-hiss');
     }
 
-    lives--;
-    hud.updateLives(lives);
+    hud.updateLives(livesLeft);
 
-    if (lives <= 0) {
-      // Final life lost — full death sequence, then game over
-      jumpScare.trigger();
+    // Final life lost — full death sequence, then game over. Otherwise a
+    // short hit scare, then respawn in the room
+    if (livesLeft <= 0) {
+      game.transition(GAME_STATE.DEAD, { caught: true });
     } else {
-      // Still have lives — short hit scare, then respawn in room
-      jumpScare.triggerHit();
+      game.transition(GAME_STATE.HIT);
     }
   };
 
   // Set the respawn callback
   jumpScare.onRespawn = () => {
     // If no lives left, show game over instead of respawning
-    if (lives <= 0) {
-      triggerGameOver();
+    if (game.is(GAME_STATE.DEAD)) {
+      showGameOver();
       return;
     }
 
-    const room = rooms[currentRoomIndex];
-    player.position.set(room.spawnPoint.x, room.spawnPoint.y, room.spawnPoint.z);
-    cat.setupForRoom(currentRoomIndex, room.catHidingSpots, ROOM_AGGRESSION[currentRoomIndex]);
-    player.stamina = 1;
-    // Stop any lingering cat sounds on respawn
-    if (soundManager) {
-      soundManager.stop('cat-growl');
-      soundManager.stop('cat-yowl');
-      soundManager.stop('cat-hiss');
-    }
+    sim.respawn();
+    game.transition(GAME_STATE.PLAYING);
+
+    // Desktop: the mouse may have got away during the scare. Pause once this
+    // frame's steps are done, so it plays out the same as it would in a replay
+    queueMicrotask(() => {
+      if (game.is(GAME_STATE.PLAYING) && !isTouchDevice && !playback && !gamepadControls.active && !isPointerLocked()) {
+        game.transition(GAME_STATE.PAUSED);
+      }
+    });
   };
 
-  createLauncher(startGame);
+  launcherControls = createLauncher(newGame, {
+    houseName: level.name,
+    onRandomHouse: () => loadHouse(randomSeed()),
+    // Only offered while playing a generated house
+    onOriginalHouse: houseSeed !== null ? () => loadHouse(null) : null,
+    difficulty: savedDifficulty(),
+    onContinue: continueGame,
+    getBestTimes: (id) => bestRuns(boardId(HOUSE_ID, id)),
+    onLoadReplay: loadReplay,
+    onWatchReplay: watchReplay,
+  });
+  launcherControls.setCanContinue(savedRun() !== null);
+
+  // Reloaded to watch a replay from another house
+  const replay = carriedOverReplay();
+  if (replay && replay.house === HOUSE_ID) {
+    pendingReplay = replay;
+    launcherControls.setCanWatchReplay(true);
+  }
+}
+
+/**
+ * Reload the page on another house: a generated one for a seed, or the
+ * hand-made one for null.
+ * @param {number|string|null} seed
+ */
+function loadHouse(seed) {
+  const url = new URL(window.location.href);
+  if (seed === null) {
+    url.searchParams.delete('seed');
+  } else {
+    url.searchParams.set('seed', seed);
+  }
+  window.location.assign(url);
 }
 
 init();
 
-export { camera, scene, renderer, player, collidables, rooms, lightingManager, cat, jumpScare, soundManager };
+export { camera, scene, renderer, player, sim, collidables, navGrid, rooms, doorManager, pickupManager, inventory, lightingManager, cat, jumpScare, soundManager };
@@ -0,0 +1,375 @@
+import * as THREE from 'three';
+
+/**
+ * NavGrid -- walkability grid + A* pathfinding for the cat.
+ *
+ * The grid is rasterised from the bounding boxes of the house collidables, so
+ * the cat respects exactly the same walls and furniture as the player. Door
+ * gaps are simply cells no wall box covers. Anything whose underside is above
+ * the cat's head (table tops, the wall piece over a doorway) doesn't block.
+ * Things that move, like door panels, are added as obstacles afterwards.
+ */
+
+const DEFAULT_CELL_SIZE = 0.25;
+const DEFAULT_AGENT_RADIUS = 0.25;  // cat half-width, boxes are inflated by this
+const DEFAULT_AGENT_HEIGHT = 0.6;   // the cat fits under anything higher
+const BOUNDS_MARGIN = 1;
+const SQRT2 = Math.SQRT2;
+
+// 8-connected neighbour offsets: [dx, dz, cost]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2],
+];
+
+export class NavGrid {
+  /**
+   * @param {THREE.Object3D[]} collidables
+   * @param {Object} [opts]
+   * @param {number} [opts.cellSize]
+   * @param {number} [opts.agentRadius]
+   * @param {number} [opts.agentHeight]
+   */
+  constructor(collidables, { cellSize = DEFAULT_CELL_SIZE, agentRadius = DEFAULT_AGENT_RADIUS, agentHeight = DEFAULT_AGENT_HEIGHT } = {}) {
+    this.cellSize = cellSize;
+    this.agentRadius = agentRadius;
+    this.agentHeight = agentHeight;
+
+    // Obstacle footprints on the XZ plane
+    const boxes = [];
+    const bounds = new THREE.Box3();
+    for (const obj of collidables) {
+      obj.updateWorldMatrix(true, false);
+      const box = new THREE.Box3().setFromObject(obj);
+      if (box.isEmpty()) continue;
+      bounds.union(box);
+      if (box.min.y < agentHeight) boxes.push(box);
+    }
+
+    this.minX = Math.floor(bounds.min.x) - BOUNDS_MARGIN;
+    this.minZ = Math.floor(bounds.min.z) - BOUNDS_MARGIN;
+    this.cols = Math.ceil((bounds.max.x + BOUNDS_MARGIN - this.minX) / cellSize);
+    this.rows = Math.ceil((bounds.max.z + BOUNDS_MARGIN - this.minZ) / cellSize);
+
+    // 1 = walkable, 0 = blocked
+    this.walkable = new Uint8Array(this.cols * this.rows).fill(1);
+    for (const box of boxes) {
+      this._rasterise(box, 0);
+    }
+
+    // Dynamic obstacles (closed doors) go on top of a copy of the static grid.
+    // `version` bumps whenever they change so paths can be recomputed.
+    this._staticWalkable = this.walkable.slice();
+    this._obstacles = new Map();
+    this.version = 0;
+
+    // A* scratch buffers, reused between searches
+    const count = this.cols * this.rows;
+    this._gScore = new Float32Array(count);
+    this._cameFrom = new Int32Array(count);
+    this._closed = new Uint8Array(count);
+    this._heap = [];
+  }
+
+  // --- Cell helpers ---
+
+  _col(x) { return Math.floor((x - this.minX) / this.cellSize); }
+
+  _row(z) { return Math.floor((z - this.minZ) / this.cellSize); }
+
+  _inBounds(col, row) {
+    return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+  }
+
+  _isOpen(col, row) {
+    return this._inBounds(col, row) && this.walkable[row * this.cols + col] === 1;
+  }
+
+  _cellCenter(index, target) {
+    const col = index % this.cols;
+    const row = (index - col) / this.cols;
+    return target.set(
+      this.minX + (col + 0.5) * this.cellSize,
+      0,
+      this.minZ + (row + 0.5) * this.cellSize,
+    );
+  }
+
+  /**
+   * Mark every cell covered by a box (inflated by the agent radius).
+   */
+  _rasterise(box, value) {
+    const r = this.agentRadius;
+    const c0 = Math.max(0, this._col(box.min.x - r));
+    const c1 = Math.min(this.cols - 1, this._col(box.max.x + r));
+    const r0 = Math.max(0, this._row(box.min.z - r));
+    const r1 = Math.min(this.rows - 1, this._row(box.max.z + r));
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        this.walkable[row * this.cols + col] = value;
+      }
+    }
+  }
+
+  // --- Public API ---
+
+  /**
+   * Add, move or (with null) remove a dynamic obstacle.
+   * @param {string} id
+   * @param {THREE.Box3|null} box - World-space bounds
+   */
+  setObstacle(id, box) {
+    if (box) {
+      this._obstacles.set(id, box.clone());
+    } else if (!this._obstacles.delete(id)) {
+      return;
+    }
+
+    this.walkable.set(this._staticWalkable);
+    for (const obstacle of this._obstacles.values()) {
+      this._rasterise(obstacle, 0);
+    }
+    this.version++;
+  }
+
+  /**
+   * The cell a world position falls in.
+   * @param {number} x
+   * @param {number} z
+   * @returns {number} cell index, or -1 if it's off the grid
+   */
+  cellAt(x, z) {
+    const col = this._col(x);
+    const row = this._row(z);
+    return this._inBounds(col, row) ? row * this.cols + col : -1;
+  }
+
+  /**
+   * Whether a world position lies on a walkable cell.
+   * @param {number} x
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isWalkable(x, z) {
+    return this._isOpen(this._col(x), this._row(z));
+  }
+
+  /**
+   * Find the walkable cell nearest to a world position (ring search).
+   * Hiding spots are often tucked right against furniture, inside the
+   * inflated footprint, so searches start and end from here.
+   * @returns {number} cell index, or -1 if nothing is walkable nearby
+   */
+  nearestWalkableCell(x, z, maxRings = 8) {
+    const col = this._col(x);
+    const row = this._row(z);
+    if (this._isOpen(col, row)) return row * this.cols + col;
+
+    for (let ring = 1; ring <= maxRings; ring++) {
+      let best = -1;
+      let bestDist = Infinity;
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.abs(dx) !== ring && Math.abs(dz) !== ring) continue;
+          const c = col + dx;
+          const r = row + dz;
+          if (!this._isOpen(c, r)) continue;
+          const d = dx * dx + dz * dz;
+          if (d < bestDist) {
+            bestDist = d;
+            best = r * this.cols + c;
+          }
+        }
+      }
+      if (best !== -1) return best;
+    }
+    return -1;
+  }
+
+  /**
+   * How far each cell is from the nearest blocked one, in metres (0 for
+   * blocked cells), counting diagonal steps as one. For routes that keep
+   * to the walls or the middle of the room (see findPath's cellCost).
+   * @returns {Float32Array} Indexed like the grid
+   */
+  clearance() {
+    const { cols, rows } = this;
+    const steps = new Int32Array(cols * rows).fill(-1);
+    const queue = [];
+    for (let i = 0; i < steps.length; i++) {
+      if (this.walkable[i] === 0) {
+        steps[i] = 0;
+        queue.push(i);
+      }
+    }
+
+    // Breadth-first out from every blocked cell at once
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      const col = current % cols;
+      const row = (current - col) / cols;
+      for (const [dx, dz] of NEIGHBOURS) {
+        const nc = col + dx;
+        const nr = row + dz;
+        if (!this._inBounds(nc, nr)) continue;
+        const next = nr * cols + nc;
+        if (steps[next] !== -1) continue;
+        steps[next] = steps[current] + 1;
+        queue.push(next);
+      }
+    }
+
+    // A grid with nothing blocked is clear everywhere
+    return Float32Array.from(steps, n => (n === -1 ? Infinity : n * this.cellSize));
+  }
+
+  /**
+   * A* search between two world positions.
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   * @param {Object} [opts]
+   * @param {Float32Array} [opts.cellCost] - Extra cost of stepping onto each
+   *   cell, to steer routes toward or away from places
+   * @param {boolean} [opts.smooth=true] - Cut corners where the way is clear.
+   *   Off, the route keeps to the cells it was planned through
+   * @returns {THREE.Vector3[]|null} Waypoints (y = 0), excluding the start and
+   *   ending at `to` when it is walkable; null if unreachable.
+   */
+  findPath(from, to, { cellCost = null, smooth = true } = {}) {
+    const start = this.nearestWalkableCell(from.x, from.z);
+    const goal = this.nearestWalkableCell(to.x, to.z);
+    if (start === -1 || goal === -1) return null;
+
+    const cols = this.cols;
+    const goalCol = goal % cols;
+    const goalRow = (goal - goalCol) / cols;
+    const heuristic = (col, row) => {
+      const dx = Math.abs(col - goalCol);
+      const dz = Math.abs(row - goalRow);
+      return (dx + dz) + (SQRT2 - 2) * Math.min(dx, dz);
+    };
+
+    this._gScore.fill(Infinity);
+    this._cameFrom.fill(-1);
+    this._closed.fill(0);
+    const heap = this._heap;
+    heap.length = 0;
+
+    this._gScore[start] = 0;
+    heapPush(heap, start, heuristic(start % cols, Math.floor(start / cols)));
+
+    let found = false;
+    while (heap.length > 0) {
+      const current = heapPop(heap);
+      if (current === goal) {
+        found = true;
+        break;
+      }
+      if (this._closed[current]) continue;
+      this._closed[current] = 1;
+
+      const col = current % cols;
+      const row = (current - col) / cols;
+      for (const [dx, dz, cost] of NEIGHBOURS) {
+        const nc = col + dx;
+        const nr = row + dz;
+        if (!this._isOpen(nc, nr)) continue;
+        // No corner cutting: diagonals need both orthogonal cells open
+        if (dx !== 0 && dz !== 0 && (!this._isOpen(col + dx, row) || !this._isOpen(col, row + dz))) continue;
+
+        const next = nr * cols + nc;
+        if (this._closed[next]) continue;
+        const g = this._gScore[current] + cost + (cellCost ? cellCost[next] : 0);
+        if (g < this._gScore[next]) {
+          this._gScore[next] = g;
+          this._cameFrom[next] = current;
+          heapPush(heap, next, g + heuristic(nc, nr));
+        }
+      }
+    }
+
+    if (!found) return null;
+
+    // Walk back from the goal
+    const cells = [];
+    for (let c = goal; c !== -1; c = this._cameFrom[c]) {
+      cells.push(c);
+    }
+    cells.reverse();
+
+    return this._smooth(cells, to, smooth);
+  }
+
+  /**
+   * String-pull a cell path: keep only the cells where a straight walk
+   * from the previous kept point would leave walkable ground (or, with
+   * smooth off, every cell).
+   */
+  _smooth(cells, to, smooth = true) {
+    const points = cells.map(c => this._cellCenter(c, new THREE.Vector3()));
+    const waypoints = [];
+    let anchor = points[0];
+    for (let i = 1; i < points.length - 1; i++) {
+      if (!smooth || !this._hasClearLine(anchor, points[i + 1])) {
+        waypoints.push(points[i]);
+        anchor = points[i];
+      }
+    }
+
+    // Finish on the exact target if it's reachable ground, else the goal cell
+    const last = points[points.length - 1];
+    if (this.isWalkable(to.x, to.z) && this._hasClearLine(last, to)) {
+      waypoints.push(new THREE.Vector3(to.x, 0, to.z));
+    } else {
+      waypoints.push(last);
+    }
+    return waypoints;
+  }
+
+  /**
+   * Sample along a segment at half-cell steps to check it stays walkable.
+   */
+  _hasClearLine(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const steps = Math.ceil(Math.hypot(dx, dz) / (this.cellSize * 0.5));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (!this.isWalkable(a.x + dx * t, a.z + dz * t)) return false;
+    }
+    return true;
+  }
+}
+
+// ── Binary min-heap of [priority, cell] pairs ──────────────────────────────
+
+function heapPush(heap, cell, priority) {
+  heap.push([priority, cell]);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let smallest = i;
+      if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+      if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top[1];
+}
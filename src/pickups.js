@@ -0,0 +1,316 @@
+import * as THREE from 'three';
+
+/**
+ * PickupManager -- items lying around the house (see items.js) that the
+ * player picks up by looking at them and pressing use. Items the player sets
+ * back down join them until the level is reset.
+ */
+
+const PICKUP_REACH = 2.2;     // metres from the camera to the item
+const PICKUP_RADIUS = 0.25;   // how big a target each item is to aim at
+const BOB_HEIGHT = 0.05;
+const BOB_SPEED = 2;
+const SPIN_SPEED = 1.5;
+
+const KEY_COLOR = 0xD4AF37;
+const BATTERY_COLOR = 0x2E7D32;
+const BATTERY_CAP_COLOR = 0xC0C0C0;
+const TREAT_COLOR = 0xB5523B;
+const TOY_COLOR = 0xFFD21F;
+const TOY_BEAK_COLOR = 0xFF8C1A;
+const MOUSE_COLOR = 0x9A9A9A;
+const MOUSE_EAR_COLOR = 0xF2A7B8;
+const YARN_COLOR = 0xC62839;
+
+/**
+ * A small brass key: bow, shaft and a single bit.
+ */
+function buildKeyMesh() {
+  const material = new THREE.MeshStandardMaterial({
+    color: KEY_COLOR,
+    metalness: 0.8,
+    roughness: 0.3,
+    emissive: KEY_COLOR,
+    emissiveIntensity: 0.25,
+  });
+  const group = new THREE.Group();
+
+  const bow = new THREE.Mesh(new THREE.TorusGeometry(0.05, 0.015, 8, 16), material);
+  bow.position.x = -0.08;
+  group.add(bow);
+
+  const shaft = new THREE.Mesh(new THREE.BoxGeometry(0.14, 0.02, 0.02), material);
+  shaft.position.x = 0.04;
+  group.add(shaft);
+
+  const bit = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.05, 0.02), material);
+  bit.position.set(0.09, -0.03, 0);
+  group.add(bit);
+
+  return group;
+}
+
+/**
+ * A chunky D-cell battery, lying on its side.
+ */
+function buildBatteryMesh() {
+  const group = new THREE.Group();
+
+  const body = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.035, 0.035, 0.12, 12),
+    new THREE.MeshStandardMaterial({ color: BATTERY_COLOR, roughness: 0.4, emissive: BATTERY_COLOR, emissiveIntensity: 0.3 })
+  );
+  group.add(body);
+
+  const cap = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.012, 0.012, 0.015, 8),
+    new THREE.MeshStandardMaterial({ color: BATTERY_CAP_COLOR, metalness: 0.8, roughness: 0.3 })
+  );
+  cap.position.y = 0.0675;
+  group.add(cap);
+
+  group.rotation.z = Math.PI / 2;
+  return group;
+}
+
+/**
+ * A little foil bag of cat treats.
+ */
+function buildTreatMesh() {
+  return new THREE.Mesh(
+    new THREE.BoxGeometry(0.1, 0.14, 0.04),
+    new THREE.MeshStandardMaterial({ color: TREAT_COLOR, metalness: 0.5, roughness: 0.4, emissive: TREAT_COLOR, emissiveIntensity: 0.25 })
+  );
+}
+
+/**
+ * A rubber duck that squeaks.
+ */
+function buildSqueakyToyMesh() {
+  const material = new THREE.MeshStandardMaterial({ color: TOY_COLOR, roughness: 0.5, emissive: TOY_COLOR, emissiveIntensity: 0.2 });
+  const group = new THREE.Group();
+
+  const body = new THREE.Mesh(new THREE.SphereGeometry(0.06, 12, 8), material);
+  body.scale.set(1.3, 0.9, 1);
+  group.add(body);
+
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.035, 12, 8), material);
+  head.position.set(0.05, 0.06, 0);
+  group.add(head);
+
+  const beak = new THREE.Mesh(
+    new THREE.ConeGeometry(0.012, 0.03, 8),
+    new THREE.MeshStandardMaterial({ color: TOY_BEAK_COLOR, roughness: 0.5 })
+  );
+  beak.rotation.z = -Math.PI / 2;
+  beak.position.set(0.095, 0.06, 0);
+  group.add(beak);
+
+  return group;
+}
+
+/**
+ * A grey felt mouse with pink ears and a string tail.
+ */
+function buildToyMouseMesh() {
+  const material = new THREE.MeshStandardMaterial({ color: MOUSE_COLOR, roughness: 0.9, emissive: MOUSE_COLOR, emissiveIntensity: 0.15 });
+  const earMaterial = new THREE.MeshStandardMaterial({ color: MOUSE_EAR_COLOR, roughness: 0.9 });
+  const group = new THREE.Group();
+
+  const body = new THREE.Mesh(new THREE.SphereGeometry(0.04, 12, 8), material);
+  body.scale.set(1.6, 0.9, 1);
+  group.add(body);
+
+  for (const side of [-1, 1]) {
+    const ear = new THREE.Mesh(new THREE.CircleGeometry(0.015, 10), earMaterial);
+    ear.position.set(0.045, 0.035, side * 0.018);
+    ear.rotation.y = Math.PI / 2;
+    group.add(ear);
+  }
+
+  const tail = new THREE.Mesh(new THREE.CylinderGeometry(0.003, 0.003, 0.09, 4), material);
+  tail.rotation.z = Math.PI / 2;
+  tail.position.x = -0.1;
+  group.add(tail);
+
+  return group;
+}
+
+/**
+ * A ball of red yarn, with a couple of loose wraps round it.
+ */
+function buildYarnMesh() {
+  const material = new THREE.MeshStandardMaterial({ color: YARN_COLOR, roughness: 1, emissive: YARN_COLOR, emissiveIntensity: 0.15 });
+  const group = new THREE.Group();
+
+  group.add(new THREE.Mesh(new THREE.SphereGeometry(0.07, 12, 10), material));
+  for (const tilt of [0.4, -0.9]) {
+    const wrap = new THREE.Mesh(new THREE.TorusGeometry(0.07, 0.006, 6, 20), material);
+    wrap.rotation.set(tilt, tilt * 0.7, 0);
+    group.add(wrap);
+  }
+
+  return group;
+}
+
+const MESH_BUILDERS = {
+  key: buildKeyMesh,
+  battery: buildBatteryMesh,
+  treat: buildTreatMesh,
+  'squeaky-toy': buildSqueakyToyMesh,
+  'toy-mouse': buildToyMouseMesh,
+  yarn: buildYarnMesh,
+};
+
+/**
+ * The model for an item type, e.g. for one flying through the air.
+ * @param {string} type - See items.js
+ * @returns {THREE.Object3D}
+ */
+export function buildItemMesh(type) {
+  return MESH_BUILDERS[type]();
+}
+
+export class PickupManager {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object[]} rooms - Rooms from createHouse (each with world-space pickups)
+   */
+  constructor(scene, rooms) {
+    this.scene = scene;
+    this.pickups = [];
+    this._time = 0;
+
+    this._ray = new THREE.Ray();
+    this._sphere = new THREE.Sphere(new THREE.Vector3(), PICKUP_RADIUS);
+    this._hit = new THREE.Vector3();
+
+    for (const room of rooms) {
+      for (const def of room.pickups) this._add(def, false);
+    }
+  }
+
+  /**
+   * The nearest item the camera is aimed at, within reach.
+   * @param {THREE.Camera} camera
+   * @returns {Object|null}
+   */
+  pickupInView(camera) {
+    camera.getWorldPosition(this._ray.origin);
+    camera.getWorldDirection(this._ray.direction);
+
+    let best = null;
+    let bestDistance = PICKUP_REACH;
+    for (const pickup of this.pickups) {
+      if (pickup.collected) continue;
+      this._sphere.center.copy(pickup.position);
+      if (!this._ray.intersectSphere(this._sphere, this._hit)) continue;
+      const distance = this._hit.distanceTo(this._ray.origin);
+      if (distance < bestDistance) {
+        best = pickup;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Take an item out of the world.
+   * @param {Object} pickup
+   */
+  collect(pickup) {
+    if (pickup.collected) return;
+    pickup.collected = true;
+    pickup.mesh.visible = false;
+
+    // Dropped items don't need to come back on reset
+    if (pickup.dropped) {
+      this.scene.remove(pickup.mesh);
+      this.pickups.splice(this.pickups.indexOf(pickup), 1);
+    }
+  }
+
+  /**
+   * Set an item down in the world, e.g. a treat left out for the cat.
+   * It can be picked up again, and disappears when the level is reset.
+   * @param {Object} def - Pickup data, as it came out of the inventory
+   * @param {THREE.Vector3} position
+   * @returns {Object} The new pickup
+   */
+  drop(def, position) {
+    const { mesh, collected, dropped, ...data } = def;
+    return this._add({ ...data, position: position.clone() }, true);
+  }
+
+  /**
+   * Spin and bob the items.
+   * @param {number} delta
+   */
+  update(delta) {
+    this._time += delta;
+
+    for (const pickup of this.pickups) {
+      if (pickup.collected) continue;
+      pickup.mesh.rotation.y += SPIN_SPEED * delta;
+      pickup.mesh.position.y = pickup.position.y + Math.sin(this._time * BOB_SPEED) * BOB_HEIGHT;
+    }
+  }
+
+  /**
+   * Put every item back where the level started it, and clear away any
+   * the player dropped.
+   */
+  reset() {
+    for (const pickup of this.pickups) {
+      if (pickup.dropped) this.scene.remove(pickup.mesh);
+    }
+    this.pickups = this.pickups.filter(pickup => !pickup.dropped);
+
+    for (const pickup of this.pickups) {
+      pickup.collected = false;
+      pickup.mesh.visible = true;
+      pickup.mesh.position.copy(pickup.position);
+    }
+    this._time = 0;
+  }
+
+  /**
+   * Which of the level's items have been taken, and what the player has set
+   * down, for a saved game.
+   * @returns {{ collected: number[], dropped: Object[] }}
+   */
+  serialize() {
+    const placed = this.pickups.filter(pickup => !pickup.dropped);
+    const dropped = this.pickups.filter(pickup => pickup.dropped && !pickup.collected);
+    return {
+      collected: placed.flatMap((pickup, index) => (pickup.collected ? [index] : [])),
+      dropped: dropped.map(({ mesh, collected, dropped, position, ...data }) => ({
+        ...data,
+        position: position.toArray(),
+      })),
+    };
+  }
+
+  /**
+   * Put the items how a saved game left them.
+   * @param {{ collected: number[], dropped: Object[] }} saved - From serialize()
+   */
+  restore({ collected, dropped }) {
+    this.reset();
+    for (const index of collected) {
+      if (this.pickups[index]) this.collect(this.pickups[index]);
+    }
+    for (const def of dropped) {
+      this._add({ ...def, position: new THREE.Vector3().fromArray(def.position) }, true);
+    }
+  }
+
+  _add(def, dropped) {
+    const mesh = buildItemMesh(def.type);
+    mesh.position.copy(def.position);
+    this.scene.add(mesh);
+    const pickup = { ...def, mesh, collected: false, dropped };
+    this.pickups.push(pickup);
+    return pickup;
+  }
+}
@@ -3,8 +3,14 @@ import { PointerLockControls } from 'three/addons/controls/PointerLockControls.j
 
 const WALK_SPEED = 4;
 const SPRINT_SPEED = 6;
+const CROUCH_SPEED = 2;
 const EYE_HEIGHT = 1.6;
-const COLLISION_DISTANCE = 0.5;
+const CROUCH_EYE_HEIGHT = 0.9;
+const CROUCH_TRANSITION_SPEED = 4; // metres/sec the eyes drop or rise
+const BODY_RADIUS = 0.3;          // the player's collision capsule...
+const HEAD_ROOM = 0.15;           // ...reaching this far above the eyes
+const STEP_HEIGHT = 0.25;         // ledges this high are stepped up onto
+const STEP_SPEED = 2.5;           // metres/sec the feet rise onto or drop off them
 const MAX_STAMINA_DURATION = 3; // seconds to drain fully
 const STAMINA_RECHARGE_TIME = 4; // seconds to recharge fully
 const HEAD_BOB_AMPLITUDE = 0.04;
@@ -12,9 +18,28 @@ const HEAD_BOB_FREQ_WALK = 8;
 const HEAD_BOB_FREQ_SPRINT = 12;
 const STEP_INTERVAL_WALK = 0.5;
 const STEP_INTERVAL_SPRINT = 0.3;
+const STEP_INTERVAL_CROUCH = 0.7;
+const PEEK_YAW = THREE.MathUtils.degToRad(60);   // look range either side while hidden
+const PEEK_PITCH = THREE.MathUtils.degToRad(30);
+const PEEK_FOV = 60;                              // narrower view while hidden
+
+// Noise — how loud the player is, 1 for walking on tile. Speed sets the
+// base, stance and floor scale it
+const STANCE_NOISE = { standing: 1, crouching: 0.6 };
+const FLOOR_NOISE = { wood: 1.2, tile: 1, carpet: 0.6 };
+const NOISE_RESPONSE = 6; // how fast the noise level follows movement, per second
+
+// Reusable Euler for clamping the peek view (YXZ matches PointerLockControls)
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
 
 export class Player {
-  constructor(camera, scene, domElement) {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {THREE.Scene} scene
+   * @param {HTMLElement|null} [domElement] - Takes the mouse and keyboard.
+   *   Without one (headless, e.g. in tests) set keys and mobileMode directly
+   */
+  constructor(camera, scene, domElement = null) {
     this.camera = camera;
     this.scene = scene;
 
@@ -23,37 +48,75 @@ export class Player {
     scene.add(this.controls.object);
 
     // Movement key state
-    this.keys = { forward: false, backward: false, left: false, right: false, sprint: false };
+    this.keys = { forward: false, backward: false, left: false, right: false, sprint: false, crouch: false };
+
+    // Analog movement from a gamepad stick: x to the right, y forward, as far
+    // as it's pushed (up to 1). Used when no movement key is held
+    this.stick = new THREE.Vector2();
+
+    // Crouching — C or Ctrl toggles it; keys.crouch holds it while set
+    this._crouchToggled = false;
+    this._eyeHeight = EYE_HEIGHT;
 
-    // Stamina (0..1)
+    // How high the feet are — above 0 when standing on a low ledge
+    this._floorHeight = 0;
+
+    // Noise (0 when still, 1 walking on tile). floorType is kept up to date
+    // by whoever knows which room the player is in
+    this.noiseLevel = 0;
+    this.floorType = 'tile';
+
+    // Stamina (0..1), and how fast sprinting drains it (1 = normal)
     this.stamina = 1;
+    this.staminaDrain = 1;
 
     // Head bob
     this._headBobTimer = 0;
 
-    // Mobile mode — when true, movement updates run without pointer lock
+    // Mobile mode — when true, the player can use things without pointer lock
     this.mobileMode = false;
 
     // Footstep tracking
     this._stepTimer = 0;
-    this.onStep = null; // callback(isSprinting)
-
-    // Raycaster for collision
-    this._raycaster = new THREE.Raycaster();
-    this._raycaster.near = 0;
-    this._raycaster.far = COLLISION_DISTANCE;
+    this.onStep = null; // callback(noiseLevel)
+
+    // E and C go through here when set — callback(name) with 'interact' or
+    // 'toggleCrouch' — so main.js can run them at the start of the next frame,
+    // where a replay will run them too
+    this.onAction = null;
+
+    // Interaction — sources of things to use with E / touch USE, and the
+    // one in reach this frame ({ prompt, use } or null)
+    this._interactables = [];
+    this.interaction = null;
+
+    // Hiding
+    this.hidingSpot = null;
+    this.hiddenTime = 0;
+    this.onHidingChange = null; // callback(isHidden)
+    this._peekYaw = 0;
+    this._peekPitch = 0;
+    this._normalFov = camera.fov;
+    this._leaveInteraction = { prompt: 'Come out', use: () => this.leaveHidingSpot() };
+
+    // Collision capsule, sized to the stance each frame
+    this._body = { radius: BODY_RADIUS, height: EYE_HEIGHT + HEAD_ROOM, stepHeight: STEP_HEIGHT };
 
     // Temp vectors (reuse to avoid GC pressure)
     this._moveDirection = new THREE.Vector3();
     this._forward = new THREE.Vector3();
     this._right = new THREE.Vector3();
-    this._rayOrigin = new THREE.Vector3();
+    this._motion = new THREE.Vector3();
+    this._feet = new THREE.Vector3();
 
     // Bind keyboard listeners
     this._onKeyDown = this._handleKeyDown.bind(this);
     this._onKeyUp = this._handleKeyUp.bind(this);
-    document.addEventListener('keydown', this._onKeyDown);
-    document.addEventListener('keyup', this._onKeyUp);
+    this._keyboard = domElement !== null;
+    if (this._keyboard) {
+      document.addEventListener('keydown', this._onKeyDown);
+      document.addEventListener('keyup', this._onKeyUp);
+    }
   }
 
   // --- Public getters ---
@@ -63,17 +126,26 @@ export class Player {
   }
 
   get isSprinting() {
-    return this.keys.sprint && this.stamina > 0 && this.isMoving;
+    return !this.hidingSpot && !this.isCrouching && this.keys.sprint && this.stamina > 0 && this.isMoving;
+  }
+
+  get isCrouching() {
+    return !this.hidingSpot && (this.keys.crouch || this._crouchToggled);
   }
 
   get isMoving() {
-    return this.keys.forward || this.keys.backward || this.keys.left || this.keys.right;
+    return this.keys.forward || this.keys.backward || this.keys.left || this.keys.right ||
+      this.stick.x !== 0 || this.stick.y !== 0;
   }
 
   get isLocked() {
     return this.controls.isLocked;
   }
 
+  get isHidden() {
+    return this.hidingSpot !== null;
+  }
+
   // --- Public methods ---
 
   lock() {
@@ -84,17 +156,139 @@ export class Player {
     this.mobileMode = enabled;
   }
 
-  update(delta, collidables) {
+  /**
+   * Flip between crouching and standing (C or Ctrl / touch CROUCH).
+   */
+  toggleCrouch() {
+    this._crouchToggled = !this._crouchToggled;
+  }
+
+  /**
+   * Stand up and go quiet, e.g. on respawn.
+   */
+  resetStance() {
+    this.keys.crouch = false;
+    this._crouchToggled = false;
+    this._eyeHeight = EYE_HEIGHT;
+    this._floorHeight = 0;
+    this.noiseLevel = 0;
+    this._headBobTimer = 0;
+    this._stepTimer = 0;
+  }
+
+  /**
+   * Where the player is and which way they're looking, for a saved game.
+   * A player in a hiding spot is saved as having stepped back out.
+   * @returns {{ position: number[], yaw: number, pitch: number, stamina: number }}
+   */
+  serialize() {
+    _euler.setFromQuaternion(this.camera.quaternion);
+    const position = this.hidingSpot ? this.hidingSpot.exit : this.position;
+    return { position: position.toArray(), yaw: _euler.y, pitch: _euler.x, stamina: this.stamina };
+  }
+
+  /**
+   * Put the player back where a saved game left them, standing.
+   * @param {{ position: number[], yaw: number, pitch: number, stamina: number }} data
+   */
+  restore({ position, yaw, pitch, stamina }) {
+    this.leaveHidingSpot();
+    this.resetStance();
+    this.position.fromArray(position);
+    _euler.set(pitch, yaw, 0);
+    this.camera.quaternion.setFromEuler(_euler);
+    this.stamina = stamina;
+  }
+
+  /**
+   * Register something the player can use. Sources are asked in order each
+   * frame; the first to offer an interaction wins.
+   * @param {{ find: function(Player): ({ prompt: string, use: Function }|null) }} source
+   */
+  addInteractable(source) {
+    this._interactables.push(source);
+  }
+
+  /**
+   * Use whatever is in reach (E / touch USE).
+   */
+  interact() {
     if (!this.controls.isLocked && !this.mobileMode) return;
+    if (this.interaction) this.interaction.use();
+  }
+
+  /**
+   * Slip into a hiding spot: the camera moves inside and can only peek
+   * around the spot's look-at point.
+   * @param {Object} spot - Hide spot from a room (world-space eye, lookAt, exit)
+   */
+  hide(spot) {
+    this.hidingSpot = spot;
+    this.hiddenTime = 0;
+    this.position.copy(spot.eye);
+
+    const dx = spot.lookAt.x - spot.eye.x;
+    const dy = spot.lookAt.y - spot.eye.y;
+    const dz = spot.lookAt.z - spot.eye.z;
+    this._peekYaw = Math.atan2(-dx, -dz);
+    this._peekPitch = Math.atan2(dy, Math.hypot(dx, dz));
+    _euler.set(this._peekPitch, this._peekYaw, 0);
+    this.camera.quaternion.setFromEuler(_euler);
+
+    this.camera.fov = PEEK_FOV;
+    this.camera.updateProjectionMatrix();
+    this._headBobTimer = 0;
+    this._stepTimer = 0;
+    this.noiseLevel = 0;
 
-    // Determine effective sprint state
+    if (this.onHidingChange) this.onHidingChange(true);
+  }
+
+  /**
+   * Step back out of the current hiding spot.
+   */
+  leaveHidingSpot() {
+    if (!this.hidingSpot) return;
+    this.position.copy(this.hidingSpot.exit);
+    this.hidingSpot = null;
+    this.hiddenTime = 0;
+
+    this.camera.fov = this._normalFov;
+    this.camera.updateProjectionMatrix();
+
+    if (this.onHidingChange) this.onHidingChange(false);
+  }
+
+  /**
+   * Move the player on a frame. Only called while they have control (the
+   * game loop doesn't run on desktop until the mouse is captured).
+   * @param {number} delta
+   * @param {import('./collision.js').CollisionWorld} [world] - Walls and
+   *   furniture to collide with; without one the player walks through everything
+   */
+  update(delta, world) {
+    this._updateInteraction();
+
+    if (this.hidingSpot) {
+      this._updateHidden(delta);
+      return;
+    }
+
+    // Determine effective stance and sprint state
     const sprinting = this.isSprinting;
+    const crouching = this.isCrouching;
     const moving = this.isMoving;
-    const speed = sprinting ? SPRINT_SPEED : WALK_SPEED;
+    const speed = sprinting ? SPRINT_SPEED : crouching ? CROUCH_SPEED : WALK_SPEED;
+
+    // --- Stance: ease the eyes down or up ---
+    const targetEyeHeight = crouching ? CROUCH_EYE_HEIGHT : EYE_HEIGHT;
+    const eyeStep = CROUCH_TRANSITION_SPEED * delta;
+    const eyeGap = targetEyeHeight - this._eyeHeight;
+    this._eyeHeight = Math.abs(eyeGap) <= eyeStep ? targetEyeHeight : this._eyeHeight + Math.sign(eyeGap) * eyeStep;
 
     // --- Stamina ---
     if (sprinting) {
-      this.stamina -= delta / MAX_STAMINA_DURATION;
+      this.stamina -= delta * this.staminaDrain / MAX_STAMINA_DURATION;
       if (this.stamina < 0) this.stamina = 0;
     } else {
       this.stamina += delta / STAMINA_RECHARGE_TIME;
@@ -116,74 +310,63 @@ export class Player {
     if (this.keys.left) this._moveDirection.sub(this._right);
     if (this.keys.right) this._moveDirection.add(this._right);
 
+    // A stick moves as fast as it's pushed; keys always go full speed
+    let pace = 1;
     if (this._moveDirection.lengthSq() > 0) {
       this._moveDirection.normalize();
+    } else if (moving) {
+      this._moveDirection.addScaledVector(this._forward, this.stick.y).addScaledVector(this._right, this.stick.x);
+      pace = Math.min(1, this._moveDirection.length());
+      this._moveDirection.normalize();
     }
 
-    // --- Collision detection ---
-    if (moving && collidables && collidables.length > 0) {
-      this._rayOrigin.copy(this.position);
-      this._rayOrigin.y = EYE_HEIGHT * 0.5; // cast from mid-body
-
-      // Check collision along the composite movement direction
-      if (this._moveDirection.lengthSq() > 0) {
-        // Decompose into forward/backward and left/right components for per-axis blocking
-        const forwardComponent = this._forward.dot(this._moveDirection);
-        const rightComponent = this._right.dot(this._moveDirection);
-
-        // Check forward/backward axis
-        if (Math.abs(forwardComponent) > 0.01) {
-          const axisDir = this._forward.clone().multiplyScalar(Math.sign(forwardComponent));
-          this._raycaster.set(this._rayOrigin, axisDir);
-          const hits = this._raycaster.intersectObjects(collidables, true);
-          if (hits.length > 0) {
-            // Block movement along forward/backward axis
-            this._moveDirection.addScaledVector(this._forward, -forwardComponent);
-          }
-        }
-
-        // Check left/right axis
-        if (Math.abs(rightComponent) > 0.01) {
-          const axisDir = this._right.clone().multiplyScalar(Math.sign(rightComponent));
-          this._raycaster.set(this._rayOrigin, axisDir);
-          const hits = this._raycaster.intersectObjects(collidables, true);
-          if (hits.length > 0) {
-            // Block movement along left/right axis
-            this._moveDirection.addScaledVector(this._right, -rightComponent);
-          }
-        }
+    // --- Move, sliding along whatever's in the way ---
+    const walking = moving && this._moveDirection.lengthSq() > 0;
+    const position = this.position;
+    this._feet.set(position.x, this._floorHeight, position.z);
+    if (walking) {
+      this._motion.copy(this._moveDirection).multiplyScalar(speed * pace * delta);
+      if (world) {
+        this._body.height = this._eyeHeight + HEAD_ROOM;
+        world.move(this._feet, this._motion, this._body);
+      } else {
+        this._feet.add(this._motion);
       }
+      position.x = this._feet.x;
+      position.z = this._feet.z;
     }
 
-    // --- Apply movement via PointerLockControls ---
-    if (moving && this._moveDirection.lengthSq() > 0) {
-      // PointerLockControls.moveForward/moveRight move along camera-relative axes
-      const forwardAmount = this._forward.dot(this._moveDirection) * speed * delta;
-      const rightAmount = this._right.dot(this._moveDirection) * speed * delta;
-
-      this.controls.moveForward(forwardAmount);
-      this.controls.moveRight(rightAmount);
+    // --- Floor: up onto low ledges, and back down off them ---
+    if (world) {
+      const floorHeight = world.floorHeight(this._feet, BODY_RADIUS, STEP_HEIGHT);
+      const floorStep = STEP_SPEED * delta;
+      const floorGap = floorHeight - this._floorHeight;
+      this._floorHeight = Math.abs(floorGap) <= floorStep ? floorHeight : this._floorHeight + Math.sign(floorGap) * floorStep;
     }
 
+    // --- Noise ---
+    const targetNoise = walking ? this._movementNoise(speed * pace, crouching) : 0;
+    this.noiseLevel += (targetNoise - this.noiseLevel) * Math.min(1, NOISE_RESPONSE * delta);
+
     // --- Head bob ---
-    if (moving && this._moveDirection.lengthSq() > 0) {
+    if (walking) {
       const freq = sprinting ? HEAD_BOB_FREQ_SPRINT : HEAD_BOB_FREQ_WALK;
       this._headBobTimer += delta * freq;
-      this.camera.position.y = EYE_HEIGHT + Math.sin(this._headBobTimer) * HEAD_BOB_AMPLITUDE;
+      this.camera.position.y = this._floorHeight + this._eyeHeight + Math.sin(this._headBobTimer) * HEAD_BOB_AMPLITUDE;
     } else {
       // Smoothly return to eye height
       this._headBobTimer = 0;
-      this.camera.position.y = EYE_HEIGHT;
+      this.camera.position.y = this._floorHeight + this._eyeHeight;
     }
 
     // --- Footstep tracking ---
-    if (moving && this._moveDirection.lengthSq() > 0) {
-      const stepInterval = sprinting ? STEP_INTERVAL_SPRINT : STEP_INTERVAL_WALK;
+    if (walking) {
+      const stepInterval = sprinting ? STEP_INTERVAL_SPRINT : crouching ? STEP_INTERVAL_CROUCH : STEP_INTERVAL_WALK;
       this._stepTimer += delta;
       if (this._stepTimer >= stepInterval) {
         this._stepTimer -= stepInterval;
         if (this.onStep) {
-          this.onStep(sprinting);
+          this.onStep(targetNoise);
         }
       }
     } else {
@@ -191,6 +374,53 @@ export class Player {
     }
   }
 
+  /**
+   * How loud moving at a speed is: faster is louder, crouching and soft
+   * floors are quieter. 1 is walking on tile, sprinting on wood ~1.8.
+   * @param {number} speed
+   * @param {boolean} crouching
+   * @returns {number}
+   */
+  _movementNoise(speed, crouching) {
+    const stance = crouching ? STANCE_NOISE.crouching : STANCE_NOISE.standing;
+    const floor = FLOOR_NOISE[this.floorType] ?? 1;
+    return (speed / WALK_SPEED) * stance * floor;
+  }
+
+  // --- Interaction & hiding ---
+
+  _updateInteraction() {
+    if (this.hidingSpot) {
+      this.interaction = this._leaveInteraction;
+      return;
+    }
+    this.interaction = null;
+    for (const source of this._interactables) {
+      const found = source.find(this);
+      if (found) {
+        this.interaction = found;
+        return;
+      }
+    }
+  }
+
+  /**
+   * While hidden: no moving, stamina recovers, and the view is clamped to a
+   * peek around the spot's look-at direction.
+   */
+  _updateHidden(delta) {
+    this.hiddenTime += delta;
+    this.stamina = Math.min(1, this.stamina + delta / STAMINA_RECHARGE_TIME);
+
+    _euler.setFromQuaternion(this.camera.quaternion);
+    let yawOffset = _euler.y - this._peekYaw;
+    yawOffset = Math.atan2(Math.sin(yawOffset), Math.cos(yawOffset)); // wrap to -PI..PI
+    _euler.y = this._peekYaw + THREE.MathUtils.clamp(yawOffset, -PEEK_YAW, PEEK_YAW);
+    _euler.x = THREE.MathUtils.clamp(_euler.x, this._peekPitch - PEEK_PITCH, this._peekPitch + PEEK_PITCH);
+    _euler.z = 0;
+    this.camera.quaternion.setFromEuler(_euler);
+  }
+
   // --- Key handling ---
 
   _handleKeyDown(e) {
@@ -202,9 +432,23 @@ export class Player {
       case 'ShiftLeft':
       case 'ShiftRight':
         this.keys.sprint = true; break;
+      // Ctrl is a tap, like C: held down with W it would close the tab
+      case 'KeyC':
+      case 'ControlLeft':
+      case 'ControlRight':
+        if (!e.repeat) this._action('toggleCrouch');
+        break;
+      case 'KeyE':
+        if (!e.repeat) this._action('interact');
+        break;
     }
   }
 
+  _action(name) {
+    if (this.onAction) this.onAction(name);
+    else this[name]();
+  }
+
   _handleKeyUp(e) {
     switch (e.code) {
       case 'KeyW': this.keys.forward = false; break;
@@ -218,8 +462,10 @@ export class Player {
   }
 
   dispose() {
-    document.removeEventListener('keydown', this._onKeyDown);
-    document.removeEventListener('keyup', this._onKeyUp);
+    if (this._keyboard) {
+      document.removeEventListener('keydown', this._onKeyDown);
+      document.removeEventListener('keyup', this._onKeyUp);
+    }
     this.controls.dispose();
   }
 }
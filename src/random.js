@@ -0,0 +1,151 @@
+/**
+ * Seeded pseudo-random numbers.
+ *
+ * Same seed, same sequence — so a seed can be shared to replay exactly the
+ * same generated house, or the same run. Uses mulberry32: tiny, fast and
+ * plenty random for gameplay (not for anything security related).
+ *
+ * Gameplay draws from `rng`, one generator seeded per run and split into
+ * named streams — rng.stream('cat'), rng.stream('lighting') and so on — so a
+ * system drawing more numbers one frame doesn't change what the others get.
+ */
+
+/**
+ * Turn any seed (number or string) into a 32-bit integer (FNV-1a hash).
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Make a fresh random seed for when the player doesn't pick one.
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 1e9);
+}
+
+export class Random {
+  /**
+   * @param {number|string} seed
+   */
+  constructor(seed) {
+    this.reset(seed);
+  }
+
+  /**
+   * Start the sequence over from a seed.
+   * @param {number|string} seed
+   */
+  reset(seed) {
+    this.seed = seed;
+    this._state = hashSeed(seed);
+  }
+
+  /**
+   * Next number in [0, 1), like Math.random().
+   * @returns {number}
+   */
+  next() {
+    this._state = (this._state + 0x6D2B79F5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [0, n).
+   * @param {number} n
+   * @returns {number}
+   */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Number in [min, max).
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * True with probability p.
+   * @param {number} p - 0..1
+   * @returns {boolean}
+   */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * Random element of an array.
+   * @template T
+   * @param {T[]} items
+   * @returns {T}
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates) and return it.
+   * @template T
+   * @param {T[]} items
+   * @returns {T[]}
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+export class RandomStreams {
+  /**
+   * @param {number|string} seed
+   */
+  constructor(seed) {
+    this.seed = seed;
+
+    // name => Random
+    this._streams = new Map();
+  }
+
+  /**
+   * The generator for one system. Hold on to it: reseed() starts it over in
+   * place rather than handing out a new one.
+   * @param {string} name - e.g. 'cat'
+   * @returns {Random}
+   */
+  stream(name) {
+    if (!this._streams.has(name)) {
+      this._streams.set(name, new Random(`${this.seed}:${name}`));
+    }
+    return this._streams.get(name);
+  }
+
+  /**
+   * Start every stream over from a new seed (a new run).
+   * @param {number|string} seed
+   */
+  reseed(seed) {
+    this.seed = seed;
+    for (const [name, stream] of this._streams) stream.reset(`${seed}:${name}`);
+  }
+}
+
+// Shared by everything random in gameplay; main.js reseeds it for each run
+export const rng = new RandomStreams(randomSeed());
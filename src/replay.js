@@ -0,0 +1,164 @@
+/**
+ * Replays -- a run's input, step by step, so it can be played back exactly.
+ *
+ * The game only moves on in fixed steps (see gameLoop.js), and everything
+ * random in a run comes from generators seeded with the run's seed. So the
+ * seed and each step's input are enough to play the run again move for
+ * move: the cat picks the same spots, the lights flicker the same and the
+ * scares end on the same step.
+ *
+ * A replay file is JSON:
+ *
+ *   version     {number}         REPLAY_VERSION
+ *   house       {string}         which house it was played in (see main.js)
+ *   difficulty  {string}         preset id (see difficulty.js)
+ *   seed        {number|string}  the run's seed (see rng in random.js)
+ *   step        {number}         seconds each step moves the game on
+ *   frames      [keys, look, actions?, stick?][] — for each step:
+ *     keys     {number}          Player.keys as bits, in KEY_NAMES order
+ *     look     {number[]|0}      the camera quaternion [x, y, z, w] if the
+ *                                player looked around since the last step
+ *     actions  {[name, arg?][]}  use, crouch, light and items, in the order
+ *                                they came in (see main.js); left off if
+ *                                none, unless there's a stick after it
+ *     stick    {number[]}        Player.stick [x, y] from a gamepad; left
+ *                                off when it's centred
+ *
+ * The look is kept as the camera's orientation rather than the mouse deltas
+ * that produced it, so rounding can't make the replay drift.
+ *
+ * Version 1 stepped once per screen frame, with each frame's length; it
+ * can't be played in steps of a fixed size. Version 2 was recorded before
+ * the player collided as a capsule (see collision.js), so its moves end up
+ * somewhere else. Version 3 is this one without sticks: keys move the
+ * player the same, so it still plays.
+ */
+
+export const REPLAY_VERSION = 4;
+const PLAYABLE_VERSIONS = [3, REPLAY_VERSION];
+
+const KEY_NAMES = ['forward', 'backward', 'left', 'right', 'sprint', 'crouch'];
+
+/**
+ * Records a run as it's played.
+ */
+export class InputRecorder {
+  /**
+   * @param {{ house: string, difficulty: string, seed: number|string, step: number }} run
+   */
+  constructor(run) {
+    this.run = run;
+    this.frames = [];
+
+    // Where the camera was left at the end of the last step
+    this._look = null;
+  }
+
+  /**
+   * Record a step's input, before the game steps with it.
+   * @param {{ keys: Object, stick: THREE.Vector2, actions: Array[] }} frame
+   * @param {THREE.Quaternion} look - The camera's orientation now
+   */
+  record({ keys, stick, actions }, look) {
+    const quaternion = look.toArray();
+    const looked = !this._look || quaternion.some((value, i) => value !== this._look[i]);
+    const frame = [packKeys(keys), looked ? quaternion : 0];
+    const pushed = stick.x !== 0 || stick.y !== 0;
+    if (actions.length > 0 || pushed) frame.push(actions);
+    if (pushed) frame.push(stick.toArray());
+    this.frames.push(frame);
+  }
+
+  /**
+   * Note where the step left the camera (a hiding spot or a jump scare can
+   * move it too), so the next step only records a look if the player moved it.
+   * @param {THREE.Quaternion} look
+   */
+  settle(look) {
+    this._look = look.toArray();
+  }
+
+  /**
+   * The replay file's contents.
+   * @returns {Object}
+   */
+  toJSON() {
+    return { version: REPLAY_VERSION, ...this.run, frames: this.frames };
+  }
+}
+
+/**
+ * Plays a recorded run's input back, step by step.
+ */
+export class InputPlayback {
+  /**
+   * @param {Object} replay - From parseReplay()
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this._index = 0;
+  }
+
+  /**
+   * Whether every recorded step has been played.
+   * @returns {boolean}
+   */
+  get done() {
+    return this._index >= this.replay.frames.length;
+  }
+
+  /**
+   * The next step's input. Once the recording runs out, steps carry on
+   * with no input at all.
+   * @returns {{ dt: number, keys: Object, stick: number[], look: number[]|null, actions: Array[] }}
+   */
+  next() {
+    const dt = this.replay.step;
+    if (this.done) return { dt, keys: unpackKeys(0), stick: [0, 0], look: null, actions: [] };
+    const [keys, look, actions = [], stick = [0, 0]] = this.replay.frames[this._index++];
+    return { dt, keys: unpackKeys(keys), stick, look: look || null, actions };
+  }
+}
+
+/**
+ * Read a replay file.
+ * @param {string} text
+ * @returns {Object}
+ * @throws {Error} If it isn't one this version can play
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch {
+    replay = null;
+  }
+  if (!replay || typeof replay.version !== 'number' || !Array.isArray(replay.frames)) {
+    throw new Error("That isn't a replay file");
+  }
+  if (!PLAYABLE_VERSIONS.includes(replay.version)) {
+    throw new Error('That replay is from another version of the game');
+  }
+  return replay;
+}
+
+/**
+ * Download a replay as a .json file.
+ * @param {Object} replay - InputRecorder.toJSON(), or a loaded replay
+ */
+export function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `angry-cat-replay-${replay.house.replace(/\W+/g, '-')}-${replay.difficulty}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function packKeys(keys) {
+  return KEY_NAMES.reduce((bits, name, i) => (keys[name] ? bits | (1 << i) : bits), 0);
+}
+
+function unpackKeys(bits) {
+  return Object.fromEntries(KEY_NAMES.map((name, i) => [name, (bits & (1 << i)) !== 0]));
+}
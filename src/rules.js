@@ -0,0 +1,166 @@
+import { ITEMS } from './items.js';
+
+/**
+ * Rules -- a level's objectives, and whether the player has won or lost.
+ *
+ * Levels declare what has to be done (see level.js); the game reports what
+ * happens (items collected, the cat fed, the exit reached) and asks each
+ * frame how things stand. Objectives:
+ *
+ *   escape   { }          leave through an exit, once everything else is done
+ *   collect  { item, count }  pick up `count` of an item type from the level
+ *   feed     { count }    have the cat eat `count` treats; default 1
+ *   survive  { seconds }  last that long
+ *   dawn     { seconds }  the time limit — lose if it runs out first
+ *
+ * The player wins once every objective except the time limit is complete.
+ */
+
+export const OBJECTIVE_TYPES = ['escape', 'collect', 'feed', 'survive', 'dawn'];
+
+export const DEFAULT_OBJECTIVES = [{ type: 'escape' }];
+
+/**
+ * m:ss for a number of seconds.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export class Rules {
+  /**
+   * @param {Object[]} [objectives] - The level's objectives
+   */
+  constructor(objectives = DEFAULT_OBJECTIVES) {
+    this.defs = objectives.length > 0 ? objectives : DEFAULT_OBJECTIVES;
+    this.reset();
+  }
+
+  /**
+   * Back to the start: nothing collected, nobody fed, the clock at zero.
+   */
+  reset() {
+    this.elapsed = 0;
+    this.collected = {};
+    this.fed = 0;
+    this.escaped = false;
+    this.lostReason = null;
+  }
+
+  // --- Things that happen ---
+
+  /**
+   * The player picked up one of the level's items.
+   * @param {string} type
+   */
+  itemCollected(type) {
+    this.collected[type] = (this.collected[type] || 0) + 1;
+  }
+
+  /**
+   * The cat ate a treat.
+   */
+  catFed() {
+    this.fed++;
+  }
+
+  /**
+   * The player is at an exit. They only get out once everything else is done.
+   * @returns {string[]} Labels of what's still left to do (empty if they escaped)
+   */
+  reachedExit() {
+    const remaining = this.objectives.filter(o => !o.done && o.type !== 'escape' && o.type !== 'dawn');
+    if (remaining.length === 0 && this.defs.some(def => def.type === 'escape')) this.escaped = true;
+    return remaining.map(o => o.label);
+  }
+
+  // --- Saved games ---
+
+  /**
+   * Progress so far, for a saved game.
+   * @returns {Object}
+   */
+  serialize() {
+    return { elapsed: this.elapsed, collected: { ...this.collected }, fed: this.fed };
+  }
+
+  /**
+   * Pick up the progress a saved game left off with.
+   * @param {Object} saved - From serialize()
+   */
+  restore({ elapsed, collected, fed }) {
+    this.reset();
+    this.elapsed = elapsed;
+    this.collected = { ...collected };
+    this.fed = fed;
+  }
+
+  // --- How things stand ---
+
+  /**
+   * Advance the clock and work out the result.
+   * @param {number} delta
+   * @returns {'playing'|'won'|'lost'}
+   */
+  update(delta) {
+    this.elapsed += delta;
+
+    const objectives = this.objectives;
+    if (objectives.filter(o => o.type !== 'dawn').every(o => o.done)) return 'won';
+
+    const dawn = objectives.find(o => o.failed);
+    if (dawn) {
+      this.lostReason = 'The sun came up. Spencer wins this round.';
+      return 'lost';
+    }
+    return 'playing';
+  }
+
+  /**
+   * Every objective with a label for the HUD and how it's going.
+   * @returns {{ type: string, label: string, done: boolean, failed: boolean }[]}
+   */
+  get objectives() {
+    return this.defs.map(def => this._describe(def));
+  }
+
+  _describe(def) {
+    switch (def.type) {
+      case 'escape':
+        return { type: def.type, label: 'Get out through the exit', done: this.escaped, failed: false };
+
+      case 'collect': {
+        const have = Math.min(def.count, this.collected[def.item] || 0);
+        const item = ITEMS[def.item];
+        const what = def.count === 1 ? `the ${item.name}` : `${def.count} ${item.plural}`;
+        const progress = def.count > 1 ? ` (${have}/${def.count})` : '';
+        return { type: def.type, label: `Collect ${what}${progress}`, done: have >= def.count, failed: false };
+      }
+
+      case 'feed': {
+        const count = def.count ?? 1;
+        const have = Math.min(count, this.fed);
+        const label = count === 1 ? 'Feed Spencer a treat' : `Feed Spencer ${count} treats (${have}/${count})`;
+        return { type: def.type, label, done: have >= count, failed: false };
+      }
+
+      case 'survive': {
+        const done = this.elapsed >= def.seconds;
+        const label = done ? `Survive ${formatTime(def.seconds)}` : `Survive ${formatTime(def.seconds)} (${formatTime(def.seconds - this.elapsed)} left)`;
+        return { type: def.type, label, done, failed: false };
+      }
+
+      case 'dawn':
+        return {
+          type: def.type,
+          label: `Get out before dawn (${formatTime(def.seconds - this.elapsed)})`,
+          done: false,
+          failed: this.elapsed >= def.seconds,
+        };
+    }
+    throw new Error(`Unknown objective type "${def.type}"`);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Saved runs -- the run in progress, kept in localStorage so closing the tab
+ * doesn't lose it. There's one save at a time.
+ *
+ * Every save is stamped with SAVE_VERSION. When the format changes, bump the
+ * version and add a step to MIGRATIONS that upgrades a save from the version
+ * before; saves that can't be upgraded, come from a newer build or won't
+ * parse are thrown away rather than breaking the game.
+ *
+ * Version 2:
+ *   version       {number}   SAVE_VERSION
+ *   savedAt       {number}   Date.now() when written
+ *   house         {string}   which house the run is in (see main.js)
+ *   difficulty    {string}   preset id (see difficulty.js)
+ *   roomIndex     {number}   room the player is in
+ *   catActivated  {boolean}  whether the cat had woken up in that room
+ *   lives         {number}
+ *   elapsed       {number}   seconds on the HUD timer
+ *   player        Player.serialize()
+ *   cat           Cat.serialize()
+ *   doors         DoorManager.serialize()
+ *   pickups       PickupManager.serialize()
+ *   inventory     Inventory.serialize()
+ *   battery       {number}   flashlight charge, 0..1
+ *   rules         Rules.serialize()
+ *   splits        SplitTimer.serialize()
+ *
+ * Version 1 had no splits.
+ */
+
+const SAVE_KEY = 'angry-cat-save';
+
+export const SAVE_VERSION = 2;
+
+// version => function(save) returning the save upgraded to version + 1
+const MIGRATIONS = {
+  // Splits were added; the rooms already visited just don't get one
+  1: save => ({ ...save, version: 2, splits: [] }),
+};
+
+/**
+ * Save the run, replacing any earlier save.
+ * @param {Object} save - Everything but version and savedAt
+ */
+export function writeSave(save) {
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify({ version: SAVE_VERSION, savedAt: Date.now(), ...save }));
+  } catch {
+    // Storage full or unavailable (private browsing) — the run just won't keep
+  }
+}
+
+/**
+ * The saved run, upgraded to the current version, or null if there isn't a
+ * usable one.
+ * @returns {Object|null}
+ */
+export function readSave() {
+  let save;
+  try {
+    save = JSON.parse(localStorage.getItem(SAVE_KEY));
+  } catch {
+    save = null;
+  }
+  if (!save || typeof save.version !== 'number' || save.version > SAVE_VERSION) return null;
+
+  while (save.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[save.version];
+    if (!migrate) return null;
+    save = migrate(save);
+  }
+  return save;
+}
+
+/**
+ * Forget the saved run (it's been won or lost).
+ */
+export function clearSave() {
+  try {
+    localStorage.removeItem(SAVE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
@@ -5,6 +5,122 @@
  */
 
 import { isTouchDevice } from './touchControls.js';
+import { MIN_LOOK_SENSITIVITY, MAX_LOOK_SENSITIVITY, LOOK_SENSITIVITY_STEP } from './gamepad.js';
+import { formatDelta } from './splits.js';
+
+// ──────────────────────────────────────────────────────────────────────────────
+//  Best Times
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * m:ss for a number of seconds.
+ */
+function formatSeconds(elapsed) {
+  const totalSeconds = Math.floor(elapsed);
+  return Math.floor(totalSeconds / 60) + ':' + String(totalSeconds % 60).padStart(2, '0');
+}
+
+/**
+ * A leaderboard as a numbered list (see leaderboard.js).
+ * @param {{ time: number, hits: number, date: number }[]} runs  Fastest first
+ * @param {number} [highlight]  Index of a run to light up, e.g. the one just won
+ * @returns {HTMLElement}
+ */
+export function createBestTimesList(runs, highlight = -1) {
+  if (runs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'best-times-empty';
+    empty.textContent = 'No wins yet';
+    return empty;
+  }
+
+  const list = document.createElement('ol');
+  list.className = 'best-times';
+  runs.forEach((run, i) => {
+    const row = document.createElement('li');
+    if (i === highlight) row.className = 'highlight';
+
+    const time = document.createElement('span');
+    time.className = 'best-times-time';
+    time.textContent = formatSeconds(run.time);
+    row.appendChild(time);
+
+    const hits = document.createElement('span');
+    hits.className = 'best-times-hits';
+    hits.textContent = run.hits === 0 ? 'no hits' : run.hits === 1 ? '1 hit' : `${run.hits} hits`;
+    row.appendChild(hits);
+
+    const date = document.createElement('span');
+    date.className = 'best-times-date';
+    date.textContent = new Date(run.date).toLocaleDateString();
+    row.appendChild(date);
+
+    list.appendChild(row);
+  });
+  return list;
+}
+
+/**
+ * A run's split times, with how each compared to the personal best
+ * (see splits.js).
+ * @param {{ name: string, time: number, delta: number|null }[]} splits
+ * @returns {HTMLElement}
+ */
+function createSplitsTable(splits) {
+  const table = document.createElement('table');
+  table.className = 'splits-table';
+  for (const split of splits) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('td');
+    name.textContent = split.name;
+    row.appendChild(name);
+
+    const time = document.createElement('td');
+    time.textContent = formatSeconds(split.time);
+    row.appendChild(time);
+
+    const delta = document.createElement('td');
+    if (split.delta !== null) {
+      delta.className = split.delta <= 0 ? 'ahead' : 'behind';
+      delta.textContent = formatDelta(split.delta);
+    }
+    row.appendChild(delta);
+
+    table.appendChild(row);
+  }
+  return table;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+//  Replays and Seeds
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * SAVE REPLAY, for the end screens — hidden until a run with a recording ends.
+ * @param {Function} [onSaveReplay]
+ * @returns {HTMLButtonElement}
+ */
+function createSaveReplayButton(onSaveReplay) {
+  const btn = document.createElement('button');
+  btn.className = 'save-replay-btn';
+  btn.textContent = 'SAVE REPLAY';
+  btn.style.display = 'none';
+  btn.addEventListener('click', () => {
+    if (onSaveReplay) onSaveReplay();
+  });
+  return btn;
+}
+
+/**
+ * The run's seed, small and selectable so it can be copied and shared.
+ * @returns {HTMLElement}
+ */
+function createSeedLine() {
+  const seed = document.createElement('p');
+  seed.className = 'run-seed';
+  return seed;
+}
 
 // ──────────────────────────────────────────────────────────────────────────────
 //  Win Screen
@@ -13,8 +129,9 @@ import { isTouchDevice } from './touchControls.js';
 export class WinScreen {
   /**
    * @param {Function} onPlayAgain  Called when the player clicks "PLAY AGAIN"
+   * @param {Function} [onSaveReplay]  Called when the player clicks "SAVE REPLAY"
    */
-  constructor(onPlayAgain) {
+  constructor(onPlayAgain, onSaveReplay) {
     this.onPlayAgain = onPlayAgain;
 
     // Root overlay
@@ -22,9 +139,9 @@ export class WinScreen {
     this.overlay.className = 'win-screen';
 
     // Title
-    const heading = document.createElement('h1');
-    heading.textContent = 'YOU ESCAPED!';
-    this.overlay.appendChild(heading);
+    this.heading = document.createElement('h1');
+    this.heading.textContent = 'YOU ESCAPED!';
+    this.overlay.appendChild(this.heading);
 
     // Subtitle
     const subtitle = document.createElement('p');
@@ -38,6 +155,23 @@ export class WinScreen {
     this.timeEl.textContent = '0:00';
     this.overlay.appendChild(this.timeEl);
 
+    // New record banner and the board this run went on
+    this.recordEl = document.createElement('p');
+    this.recordEl.className = 'new-record';
+    this.recordEl.textContent = 'NEW RECORD!';
+    this.overlay.appendChild(this.recordEl);
+
+    // This run's splits beside the board it went on
+    const boards = document.createElement('div');
+    boards.className = 'win-boards';
+    this.overlay.appendChild(boards);
+
+    this.splits = document.createElement('div');
+    boards.appendChild(this.splits);
+
+    this.bestTimes = document.createElement('div');
+    boards.appendChild(this.bestTimes);
+
     // Play Again button
     const btn = document.createElement('button');
     btn.className = 'play-again-btn';
@@ -48,17 +182,41 @@ export class WinScreen {
     });
     this.overlay.appendChild(btn);
 
+    this.replayBtn = createSaveReplayButton(onSaveReplay);
+    this.overlay.appendChild(this.replayBtn);
+
+    this.seedEl = createSeedLine();
+    this.overlay.appendChild(this.seedEl);
+
     // Hidden by default
     this.overlay.style.display = 'none';
     document.body.appendChild(this.overlay);
   }
 
+  /**
+   * @param {number|string} seed  The run's seed (see random.js)
+   */
+  setSeed(seed) {
+    this.seedEl.textContent = `Seed ${seed}`;
+  }
+
   /**
    * Show the win screen with the final time.
    * @param {string} timeString  Formatted elapsed time (e.g. "2:34")
+   * @param {string} [title]  e.g. "YOU ESCAPED!" (the default)
+   * @param {Object} [board]
+   * @param {Object[]} [board.runs]  Best times for this house and difficulty
+   * @param {number} [board.place]  Where this run landed on them (-1 = not on them)
+   * @param {Object[]} [board.splits]  This run's split times
+   * @param {boolean} [canSaveReplay]  Whether the run was recorded
    */
-  show(timeString) {
+  show(timeString, title = 'YOU ESCAPED!', { runs = [], place = -1, splits = [] } = {}, canSaveReplay = false) {
+    this.heading.textContent = title;
+    this.replayBtn.style.display = canSaveReplay ? '' : 'none';
     this.timeEl.textContent = timeString;
+    this.recordEl.style.display = place === 0 ? '' : 'none';
+    this.splits.replaceChildren(createSplitsTable(splits));
+    this.bestTimes.replaceChildren(createBestTimesList(runs, place));
     this.overlay.style.display = 'flex';
     // Trigger opacity transition (start at 0, then flip to 1)
     this.overlay.style.opacity = '0';
@@ -96,17 +254,25 @@ export class HelpOverlay {
       ['JOYSTICK', 'Move'],
       ['SWIPE', 'Look around'],
       ['SPRINT BTN', 'Sprint (uses stamina)'],
+      ['CROUCH BTN', 'Crouch / stand (quieter, slower)'],
+      ['USE BUTTON', 'Pick up, open doors, hide'],
+      ['LIGHT BTN', 'Flashlight on / off'],
+      ['ITEM SLOT', 'Tap to select, tap again to use'],
       ['? BUTTON', 'Toggle this help'],
       ['| | BUTTON', 'Pause game'],
     ] : [
       ['W A S D', 'Move'],
       ['MOUSE', 'Look around'],
       ['SHIFT', 'Sprint (uses stamina)'],
+      ['C / CTRL', 'Crouch / stand up — quieter, slower'],
+      ['E', 'Pick up, open doors, hide'],
+      ['F', 'Flashlight on / off'],
+      ['1 – 9 / Q', 'Select / use or throw an item'],
       ['H', 'Toggle this help'],
       ['ESC', 'Pause game'],
     ];
 
-    controls.forEach(([key, action]) => {
+    const addRow = ([key, action]) => {
       const row = document.createElement('div');
       row.className = 'help-row';
 
@@ -121,7 +287,27 @@ export class HelpOverlay {
       row.appendChild(actionEl);
 
       box.appendChild(row);
-    });
+    };
+    controls.forEach(addRow);
+
+    // Xbox / PlayStation controllers (see gamepad.js)
+    if (!isTouchDevice) {
+      const padHeading = document.createElement('h3');
+      padHeading.textContent = 'CONTROLLER';
+      box.appendChild(padHeading);
+
+      [
+        ['LEFT STICK', 'Move (push further to go faster)'],
+        ['RIGHT STICK', 'Look around'],
+        ['RT / R2', 'Sprint (hold)'],
+        ['LT / L2', 'Crouch (hold) — B / ○ toggles'],
+        ['A / ✕', 'Pick up, open doors, hide'],
+        ['Y / △', 'Flashlight on / off'],
+        ['LB RB / X □', 'Select / use or throw an item'],
+        ['BACK', 'Toggle this help'],
+        ['START', 'Pause game (d-pad sets look speed)'],
+      ].forEach(addRow);
+    }
 
     // Tips section
     const tipsHeading = document.createElement('h3');
@@ -130,8 +316,16 @@ export class HelpOverlay {
 
     const tips = [
       "Don't sprint — Spencer hears you!",
+      'Crouch to sneak past Spencer. Carpet is quieter than wood or tile.',
+      "Spencer can't see through furniture — duck out of sight.",
       'Watch for glowing green eyes in the dark.',
-      'Reach the green exit door to escape.',
+      'Spencer hates the flashlight — he might run off, or he might charge. Spare batteries are lying around.',
+      "Shut doors behind you — Spencer can't open them.",
+      'Hide in the closet, under the bed or behind the couch — quietly, and not for too long.',
+      'Leave a treat out or set down a squeaky toy to keep Spencer busy.',
+      'Throw a toy mouse or a ball of yarn to lure Spencer away from where you want to go.',
+      'Reach the green exit door to escape. Locked? Find the key.',
+      'Some levels have more to do first: check the list at top-right.',
     ];
 
     tips.forEach((tip) => {
@@ -187,8 +381,10 @@ export class HelpOverlay {
 export class PauseMenu {
   /**
    * @param {Function} onResume  Called when the player clicks to resume
+   * @param {Function} [onLookSensitivity]  onLookSensitivity(value) when the
+   *   controller look speed slider moves
    */
-  constructor(onResume) {
+  constructor(onResume, onLookSensitivity) {
     this.onResume = onResume;
 
     // Root overlay
@@ -204,9 +400,33 @@ export class PauseMenu {
     inner.appendChild(heading);
 
     const hint = document.createElement('p');
-    hint.textContent = isTouchDevice ? 'Tap to resume' : 'Click to resume';
+    hint.textContent = isTouchDevice ? 'Tap to resume' : 'Click or press START to resume';
     inner.appendChild(hint);
 
+    // Controller look speed — dragging it shouldn't resume the game
+    if (!isTouchDevice) {
+      const setting = document.createElement('label');
+      setting.className = 'pause-setting';
+      setting.textContent = 'Controller look speed';
+      setting.addEventListener('click', (e) => e.stopPropagation());
+
+      this.lookSlider = document.createElement('input');
+      this.lookSlider.type = 'range';
+      this.lookSlider.min = String(MIN_LOOK_SENSITIVITY);
+      this.lookSlider.max = String(MAX_LOOK_SENSITIVITY);
+      this.lookSlider.step = String(LOOK_SENSITIVITY_STEP);
+      this.lookSlider.addEventListener('input', () => {
+        if (onLookSensitivity) onLookSensitivity(Number(this.lookSlider.value));
+      });
+      setting.appendChild(this.lookSlider);
+      inner.appendChild(setting);
+    }
+
+    // Selecting the seed to copy it shouldn't resume the game
+    this.seedEl = createSeedLine();
+    this.seedEl.addEventListener('click', (e) => e.stopPropagation());
+    inner.appendChild(this.seedEl);
+
     this.overlay.appendChild(inner);
 
     // Click anywhere on the overlay to resume
@@ -219,6 +439,21 @@ export class PauseMenu {
     document.body.appendChild(this.overlay);
   }
 
+  /**
+   * @param {number|string} seed  The run's seed (see random.js)
+   */
+  setSeed(seed) {
+    this.seedEl.textContent = `Seed ${seed}`;
+  }
+
+  /**
+   * Move the look speed slider, e.g. when the d-pad changes it.
+   * @param {number} value
+   */
+  setLookSensitivity(value) {
+    if (this.lookSlider) this.lookSlider.value = String(value);
+  }
+
   show() {
     this.overlay.style.display = 'flex';
   }
@@ -235,8 +470,9 @@ export class PauseMenu {
 export class GameOverScreen {
   /**
    * @param {Function} onTryAgain  Called when the player clicks "TRY AGAIN"
+   * @param {Function} [onSaveReplay]  Called when the player clicks "SAVE REPLAY"
    */
-  constructor(onTryAgain) {
+  constructor(onTryAgain, onSaveReplay) {
     this.onTryAgain = onTryAgain;
 
     // Root overlay
@@ -249,10 +485,10 @@ export class GameOverScreen {
     this.overlay.appendChild(heading);
 
     // Subtitle
-    const subtitle = document.createElement('p');
-    subtitle.className = 'subtitle';
-    subtitle.textContent = 'Spencer wins this round.';
-    this.overlay.appendChild(subtitle);
+    this.subtitle = document.createElement('p');
+    this.subtitle.className = 'subtitle';
+    this.subtitle.textContent = 'Spencer wins this round.';
+    this.overlay.appendChild(this.subtitle);
 
     // Try Again button
     const btn = document.createElement('button');
@@ -264,12 +500,31 @@ export class GameOverScreen {
     });
     this.overlay.appendChild(btn);
 
+    this.replayBtn = createSaveReplayButton(onSaveReplay);
+    this.overlay.appendChild(this.replayBtn);
+
+    this.seedEl = createSeedLine();
+    this.overlay.appendChild(this.seedEl);
+
     // Hidden by default
     this.overlay.style.display = 'none';
     document.body.appendChild(this.overlay);
   }
 
-  show() {
+  /**
+   * @param {number|string} seed  The run's seed (see random.js)
+   */
+  setSeed(seed) {
+    this.seedEl.textContent = `Seed ${seed}`;
+  }
+
+  /**
+   * @param {string} [reason]  Line under GAME OVER
+   * @param {boolean} [canSaveReplay]  Whether the run was recorded
+   */
+  show(reason = 'Spencer wins this round.', canSaveReplay = false) {
+    this.subtitle.textContent = reason;
+    this.replayBtn.style.display = canSaveReplay ? '' : 'none';
     this.overlay.style.display = 'flex';
     this.overlay.style.opacity = '0';
     this.overlay.offsetHeight;
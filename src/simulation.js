@@ -0,0 +1,303 @@
+import * as THREE from 'three';
+import { createHouse, findRoomIndex } from './house.js';
+import { NavGrid } from './navGrid.js';
+import { CollisionWorld } from './collision.js';
+import { DoorManager } from './doors.js';
+import { PickupManager } from './pickups.js';
+import { Inventory } from './inventory.js';
+import { HidingSpotManager } from './hidingSpots.js';
+import { Flashlight } from './flashlight.js';
+import { ThrowableManager } from './throwables.js';
+import { Rules } from './rules.js';
+import { Cat } from './cat.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from './difficulty.js';
+
+/**
+ * Simulation -- the game's rules, with no renderer, DOM or sound.
+ *
+ * Builds the house into a scene and runs it a frame at a time: the player,
+ * doors and items move, room detection sets the cat up in each new room,
+ * trigger zones wake it, it catches the player (a life gone), and the
+ * level's objectives are won or lost.
+ *
+ * main.js steps one from the animation loop and turns its callbacks into the
+ * HUD, sounds and screens. Tests step one with fixed deltas in Node, with a
+ * headless Player (no domElement) whose keys they set themselves.
+ */
+
+// Where the flashlight has to land to dazzle the cat (above its paws)
+const CAT_FACE_HEIGHT = 0.3;
+const _catFace = new THREE.Vector3();
+
+export class Simulation {
+  /**
+   * @param {THREE.Scene} scene - The house is built into it
+   * @param {Object} level - Level data (see level.js)
+   * @param {import('./player.js').Player} player - Already in the scene
+   */
+  constructor(scene, level, player) {
+    this.scene = scene;
+    this.player = player;
+
+    // The house
+    const { rooms, collidables, doors, spawnRoomIndex } = createHouse(scene, level);
+    this.rooms = rooms;
+    this.collidables = collidables;
+    this.spawnRoomIndex = spawnRoomIndex;
+    this.startPosition = rooms[spawnRoomIndex].spawnPoint;
+
+    // Navigation grid for the cat, built from the same geometry the player collides with
+    this.navGrid = new NavGrid(collidables);
+
+    // Door panels — collidable for the player and the cat's eyes, but added after
+    // the nav grid is built: the grid tracks them as obstacles that open and shut
+    this.doorManager = new DoorManager(scene, doors, this.navGrid);
+
+    // What the player's body bumps into — the doors re-measured as they swing
+    this.collisionWorld = new CollisionWorld(collidables, { dynamic: this.doorManager.colliders });
+    collidables.push(...this.doorManager.colliders);
+
+    // Items lying around the house, and what the player is carrying
+    this.pickupManager = new PickupManager(scene, rooms);
+    this.inventory = new Inventory();
+
+    // Closets, beds and couches the player can hide in
+    this.hidingSpotManager = new HidingSpotManager(rooms);
+
+    // The player's flashlight — the beam is stopped by the same walls and furniture
+    this.flashlight = new Flashlight(player.camera, collidables);
+
+    // Toys the player throws — they bounce off the same walls and furniture
+    this.throwableManager = new ThrowableManager(scene, collidables, rooms);
+
+    // What the player has to do to win this level
+    this.rules = new Rules(level.objectives);
+
+    // Cat AI — collidables block its line of sight, the nav grid routes it around them
+    this.cat = new Cat(scene, collidables, this.navGrid);
+    this.cat.onJumpScare = () => {
+      this.lives--;
+      if (this.onCaught) this.onCaught(this.lives);
+    };
+
+    // Progress through the current run (see startRun)
+    this.maxLives = DIFFICULTIES[DEFAULT_DIFFICULTY].lives;
+    this.roomIndex = -1;        // room the player is in (-1 = none/unknown)
+    this.catActivated = false;  // whether the cat has woken up in that room
+    this.lives = this.maxLives;
+    this.atExit = false;        // whether the player was at an open exit last frame
+
+    // Callbacks
+    this.onRoomEnter = null;    // callback(room) — the player walked into another room
+    this.onExitBlocked = null;  // callback(remaining) — at an open exit, objectives still to do
+    this.onCaught = null;       // callback(livesLeft) — the cat got the player
+    this.onCatDazzled = null;   // callback(reaction) — the flashlight caught the cat's eyes
+
+    player.position.copy(this.startPosition);
+  }
+
+  /**
+   * Tune the cat, the player's stamina and the lives for a difficulty preset.
+   * Lives take effect from the next startRun().
+   * @param {Object} difficulty - One of DIFFICULTIES
+   */
+  setDifficulty(difficulty) {
+    this.cat.setDifficulty(difficulty);
+    this.player.staminaDrain = difficulty.staminaDrain;
+    this.maxLives = difficulty.lives;
+  }
+
+  /**
+   * Begin a fresh run, with every life.
+   */
+  startRun() {
+    this.roomIndex = -1;
+    this.catActivated = false;
+    this.lives = this.maxLives;
+    this.atExit = false;
+  }
+
+  /**
+   * Put the house back how it started for the next run: player, cat, doors,
+   * items and objectives.
+   */
+  reset() {
+    const player = this.player;
+    player.leaveHidingSpot();
+    player.resetStance();
+    player.position.copy(this.startPosition);
+    player.stamina = 1;
+
+    this.cat.reset();
+
+    // Close and relock the doors, put the keys back
+    this.doorManager.reset();
+    this.pickupManager.reset();
+    this.inventory.clear();
+    this.throwableManager.reset();
+    this.flashlight.reset();
+
+    // Start the objectives over
+    this.rules.reset();
+    this.startRun();
+  }
+
+  /**
+   * Put the cat into a room with that room's hiding spots, doorways and
+   * behaviour tuning.
+   * @param {number} roomIndex
+   */
+  setupCatForRoom(roomIndex) {
+    const room = this.rooms[roomIndex];
+    this.cat.setupForRoom(roomIndex, room.catHidingSpots, room.aggression, {
+      behavior: room.catBehavior,
+      doorways: room.doorways,
+    });
+  }
+
+  /**
+   * Back to the current room's spawn point after being caught, with the cat
+   * back in hiding.
+   */
+  respawn() {
+    const player = this.player;
+    const room = this.rooms[this.roomIndex];
+    player.leaveHidingSpot();
+    player.resetStance();
+    player.position.copy(room.spawnPoint);
+    player.stamina = 1;
+    this.setupCatForRoom(this.roomIndex);
+  }
+
+  /**
+   * Put an item lying in the house into the player's pockets. Items from
+   * the level count toward collect objectives; ones the player set down
+   * themselves don't count twice.
+   * @param {Object} pickup - One of pickupManager.pickups
+   * @returns {boolean} False if there's no room for it
+   */
+  pickUp(pickup) {
+    if (!this.inventory.add(pickup)) return false;
+    this.pickupManager.collect(pickup);
+    if (!pickup.dropped) this.rules.itemCollected(pickup.type);
+    return true;
+  }
+
+  /**
+   * The run's state, for a saved game (see saveGame.js).
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      roomIndex: this.roomIndex,
+      catActivated: this.catActivated,
+      lives: this.lives,
+      player: this.player.serialize(),
+      cat: this.cat.serialize(),
+      doors: this.doorManager.serialize(),
+      pickups: this.pickupManager.serialize(),
+      inventory: this.inventory.serialize(),
+      battery: this.flashlight.battery,
+      rules: this.rules.serialize(),
+    };
+  }
+
+  /**
+   * Put everything back how a saved run left it.
+   * @param {Object} save - From serialize()
+   */
+  restore(save) {
+    this.roomIndex = save.roomIndex;
+    this.catActivated = save.catActivated;
+    this.lives = save.lives;
+    this.atExit = false;
+    this.player.restore(save.player);
+    this.doorManager.restore(save.doors);
+    this.pickupManager.restore(save.pickups);
+    this.inventory.restore(save.inventory);
+    this.flashlight.battery = save.battery;
+    this.rules.restore(save.rules);
+
+    this.setupCatForRoom(this.roomIndex);
+    this.cat.restore(save.cat);
+  }
+
+  /**
+   * Run the game on by a frame.
+   * @param {number} delta - Seconds
+   * @returns {'playing'|'won'|'lost'} Whether the level was won or lost this frame
+   */
+  step(delta) {
+    const { player, rooms } = this;
+
+    const currentRoom = rooms[this.roomIndex];
+    player.floorType = currentRoom ? currentRoom.floorType : 'tile';
+    player.update(delta, this.collisionWorld);
+    this.doorManager.update(delta);
+    this.pickupManager.update(delta);
+    this.throwableManager.update(delta);
+    this.flashlight.update(delta);
+
+    // --- Room detection: the player entered a new room — set up the cat ---
+    const roomIndex = findRoomIndex(rooms, player.position);
+    if (roomIndex !== -1 && roomIndex !== this.roomIndex) {
+      this.roomIndex = roomIndex;
+      this.catActivated = false;
+      this.setupCatForRoom(roomIndex);
+      if (this.onRoomEnter) this.onRoomEnter(rooms[roomIndex]);
+    }
+
+    // --- Objectives: the exit counts once the player is through an open front door ---
+    const room = rooms[roomIndex];
+    const atExit = !!room && !!room.exitZone && isInsideTriggerZone(player.position, room.exitZone) && this.isExitOpen(room);
+    if (atExit) {
+      const remaining = this.rules.reachedExit();
+      if (remaining.length > 0 && !this.atExit && this.onExitBlocked) this.onExitBlocked(remaining);
+    }
+    this.atExit = atExit;
+
+    const outcome = this.rules.update(delta);
+    if (outcome !== 'playing') return outcome;
+
+    // --- Cat trigger zone check ---
+    if (room && !this.catActivated && isInsideTriggerZone(player.position, room.triggerZone)) {
+      this.cat.activate(player.position);
+      this.catActivated = true;
+    }
+
+    // --- Update cat AI ---
+    this.cat.update(delta, player.position, player.noiseLevel);
+
+    // --- Flashlight in the cat's eyes: it flinches away or charges ---
+    if (this.cat.visible && this.cat.model) {
+      _catFace.copy(this.cat.model.position);
+      _catFace.y += CAT_FACE_HEIGHT;
+      if (this.flashlight.illuminates(_catFace)) {
+        const reaction = this.cat.shineLight(player.position);
+        if (reaction && this.onCatDazzled) this.onCatDazzled(reaction);
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Whether the way out of a room is open: its exit door, if it has one.
+   * @param {Object} room
+   * @returns {boolean}
+   */
+  isExitOpen(room) {
+    const exitDoor = room.doors.find(door => door.to === null);
+    return !exitDoor || this.doorManager.isOpen(exitDoor.id);
+  }
+}
+
+/**
+ * Check whether a position is inside an AABB trigger zone.
+ */
+function isInsideTriggerZone(position, zone) {
+  return (
+    position.x >= zone.min.x && position.x <= zone.max.x &&
+    position.z >= zone.min.z && position.z <= zone.max.z
+  );
+}
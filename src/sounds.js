@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { rng } from './random.js';
 
 /**
  * SoundManager -- procedural audio engine for Angry Cat.
@@ -21,9 +22,15 @@ export class SoundManager {
     // Map of name -> THREE.Audio / THREE.PositionalAudio objects
     this.sounds = {};
 
+    // Footstep volumes as generated, so steps can be played quieter
+    this._footstepVolumes = {};
+
     // Track whether the cat growl is currently playing
     this._growlActive = false;
 
+    // Noise for the generated sounds
+    this.random = rng.stream('sounds');
+
     // Dedicated Object3D to anchor the positional growl in the scene
     this._growlAnchor = new THREE.Object3D();
     camera.parent?.add(this._growlAnchor); // add to scene (camera is in scene)
@@ -41,7 +48,7 @@ export class SoundManager {
     const buffer = this.audioContext.createBuffer(1, length, sampleRate);
     const data = buffer.getChannelData(0);
     for (let i = 0; i < length; i++) {
-      data[i] = Math.random() * 2 - 1;
+      data[i] = this.random.range(-1, 1);
     }
     return buffer;
   }
@@ -178,6 +185,7 @@ export class SoundManager {
       audio.setLoop(false);
       audio.setVolume(0.4);
       this.sounds['footstep-tile'] = audio;
+      this._footstepVolumes['footstep-tile'] = 0.4;
     }
 
     // ------ footstep-wood ------
@@ -197,6 +205,7 @@ export class SoundManager {
       audio.setLoop(false);
       audio.setVolume(0.35);
       this.sounds['footstep-wood'] = audio;
+      this._footstepVolumes['footstep-wood'] = 0.35;
     }
 
     // ------ footstep-carpet ------
@@ -216,6 +225,7 @@ export class SoundManager {
       audio.setLoop(false);
       audio.setVolume(0.2);
       this.sounds['footstep-carpet'] = audio;
+      this._footstepVolumes['footstep-carpet'] = 0.2;
     }
 
     // ------ cat-growl (sawtooth 80Hz + tremolo LFO at 4Hz, looping) ------
@@ -275,7 +285,7 @@ export class SoundManager {
       for (let i = 0; i < data.length; i++) {
         const t = i / sr;
         const env = Math.min(1, t * 100) * Math.max(0, 1 - (t - duration + 0.05) * 20);
-        data[i] += (Math.random() * 2 - 1) * 0.3 * env;
+        data[i] += this.random.range(-1, 1) * 0.3 * env;
       }
       this._normalize(data, 0.95);
 
@@ -309,12 +319,129 @@ export class SoundManager {
       audio.setVolume(0.35);
       this.sounds['door-creak'] = audio;
     }
+
+    // ------ door-locked (handle rattling against the latch) ------
+    {
+      const duration = 0.3;
+      const buf = this._generateNoiseBuffer(duration, sr);
+      const data = buf.getChannelData(0);
+      this._applyBandpass(data, sr, 3000);
+      // Three quick clicks
+      const clicks = [0, 0.09, 0.17];
+      for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        let env = 0;
+        for (const start of clicks) {
+          if (t >= start) env = Math.max(env, Math.exp(-(t - start) * 60));
+        }
+        data[i] *= env;
+      }
+      this._normalize(data, 0.6);
+
+      const audio = new THREE.Audio(this.listener);
+      audio.setBuffer(buf);
+      audio.setLoop(false);
+      audio.setVolume(0.4);
+      this.sounds['door-locked'] = audio;
+    }
+
+    // ------ flashlight-click (the switch) ------
+    {
+      const duration = 0.05;
+      const buf = this._generateNoiseBuffer(duration, sr);
+      const data = buf.getChannelData(0);
+      this._applyBandpass(data, sr, 4000);
+      for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        data[i] *= Math.exp(-t * 120);
+      }
+      this._normalize(data, 0.5);
+
+      const audio = new THREE.Audio(this.listener);
+      audio.setBuffer(buf);
+      audio.setLoop(false);
+      audio.setVolume(0.3);
+      this.sounds['flashlight-click'] = audio;
+    }
+
+    // ------ squeak (rubber toy: quick rising then falling chirp) ------
+    {
+      const duration = 0.25;
+      const length = Math.ceil(duration * sr);
+      const buf = this.audioContext.createBuffer(1, length, sr);
+      const data = buf.getChannelData(0);
+      let phase = 0;
+      for (let i = 0; i < length; i++) {
+        const t = i / sr;
+        const freq = 1800 + 900 * Math.sin(Math.PI * t / duration);
+        phase += (2 * Math.PI * freq) / sr;
+        const env = Math.min(1, t * 200) * Math.min(1, (duration - t) * 30);
+        data[i] = (Math.sin(phase) + 0.3 * Math.sin(phase * 2)) * env;
+      }
+      this._normalize(data, 0.6);
+
+      const audio = new THREE.Audio(this.listener);
+      audio.setBuffer(buf);
+      audio.setLoop(false);
+      audio.setVolume(0.5);
+      this.sounds['squeak'] = audio;
+    }
+
+    // ------ yarn-land (soft, muffled thump — positional) ------
+    {
+      const duration = 0.15;
+      const buf = this._generateNoiseBuffer(duration, sr);
+      const data = buf.getChannelData(0);
+      this._applyLowpass(data, 0.05);
+      for (let i = 0; i < data.length; i++) {
+        const t = i / sr;
+        data[i] *= Math.exp(-t * 30);
+      }
+      this._normalize(data, 0.7);
+      this._addPositional('yarn-land', buf, 0.6);
+    }
+
+    // ------ mouse-land (thud plus the little bell inside — positional) ------
+    {
+      const duration = 0.4;
+      const length = Math.ceil(duration * sr);
+      const buf = this.audioContext.createBuffer(1, length, sr);
+      const data = buf.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        const t = i / sr;
+        const thud = this.random.range(-1, 1) * Math.exp(-t * 60);
+        const bell = (Math.sin(2 * Math.PI * 3200 * t) + 0.6 * Math.sin(2 * Math.PI * 4700 * t)) *
+          Math.exp(-t * 9) * (1 + 0.5 * Math.sin(2 * Math.PI * 18 * t));
+        data[i] = thud * 0.6 + bell * 0.4;
+      }
+      this._normalize(data, 0.7);
+      this._addPositional('mouse-land', buf, 0.7);
+    }
   }
 
   // -----------------------------------------------------------------------
   //  Utility
   // -----------------------------------------------------------------------
 
+  /**
+   * Register a one-shot sound that plays from a point in the world (see
+   * playAt). Each gets its own anchor in the scene to move around.
+   */
+  _addPositional(name, buffer, volume) {
+    const anchor = new THREE.Object3D();
+    this.camera.parent?.add(anchor);
+
+    const audio = new THREE.PositionalAudio(this.listener);
+    audio.setBuffer(buffer);
+    audio.setLoop(false);
+    audio.setVolume(volume);
+    audio.setRefDistance(2);
+    audio.setRolloffFactor(1.5);
+    audio.setMaxDistance(20);
+    anchor.add(audio);
+    this.sounds[name] = audio;
+  }
+
   /**
    * Normalize sample data in-place to a target peak amplitude.
    */
@@ -348,6 +475,18 @@ export class SoundManager {
     sound.play();
   }
 
+  /**
+   * Play a positional sound from a point in the world.
+   * @param {string} name - A sound registered with _addPositional
+   * @param {THREE.Vector3} position
+   */
+  playAt(name, position) {
+    const sound = this.sounds[name];
+    if (!sound) return;
+    sound.parent.position.copy(position);
+    this.play(name);
+  }
+
   /**
    * Stop a (looping) sound by name.
    */
@@ -371,14 +510,14 @@ export class SoundManager {
   /**
    * Play the footstep sound matching the current floor type.
    * Falls back to 'tile' if the floor type is unknown.
+   * @param {string} floorType
+   * @param {number} [volumeScale=1] - e.g. softer while crouching
    */
-  playFootstep(floorType) {
-    const name = `footstep-${floorType}`;
-    if (this.sounds[name]) {
-      this.play(name);
-    } else {
-      this.play('footstep-tile');
-    }
+  playFootstep(floorType, volumeScale = 1) {
+    let name = `footstep-${floorType}`;
+    if (!this.sounds[name]) name = 'footstep-tile';
+    this.setVolume(name, this._footstepVolumes[name] * volumeScale);
+    this.play(name);
   }
 
   /**
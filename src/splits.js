@@ -0,0 +1,87 @@
+/**
+ * SplitTimer -- split times for a run, for the speedrunners.
+ *
+ * A split is taken the first time the player reaches each room (going back
+ * through a room doesn't count again) and once more at the finish. Each one
+ * is compared with the same room in the personal best, if there is one:
+ *
+ *   room   {string}       room id, or 'finish'
+ *   name   {string}       shown in the HUD and on the win screen
+ *   time   {number}       seconds into the run
+ *   delta  {number|null}  seconds ahead (negative) or behind the personal
+ *                         best; null if the best never got there
+ */
+
+export class SplitTimer {
+  /**
+   * @param {string} startRoomId - Where runs begin; no split for it
+   */
+  constructor(startRoomId) {
+    this.startRoomId = startRoomId;
+    this.splits = [];
+    this._best = [];
+  }
+
+  /**
+   * Start over, racing against a personal best.
+   * @param {{ room: string, time: number }[]} [best] - The best run's splits
+   */
+  start(best = []) {
+    this.splits = [];
+    this._best = best;
+  }
+
+  /**
+   * Carry on a saved run's splits.
+   * @param {Object[]} splits - From serialize()
+   * @param {{ room: string, time: number }[]} [best]
+   */
+  restore(splits, best = []) {
+    this.start(best);
+    for (const split of splits) this._take(split.room, split.name, split.time);
+  }
+
+  /**
+   * The player walked into a room.
+   * @param {{ id: string, name: string }} room
+   * @param {number} time - Seconds into the run
+   * @returns {Object|null} The new split, or null if it's not their first time here
+   */
+  reach(room, time) {
+    if (room.id === this.startRoomId || this.splits.some(split => split.room === room.id)) return null;
+    return this._take(room.id, room.name, time);
+  }
+
+  /**
+   * The run is won.
+   * @param {number} time
+   * @returns {Object} The final split
+   */
+  finish(time) {
+    return this._take('finish', 'Finish', time);
+  }
+
+  /**
+   * Splits so far, for a saved game or the leaderboard.
+   * @returns {{ room: string, name: string, time: number }[]}
+   */
+  serialize() {
+    return this.splits.map(({ room, name, time }) => ({ room, name, time }));
+  }
+
+  _take(room, name, time) {
+    const best = this._best.find(split => split.room === room);
+    const split = { room, name, time, delta: best ? time - best.time : null };
+    this.splits.push(split);
+    return split;
+  }
+}
+
+/**
+ * "+1.3" / "-0.8" for how far ahead or behind a split is.
+ * @param {number} delta - Seconds
+ * @returns {string}
+ */
+export function formatDelta(delta) {
+  return (delta > 0 ? '+' : delta < 0 ? '-' : '±') + Math.abs(delta).toFixed(1);
+}
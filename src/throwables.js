@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { buildItemMesh } from './pickups.js';
+import { findRoomIndex } from './house.js';
+
+/**
+ * ThrowableManager -- toys the player throws to lure the cat away.
+ *
+ * Each throw flies on a simple ballistic arc, bounces off walls and furniture
+ * (anything collidable), and comes to rest on the first floor or tabletop it
+ * drops onto. Where it lands is reported through `onLand`.
+ */
+
+const THROW_SPEED = 7;        // metres/sec along the aim
+const THROW_LIFT = 1.5;       // extra upward speed, so a level throw still arcs
+const GRAVITY = 9.8;
+const ITEM_RADIUS = 0.08;
+const BOUNCE = 0.35;          // speed kept after hitting a wall
+const MAX_BOUNCES = 4;        // after this it just drops
+const MAX_STEP = 1 / 60;      // longest physics step, so fast throws don't tunnel
+const HAND_OFFSET = 0.3;      // released this far in front of the camera
+const SPIN_SPEED = 10;
+
+export class ThrowableManager {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Object3D[]} collidables - What thrown items bounce off
+   * @param {object[]} rooms - From createHouse, for their ceiling heights
+   */
+  constructor(scene, collidables, rooms) {
+    this.scene = scene;
+    this.collidables = collidables;
+    this.rooms = rooms;
+    this.flying = [];
+    this.onLand = null; // callback(item, position)
+
+    this._raycaster = new THREE.Raycaster();
+    this._raycaster.near = 0;
+    this._step = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+  }
+
+  /**
+   * Throw an item from the camera in the direction it's facing.
+   * @param {Object} item - Pickup data from the inventory
+   * @param {THREE.Camera} camera
+   */
+  throw(item, camera) {
+    const direction = new THREE.Vector3();
+    camera.getWorldDirection(direction);
+
+    const mesh = buildItemMesh(item.type);
+    camera.getWorldPosition(mesh.position);
+    mesh.position.addScaledVector(direction, HAND_OFFSET);
+    this.scene.add(mesh);
+
+    const velocity = direction.multiplyScalar(THROW_SPEED);
+    velocity.y += THROW_LIFT;
+    this.flying.push({ item, mesh, velocity, bounces: 0 });
+  }
+
+  /**
+   * Move everything in flight.
+   * @param {number} delta
+   */
+  update(delta) {
+    let remaining = delta;
+    while (remaining > 0) {
+      const dt = Math.min(remaining, MAX_STEP);
+      remaining -= dt;
+      for (const thrown of this.flying) this._stepItem(thrown, dt);
+      this.flying = this.flying.filter(thrown => !thrown.landed);
+    }
+  }
+
+  /**
+   * Clear away anything still in the air.
+   */
+  reset() {
+    for (const thrown of this.flying) this.scene.remove(thrown.mesh);
+    this.flying = [];
+  }
+
+  // --- Internals ---
+
+  _stepItem(thrown, dt) {
+    const { mesh, velocity } = thrown;
+    const pos = mesh.position;
+
+    velocity.y -= GRAVITY * dt;
+    this._step.copy(velocity).multiplyScalar(dt);
+    const distance = this._step.length();
+
+    // Anything in the way this step?
+    if (distance > 0) {
+      this._direction.copy(this._step).divideScalar(distance);
+      this._raycaster.set(pos, this._direction);
+      this._raycaster.far = distance + ITEM_RADIUS;
+      const hit = this._raycaster.intersectObjects(this.collidables, true)[0];
+      if (hit) {
+        this._normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+        pos.copy(hit.point).addScaledVector(this._normal, ITEM_RADIUS);
+
+        // Landed on top of something...
+        if (this._normal.y > 0.5) {
+          this._land(thrown);
+          return;
+        }
+        // ...or hit its side: bounce off, or just drop once it's run out of steam
+        if (thrown.bounces >= MAX_BOUNCES) {
+          velocity.set(0, Math.min(velocity.y, 0), 0);
+          return;
+        }
+        velocity.reflect(this._normal).multiplyScalar(BOUNCE);
+        thrown.bounces++;
+        return;
+      }
+    }
+
+    pos.add(this._step);
+    mesh.rotation.x += SPIN_SPEED * dt;
+    mesh.rotation.z += SPIN_SPEED * 0.6 * dt;
+
+    // Off the ceiling...
+    const roomIndex = findRoomIndex(this.rooms, pos);
+    const ceiling = roomIndex === -1 ? Infinity : this.rooms[roomIndex].height;
+    if (pos.y > ceiling - ITEM_RADIUS && velocity.y > 0) {
+      pos.y = ceiling - ITEM_RADIUS;
+      velocity.y = -velocity.y * BOUNCE;
+    }
+
+    // ...and down onto the floor
+    if (pos.y <= ITEM_RADIUS) {
+      pos.y = ITEM_RADIUS;
+      this._land(thrown);
+    }
+  }
+
+  _land(thrown) {
+    thrown.landed = true;
+    this.scene.remove(thrown.mesh);
+    if (this.onLand) this.onLand(thrown.item, thrown.mesh.position);
+  }
+}
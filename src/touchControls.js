@@ -1,13 +1,15 @@
 /**
  * Touch Controls for mobile/tablet (iPad, iPhone, Android).
  *
- * Provides a virtual joystick, swipe-to-look, sprint button, and
+ * Provides a virtual joystick, swipe-to-look, sprint, crouch, use and light
+ * buttons, and
  * pause/help buttons. Only active on touch-capable devices.
  *
  * All DOM elements are created with createElement / textContent (no innerHTML).
  */
 
 import { Euler } from 'three';
+import { GAME_STATE } from './gameState.js';
 
 // ── Device detection ─────────────────────────────────────────────────────────
 
@@ -40,15 +42,17 @@ export class TouchControls {
    * @param {import('./player.js').Player} opts.player
    * @param {THREE.Camera} opts.camera
    * @param {import('./screens.js').HelpOverlay} opts.helpOverlay
-   * @param {import('./screens.js').PauseMenu} opts.pauseMenu
-   * @param {Function} opts.gameRunningFn  Returns current gameRunning state
+   * @param {import('./gameState.js').GameStateMachine} opts.game  The controls
+   *   are only shown while it's PLAYING; the pause button pauses it
+   * @param {Function} opts.onAction  onAction(name) for the CROUCH, USE and
+   *   LIGHT buttons: 'toggleCrouch', 'interact' or 'toggleLight'
    */
-  constructor({ player, camera, helpOverlay, pauseMenu, gameRunningFn }) {
+  constructor({ player, camera, helpOverlay, game, onAction }) {
     this.player = player;
     this.camera = camera;
     this.helpOverlay = helpOverlay;
-    this.pauseMenu = pauseMenu;
-    this.gameRunningFn = gameRunningFn;
+    this.game = game;
+    this.onAction = onAction;
 
     // Touch tracking
     this._joystickTouchId = null;
@@ -61,11 +65,18 @@ export class TouchControls {
     this._createJoystick();
     this._createLookArea();
     this._createSprintButton();
+    this._createCrouchButton();
+    this._createUseButton();
+    this._createLightButton();
     this._createPauseButton();
     this._createHelpButton();
 
     // Wire up events
     this._bindEvents();
+
+    // Only on screen while playing — not paused, on an end screen or mid-scare
+    game.onEnter(GAME_STATE.PLAYING, () => this.show());
+    game.onExit(GAME_STATE.PLAYING, () => this.hide());
   }
 
   // ── DOM creation ─────────────────────────────────────────────────────────
@@ -100,6 +111,27 @@ export class TouchControls {
     this.container.appendChild(this.sprintBtn);
   }
 
+  _createCrouchButton() {
+    this.crouchBtn = document.createElement('div');
+    this.crouchBtn.className = 'touch-crouch-btn';
+    this.crouchBtn.textContent = 'CROUCH';
+    this.container.appendChild(this.crouchBtn);
+  }
+
+  _createUseButton() {
+    this.useBtn = document.createElement('div');
+    this.useBtn.className = 'touch-use-btn';
+    this.useBtn.textContent = 'USE';
+    this.container.appendChild(this.useBtn);
+  }
+
+  _createLightButton() {
+    this.lightBtn = document.createElement('div');
+    this.lightBtn.className = 'touch-light-btn';
+    this.lightBtn.textContent = 'LIGHT';
+    this.container.appendChild(this.lightBtn);
+  }
+
   _createPauseButton() {
     this.pauseBtn = document.createElement('div');
     this.pauseBtn.className = 'touch-pause-btn';
@@ -192,19 +224,36 @@ export class TouchControls {
     this.sprintBtn.addEventListener('touchend', sprintEnd, { passive: false });
     this.sprintBtn.addEventListener('touchcancel', sprintEnd, { passive: false });
 
+    // --- Crouch button (tap to toggle) ---
+    this.crouchBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this.onAction('toggleCrouch');
+    }, { passive: false });
+
+    // --- Use button (doors) ---
+    this.useBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      this.onAction('interact');
+    }, { passive: false });
+
+    // --- Light button (flashlight on/off) ---
+    this.lightBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      if (this.game.is(GAME_STATE.PLAYING)) this.onAction('toggleLight');
+    }, { passive: false });
+
     // --- Pause button ---
     this.pauseBtn.addEventListener('touchstart', (e) => {
       e.preventDefault();
-      if (this.gameRunningFn()) {
-        this.pauseMenu.show();
-        this.hide();
+      if (this.game.is(GAME_STATE.PLAYING)) {
+        this.game.transition(GAME_STATE.PAUSED);
       }
     }, { passive: false });
 
     // --- Help button ---
     this.helpBtn.addEventListener('touchstart', (e) => {
       e.preventDefault();
-      if (this.gameRunningFn()) {
+      if (this.game.is(GAME_STATE.PLAYING)) {
         this.helpOverlay.toggle();
       }
     }, { passive: false });
@@ -288,6 +337,24 @@ export class TouchControls {
 
   show() {
     this.container.style.display = '';
+    // Stance may have been reset (respawn) while hidden
+    this.crouchBtn.classList.toggle('active', this.player.isCrouching);
+  }
+
+  /**
+   * Light the LIGHT button to match the flashlight (it can die on its own).
+   * @param {boolean} isOn
+   */
+  setLightOn(isOn) {
+    this.lightBtn.classList.toggle('active', isOn);
+  }
+
+  /**
+   * Light the CROUCH button to match the player's stance.
+   * @param {boolean} isCrouching
+   */
+  setCrouching(isCrouching) {
+    this.crouchBtn.classList.toggle('active', isCrouching);
   }
 
   hide() {
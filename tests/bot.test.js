@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, roomIndex } from './harness.js';
+import { Bot, BOT_POLICIES, playGame } from '../tools/bot.js';
+
+for (const policy of BOT_POLICIES) {
+  test(`a ${policy} bot fetches the front door key and gets out on easy`, () => {
+    const sim = createSimulation({ difficulty: 'easy' });
+    const bot = new Bot(sim, policy);
+
+    const { outcome, time } = playGame(sim, bot, 0, 120);
+
+    assert.equal(outcome, 'won');
+    assert.ok(time > 0);
+    assert.ok(sim.inventory.keys.has('front-door'));
+  });
+}
+
+test('a game is the same every time with the same seed', () => {
+  const sim = createSimulation({ difficulty: 'hard' });
+  const bot = new Bot(sim, 'walk');
+
+  assert.deepEqual(playGame(sim, bot, 7, 120), playGame(sim, bot, 7, 120));
+});
+
+test('hits are put down to the room they happened in', () => {
+  const sim = createSimulation({ difficulty: 'nightmare' });
+  const bot = new Bot(sim, 'walk');
+
+  const { outcome, hits } = playGame(sim, bot, 0, 120);
+
+  assert.equal(outcome, 'lost');
+  assert.equal(hits.length, sim.maxLives);
+  for (const room of hits) assert.ok(sim.rooms.some(r => r.id === room), `unknown room ${room}`);
+});
+
+test('hugging the walls keeps closer to them than walking straight there', () => {
+  const sim = createSimulation();
+  const grid = new Bot(sim, 'walk').grid;
+  const clearance = grid.clearance();
+
+  // How far from a wall the route to the hallway keeps, on average
+  const averageClearance = policy => {
+    const bot = new Bot(sim, policy);
+    bot.goal = { position: sim.rooms[roomIndex(sim, 'hallway')].spawnPoint };
+    const samples = [];
+    let from = sim.player.position;
+    for (const to of bot.planRoute()) {
+      const steps = Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / grid.cellSize);
+      for (let i = 1; i <= steps; i++) {
+        const x = from.x + (to.x - from.x) * i / steps;
+        const z = from.z + (to.z - from.z) * i / steps;
+        samples.push(clearance[grid.cellAt(x, z)]);
+      }
+      from = to;
+    }
+    return samples.reduce((sum, metres) => sum + metres, 0) / samples.length;
+  };
+
+  assert.ok(averageClearance('hug-walls') < averageClearance('walk'));
+});
+
+test('an unknown policy is refused', () => {
+  const sim = createSimulation();
+  assert.throws(() => new Bot(sim, 'teleport'), /Unknown bot policy "teleport"/);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation, roomIndex, FRAME } from './harness.js';
+import { CAT_STATE } from '../src/cat.js';
+
+/**
+ * A cat lurking in the kitchen, set up with the room's hiding spots and
+ * whatever behaviour the test needs.
+ */
+function kitchenCat({ behavior = {}, doorways = [] } = {}) {
+  const sim = createSimulation();
+  const kitchen = sim.rooms[roomIndex(sim, 'kitchen')];
+  sim.cat.setupForRoom(roomIndex(sim, 'kitchen'), kitchen.catHidingSpots, kitchen.aggression, { behavior, doorways });
+  return sim.cat;
+}
+
+const PLAYER = new THREE.Vector3(0, 1.6, 2);
+
+// In the living room, walls away from the kitchen cat
+const OUT_OF_SIGHT = new THREE.Vector3(0, 1.6, -14);
+
+/**
+ * A kitchen cat woken by the player, who slipped away before it looked: it
+ * goes to where they were, finds nobody, and starts searching.
+ */
+function searchingCat() {
+  const cat = kitchenCat();
+  cat.activate(PLAYER);
+  for (let t = 0; t < 10 && cat.state !== CAT_STATE.SEARCHING; t += FRAME) {
+    cat.update(FRAME, OUT_OF_SIGHT);
+  }
+  assert.equal(cat.state, CAT_STATE.SEARCHING);
+  return cat;
+}
+
+test('waking up sends the cat stalking toward the player', () => {
+  const cat = kitchenCat();
+  assert.equal(cat.state, CAT_STATE.LURKING);
+  assert.equal(cat.visible, false);
+
+  cat.activate(PLAYER);
+
+  assert.equal(cat.state, CAT_STATE.STALKING);
+  assert.equal(cat.visible, true);
+  assert.ok(cat.hasLastKnownPosition);
+});
+
+test('with doorways and ambushChance 1 it lies in wait instead', () => {
+  const doorways = [new THREE.Vector3(0, 0, -2.6), new THREE.Vector3(0, 0, 2.6)];
+  const cat = kitchenCat({ behavior: { ambushChance: 1 }, doorways });
+
+  cat.activate(PLAYER);
+
+  assert.equal(cat.state, CAT_STATE.AMBUSHING);
+  assert.equal(cat.visible, false);
+});
+
+test('lying in wait it watches the way in, not a player behind it', () => {
+  const doorways = [new THREE.Vector3(0, 0, -2.6), new THREE.Vector3(0, 0, 2.6)];
+  const cat = kitchenCat({ behavior: { ambushChance: 1, ambushDuration: 100 }, doorways });
+  cat.activate(PLAYER);
+  for (let t = 0; t < 10; t += FRAME) cat.update(FRAME, OUT_OF_SIGHT);
+
+  // In the doorway on the far side, facing back into the kitchen (+z)
+  const behind = cat.model.position.clone().add(new THREE.Vector3(1, 1.6, -0.4));
+  for (let t = 0; t < 0.5; t += FRAME) cat.update(FRAME, behind);
+  assert.equal(cat.state, CAT_STATE.AMBUSHING);
+  assert.equal(cat.canSeePlayer, false);
+
+  const inFront = cat.model.position.clone().add(new THREE.Vector3(0, 1.6, 1.5));
+  cat.update(FRAME, inFront);
+  assert.equal(cat.state, CAT_STATE.POUNCING);
+});
+
+test('only wakes once', () => {
+  const cat = kitchenCat();
+  cat.activate(PLAYER);
+  cat.distract(new THREE.Vector3(1, 0, 0), 5);
+
+  cat.activate(PLAYER);
+
+  assert.equal(cat.state, CAT_STATE.DISTRACTED);
+});
+
+test('a lurking cat ignores noises and lures', () => {
+  const cat = kitchenCat();
+
+  assert.equal(cat.hearNoise(cat.model.position.clone(), 2), false);
+  assert.equal(cat.distract(cat.model.position.clone(), 5), false);
+  assert.equal(cat.state, CAT_STATE.LURKING);
+});
+
+test('a searching cat investigates a noise it can hear', () => {
+  const cat = searchingCat();
+
+  const near = cat.model.position.clone().add(new THREE.Vector3(1, 0, 0));
+  assert.equal(cat.hearNoise(near), true);
+  assert.equal(cat.state, CAT_STATE.INVESTIGATING);
+});
+
+test('a noise out of earshot goes unheard', () => {
+  const cat = searchingCat();
+
+  const far = cat.model.position.clone().add(new THREE.Vector3(20, 0, 0));
+  assert.equal(cat.hearNoise(far), false);
+  assert.equal(cat.state, CAT_STATE.SEARCHING);
+});
+
+test('a toy squeaking near a hiding player draws the cat without giving them away', () => {
+  const cat = searchingCat();
+  cat.setPlayerHidden(true);
+
+  const toy = cat.model.position.clone().add(new THREE.Vector3(1, 0, 0));
+  assert.equal(cat.hearNoise(toy, 2.5, { fromPlayer: false }), true);
+  assert.equal(cat.state, CAT_STATE.INVESTIGATING);
+
+  cat.update(FRAME, PLAYER);
+  assert.equal(cat.canSeePlayer, false);
+});
+
+test('a lure keeps it busy until it has been there a while', () => {
+  const cat = kitchenCat();
+  cat.activate(PLAYER);
+  const treat = cat.model.position.clone();
+  let reached = false;
+
+  assert.equal(cat.distract(treat, 1, { onReached: () => { reached = true; } }), true);
+  assert.equal(cat.state, CAT_STATE.DISTRACTED);
+
+  // Far enough away that the cat won't notice the player
+  const away = new THREE.Vector3(treat.x + 10, 1.6, treat.z);
+  for (let t = 0; t < 3; t += FRAME) cat.update(FRAME, away, 0);
+
+  assert.ok(reached);
+  assert.notEqual(cat.state, CAT_STATE.DISTRACTED);
+});
+
+test('a lure out of range is ignored', () => {
+  const cat = kitchenCat();
+  cat.activate(PLAYER);
+
+  const far = cat.model.position.clone().add(new THREE.Vector3(10, 0, 0));
+  assert.equal(cat.distract(far, 5, { radius: 2 }), false);
+  assert.equal(cat.state, CAT_STATE.STALKING);
+});
+
+test('the flashlight makes it flinch or charge, then not again for a while', () => {
+  const flinching = kitchenCat({ behavior: { flinchChance: 1 } });
+  flinching.activate(PLAYER);
+  assert.equal(flinching.shineLight(PLAYER), 'flinched');
+  assert.equal(flinching.state, CAT_STATE.RETREATING);
+
+  const charging = kitchenCat({ behavior: { flinchChance: 0 } });
+  charging.activate(PLAYER);
+  assert.equal(charging.shineLight(PLAYER), 'charged');
+  assert.equal(charging.state, CAT_STATE.STALKING);
+  assert.equal(charging.shineLight(PLAYER), null);
+});
+
+test('a lurking cat has nothing to react to', () => {
+  const cat = kitchenCat();
+  assert.equal(cat.shineLight(PLAYER), null);
+});
+
+test('saves and restores where it was and what it knew', () => {
+  const cat = kitchenCat();
+  cat.activate(PLAYER);
+  const saved = cat.serialize();
+
+  const restored = kitchenCat();
+  restored.restore(saved);
+
+  assert.deepEqual(restored.model.position.toArray(), saved.position);
+  assert.equal(restored.state, CAT_STATE.INVESTIGATING);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CollisionWorld } from '../src/collision.js';
+
+const BODY = { radius: 0.3, height: 1.75, stepHeight: 0.25 };
+
+/** A box mesh spanning min..max. */
+function block(min, max) {
+  const size = new THREE.Vector3().subVectors(max, min);
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z));
+  mesh.position.addVectors(min, max).multiplyScalar(0.5);
+  return mesh;
+}
+
+/** Walk a body from `from` by `motion` per step, for some steps. */
+function walk(world, from, motion, steps = 60) {
+  const feet = from.clone();
+  for (let i = 0; i < steps; i++) world.move(feet, motion, BODY);
+  return feet;
+}
+
+// A wall running along x, its face at z = 1
+const WALL = block(new THREE.Vector3(-10, 0, 1), new THREE.Vector3(10, 2.5, 1.2));
+
+test('walking into a wall at an angle slides along it', () => {
+  const world = new CollisionWorld([WALL]);
+  const feet = walk(world, new THREE.Vector3(0, 0, 0), new THREE.Vector3(0.05, 0, 0.05));
+
+  assert.ok(feet.z <= 1 - BODY.radius + 1e-6, `went into the wall to z = ${feet.z}`);
+  assert.ok(feet.x > 2.9, `stopped dead at x = ${feet.x}`);
+});
+
+test("corners can't be clipped", () => {
+  const side = block(new THREE.Vector3(1, 0, -10), new THREE.Vector3(1.2, 2.5, 10));
+  const world = new CollisionWorld([WALL, side]);
+  const feet = walk(world, new THREE.Vector3(0, 0, 0), new THREE.Vector3(0.08, 0, 0.08));
+
+  assert.ok(feet.x <= 1 - BODY.radius + 1e-6 && feet.z <= 1 - BODY.radius + 1e-6,
+    `squeezed into the corner at ${feet.x}, ${feet.z}`);
+});
+
+test('low ledges are stepped onto, knee-high furniture blocks', () => {
+  const ledge = block(new THREE.Vector3(-1, 0, -3), new THREE.Vector3(1, 0.2, -2));
+  const table = block(new THREE.Vector3(-1, 0, 2), new THREE.Vector3(1, 0.4, 3));
+  const world = new CollisionWorld([ledge, table]);
+
+  const onLedge = walk(world, new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -0.05), 50);
+  assert.ok(onLedge.z < -2.4, `blocked by the ledge at z = ${onLedge.z}`);
+  assert.ok(Math.abs(world.floorHeight(onLedge, BODY.radius, BODY.stepHeight) - 0.2) < 1e-6);
+
+  const atTable = walk(world, new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, 0.05), 60);
+  assert.ok(atTable.z <= 2 - BODY.radius + 1e-6, `walked into the table to z = ${atTable.z}`);
+  assert.equal(world.floorHeight(atTable, BODY.radius, BODY.stepHeight), 0);
+});
+
+test('things above the head, like a shelf, are walked under', () => {
+  const shelf = block(new THREE.Vector3(-1, 1.9, -1), new THREE.Vector3(1, 2, 1));
+  const world = new CollisionWorld([shelf]);
+  const feet = walk(world, new THREE.Vector3(0, 0, 2), new THREE.Vector3(0, 0, -0.05));
+
+  assert.ok(feet.z < -0.9);
+});
+
+test('moving things are measured where they are now', () => {
+  const door = block(new THREE.Vector3(-0.5, 0, -0.05), new THREE.Vector3(0.5, 2, 0.05));
+  const world = new CollisionWorld([], { dynamic: [door] });
+
+  const blocked = walk(world, new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, -0.05));
+  assert.ok(blocked.z >= 0.05 + BODY.radius - 1e-6, `walked through the door to z = ${blocked.z}`);
+
+  // Swung out of the way
+  door.position.x = 3;
+  const through = walk(world, new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, -0.05));
+  assert.ok(through.z < -1);
+});
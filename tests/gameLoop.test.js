@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { GameLoop, FIXED_STEP } from '../src/gameLoop.js';
+
+/** A loop that counts its steps and moves an object 1 m along x each one. */
+function countingLoop() {
+  const object = new THREE.Object3D();
+  const steps = [];
+  const loop = new GameLoop(dt => {
+    steps.push(dt);
+    object.position.x += 1;
+  });
+  loop.track(object);
+  return { loop, object, steps };
+}
+
+test('steps a fixed size however long the frames are', () => {
+  const { loop, steps } = countingLoop();
+
+  assert.equal(loop.advance(FIXED_STEP / 2), 0);
+  assert.equal(loop.advance(FIXED_STEP / 2 + 1e-9), 1);
+  assert.equal(loop.advance(FIXED_STEP * 3.5), 3);
+
+  assert.equal(steps.length, 4);
+  assert.ok(steps.every(dt => dt === FIXED_STEP));
+});
+
+test('a long hitch is capped rather than caught up in one go', () => {
+  const { loop } = countingLoop();
+  assert.ok(loop.advance(5) <= Math.ceil(0.25 / FIXED_STEP));
+});
+
+test('the time scale slows steps down, and 0 stops them', () => {
+  const { loop } = countingLoop();
+
+  loop.timeScale = 0;
+  assert.equal(loop.advance(0.1), 0);
+
+  loop.timeScale = 0.5;
+  let steps = 0;
+  for (let i = 0; i < 60; i++) steps += loop.advance(1 / 60);
+  assert.ok(Math.abs(steps - 30) <= 1, `${steps} steps in a second at half speed`);
+});
+
+test('tracked objects are drawn between steps, then put back', () => {
+  const { loop, object } = countingLoop();
+  loop.advance(FIXED_STEP * 2.5);
+  assert.equal(object.position.x, 2);
+
+  let drawnAt = null;
+  loop.render(() => { drawnAt = object.position.x; });
+
+  assert.ok(Math.abs(drawnAt - 1.5) < 1e-6, `drawn at ${drawnAt}`);
+  assert.equal(object.position.x, 2);
+});
+
+test('a reset draws everything where it is', () => {
+  const { loop, object } = countingLoop();
+  loop.advance(FIXED_STEP * 1.5);
+  object.position.x = 10; // a respawn, say
+
+  loop.reset();
+  let drawnAt = null;
+  loop.render(() => { drawnAt = object.position.x; });
+
+  assert.equal(drawnAt, 10);
+});
@@ -0,0 +1,51 @@
+import { FIXED_STEP } from '../src/gameLoop.js';
+
+export { createSimulation } from '../src/headless.js';
+
+/**
+ * Helpers for tests -- stepping a headless game (see src/headless.js) with
+ * fixed deltas, and setting it up.
+ */
+
+// Steps the length the game's own loop takes them (see gameLoop.js)
+export const FRAME = FIXED_STEP;
+
+/**
+ * Step the simulation for a while, or until the level is won or lost.
+ * @param {Simulation} sim
+ * @param {number} seconds
+ * @param {Function} [until] - Stops early once this returns true
+ * @returns {string} The last step's outcome ('playing', 'won' or 'lost')
+ */
+export function run(sim, seconds, until = () => false) {
+  let outcome = 'playing';
+  for (let t = 0; t < seconds && outcome === 'playing'; t += FRAME) {
+    // Raycasts (sight lines, collisions) need world matrices, which the
+    // renderer would keep up to date in the browser
+    sim.scene.updateMatrixWorld();
+    outcome = sim.step(FRAME);
+    if (until()) break;
+  }
+  return outcome;
+}
+
+/**
+ * Index of a room by id.
+ * @param {Simulation} sim
+ * @param {string} id
+ * @returns {number}
+ */
+export function roomIndex(sim, id) {
+  return sim.rooms.findIndex(room => room.id === id);
+}
+
+/**
+ * Put the player somewhere, facing a direction.
+ * @param {Simulation} sim
+ * @param {THREE.Vector3} position - Feet on the floor (y is ignored)
+ * @param {number} [yaw] - Radians; 0 faces -z
+ */
+export function placePlayer(sim, position, yaw = 0) {
+  sim.player.position.set(position.x, sim.player.position.y, position.z);
+  sim.player.camera.rotation.set(0, yaw, 0, 'YXZ');
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLevel, getConnectedRoomIds } from '../src/level.js';
+import { generateLevel } from '../src/levelGenerator.js';
+import { createSimulation, run } from './harness.js';
+import houseLevel from '../src/levels/house.json' with { type: 'json' };
+
+const SEEDS = [1, 2, 3, 'spencer', 'attic'];
+
+/** A copy of the house to break. */
+function house() {
+  return structuredClone(houseLevel);
+}
+
+test('the hand-made house is valid and every room can be reached', () => {
+  assert.equal(validateLevel(houseLevel), houseLevel);
+  const reachable = getConnectedRoomIds(houseLevel, houseLevel.spawnRoom);
+  assert.deepEqual([...reachable].sort(), houseLevel.rooms.map(room => room.id).sort());
+});
+
+test('the hand-made house builds and runs', () => {
+  const sim = createSimulation();
+  assert.equal(sim.rooms.length, houseLevel.rooms.length);
+  assert.equal(run(sim, 1), 'playing');
+});
+
+for (const seed of SEEDS) {
+  test(`generated house "${seed}" is valid, reachable and builds`, () => {
+    const level = generateLevel(seed);
+    validateLevel(level);
+
+    const reachable = getConnectedRoomIds(level, level.spawnRoom);
+    assert.equal(reachable.size, level.rooms.length);
+
+    const sim = createSimulation({ level, seed });
+    assert.equal(run(sim, 0.5), 'playing');
+  });
+}
+
+test('the same seed generates the same house', () => {
+  assert.deepEqual(generateLevel('same'), generateLevel('same'));
+});
+
+test('a broken level names what is wrong with it', () => {
+  const wrongVersion = { ...house(), version: 1 };
+  assert.throws(() => validateLevel(wrongVersion), /unsupported version 1/);
+
+  const noSpawn = { ...house(), spawnRoom: 'attic' };
+  assert.throws(() => validateLevel(noSpawn), /spawnRoom "attic" is not a room/);
+
+  const badDoor = house();
+  badDoor.doors[0].wall = 'up';
+  assert.throws(() => validateLevel(badDoor), /unknown wall "up"/);
+
+  // Cut the bedroom off from the rest of the house
+  const cutOff = house();
+  cutOff.doors = cutOff.doors.filter(door => door.to !== 'bedroom');
+  assert.throws(() => validateLevel(cutOff), /room "bedroom" can't be reached/);
+
+  const noKey = house();
+  const frontDoor = noKey.doors.find(door => door.id === 'front-door');
+  frontDoor.key = 'lost';
+  assert.throws(() => validateLevel(noKey), /nothing reachable unlocks door "front-door"/);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation, run, placePlayer } from './harness.js';
+
+// Clear floor up to the kitchen's north wall at z = 3; yaw PI faces it
+const NEAR_NORTH_WALL = new THREE.Vector3(-3, 0, 1);
+const FACING_NORTH = Math.PI;
+
+// South of the living room's coffee table (x -3.1..-1.9, z -13.9..-13.3,
+// 0.4 high); yaw 0 faces it
+const SOUTH_OF_COFFEE_TABLE = new THREE.Vector3(-2.5, 0, -12.4);
+
+/**
+ * How far the player gets walking the kitchen from its spawn point with some
+ * keys held, facing along the room.
+ */
+function walk(keys, seconds) {
+  const sim = createSimulation();
+  placePlayer(sim, sim.startPosition, -Math.PI / 2);
+  const start = sim.player.position.clone();
+  Object.assign(sim.player.keys, { forward: true }, keys);
+  run(sim, seconds);
+  return { sim, distance: sim.player.position.distanceTo(start) };
+}
+
+test('walls stop the player', () => {
+  const sim = createSimulation();
+  placePlayer(sim, NEAR_NORTH_WALL, FACING_NORTH);
+  sim.player.keys.forward = true;
+
+  run(sim, 2);
+
+  assert.ok(sim.player.position.z < 3, `walked through the wall to z = ${sim.player.position.z}`);
+  assert.ok(sim.player.position.z > NEAR_NORTH_WALL.z, "didn't move at all");
+});
+
+test("low furniture can't be walked through, and walls are slid along", () => {
+  const sim = createSimulation();
+  placePlayer(sim, SOUTH_OF_COFFEE_TABLE, 0);
+  sim.player.keys.forward = true;
+  run(sim, 1);
+  assert.ok(sim.player.position.z > -13.3, `walked into the coffee table to z = ${sim.player.position.z}`);
+
+  // Angled at the kitchen's north wall, the player keeps going along the counters
+  placePlayer(sim, NEAR_NORTH_WALL, FACING_NORTH + Math.PI / 4);
+  run(sim, 1);
+  assert.ok(sim.player.position.z < 3);
+  assert.ok(sim.player.position.x > NEAR_NORTH_WALL.x + 1.5, `stuck at x = ${sim.player.position.x}`);
+});
+
+test('crouching is slower than walking, and sprinting faster', () => {
+  const { distance: walking } = walk({}, 0.5);
+  const { distance: crouching } = walk({ crouch: true }, 0.5);
+  const { distance: sprinting } = walk({ sprint: true }, 0.5);
+
+  assert.ok(walking > 1, `only walked ${walking}`);
+  assert.ok(crouching < walking);
+  assert.ok(sprinting > walking);
+});
+
+test('a stick moves the player as fast as it is pushed, and more quietly', () => {
+  const { distance: walking, sim: walker } = walk({}, 0.5);
+
+  const sim = createSimulation();
+  placePlayer(sim, sim.startPosition, -Math.PI / 2);
+  const start = sim.player.position.clone();
+  sim.player.stick.set(0, 0.5);
+  run(sim, 0.5);
+
+  const halfway = sim.player.position.distanceTo(start);
+  assert.ok(Math.abs(halfway - walking / 2) < 0.05, `went ${halfway} at half tilt, ${walking} walking`);
+  assert.ok(sim.player.noiseLevel < walker.player.noiseLevel);
+});
+
+test('sprinting drains stamina, and standing still gets it back', () => {
+  const { sim } = walk({ sprint: true }, 1);
+  const drained = sim.player.stamina;
+  assert.ok(drained < 1);
+
+  Object.assign(sim.player.keys, { forward: false, sprint: false });
+  run(sim, 1);
+  assert.ok(sim.player.stamina > drained);
+});
+
+test('moving makes noise; crouching makes less', () => {
+  const { sim: walker } = walk({}, 0.5);
+  const { sim: creeper } = walk({ crouch: true }, 0.5);
+
+  assert.ok(walker.player.noiseLevel > 0);
+  assert.ok(creeper.player.noiseLevel < walker.player.noiseLevel);
+});
+
+test('saves and restores where the player stands and looks', () => {
+  const sim = createSimulation();
+  placePlayer(sim, NEAR_NORTH_WALL, 1);
+  sim.player.stamina = 0.4;
+  const saved = sim.player.serialize();
+
+  const restored = createSimulation();
+  restored.player.restore(saved);
+
+  assert.deepEqual(restored.player.serialize(), saved);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { InputRecorder, InputPlayback, parseReplay, REPLAY_VERSION } from '../src/replay.js';
+
+const RUN = { house: 'house', difficulty: 'normal', seed: 7, step: 1 / 60 };
+const NO_KEYS = { forward: false, backward: false, left: false, right: false, sprint: false, crouch: false };
+
+test('steps play back with the keys, stick, look and actions they were recorded with', () => {
+  const recorder = new InputRecorder(RUN);
+  const look = new THREE.Quaternion();
+  const stick = new THREE.Vector2();
+
+  recorder.record({ keys: { ...NO_KEYS, forward: true }, stick, actions: [] }, look);
+  recorder.settle(look);
+  stick.set(0.25, -0.5);
+  recorder.record({ keys: NO_KEYS, stick, actions: [] }, look);
+  look.setFromAxisAngle(new THREE.Vector3(0, 1, 0), 1);
+  recorder.record({ keys: NO_KEYS, stick, actions: [['interact']] }, look);
+
+  const playback = new InputPlayback(parseReplay(JSON.stringify(recorder.toJSON())));
+  const first = playback.next();
+  assert.equal(first.keys.forward, true);
+  assert.deepEqual(first.stick, [0, 0]);
+
+  assert.deepEqual(playback.next().stick, [0.25, -0.5]);
+
+  const third = playback.next();
+  assert.deepEqual(third.stick, [0.25, -0.5]);
+  assert.deepEqual(third.look, look.toArray());
+  assert.deepEqual(third.actions, [['interact']]);
+  assert.ok(playback.done);
+});
+
+test('a centred stick and no actions keep frames short', () => {
+  const recorder = new InputRecorder(RUN);
+  const look = new THREE.Quaternion();
+  recorder.record({ keys: NO_KEYS, stick: new THREE.Vector2(), actions: [] }, look);
+  recorder.settle(look);
+  recorder.record({ keys: NO_KEYS, stick: new THREE.Vector2(), actions: [] }, look);
+
+  assert.deepEqual(recorder.toJSON().frames[1], [0, 0]);
+});
+
+test('replays from before sticks still play; other versions and files are refused', () => {
+  const old = { ...RUN, version: 3, frames: [[1, 0, [['interact']]]] };
+  const playback = new InputPlayback(parseReplay(JSON.stringify(old)));
+  assert.deepEqual(playback.next().stick, [0, 0]);
+
+  assert.throws(() => parseReplay(JSON.stringify({ ...old, version: 2 })), /another version/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...old, version: REPLAY_VERSION + 1 })), /another version/);
+  assert.throws(() => parseReplay('not json'), /isn't a replay/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation, run, roomIndex, placePlayer } from './harness.js';
+import { CAT_STATE } from '../src/cat.js';
+
+// In the kitchen's trigger zone, clear of the table in the middle
+const KITCHEN_TRIGGER = new THREE.Vector3(0, 0, 1.2);
+
+test('the run starts in the spawn room', () => {
+  const sim = createSimulation();
+  const entered = [];
+  sim.onRoomEnter = room => entered.push(room.id);
+
+  run(sim, 0.1);
+
+  assert.deepEqual(entered, ['kitchen']);
+  assert.equal(sim.roomIndex, roomIndex(sim, 'kitchen'));
+  assert.equal(sim.cat.state, CAT_STATE.LURKING);
+});
+
+test('walking into another room sets the cat up there', () => {
+  const sim = createSimulation();
+  run(sim, 0.1);
+  const entered = [];
+  sim.onRoomEnter = room => entered.push(room.id);
+
+  // Short of the hallway's trigger zone
+  placePlayer(sim, new THREE.Vector3(0, 0, -4));
+  run(sim, 0.1);
+
+  assert.deepEqual(entered, ['hallway']);
+  assert.equal(sim.catActivated, false);
+  assert.equal(sim.cat.state, CAT_STATE.LURKING);
+});
+
+test('the trigger zone wakes the cat, and it catches a player who stands still', () => {
+  const sim = createSimulation();
+  run(sim, 0.1);
+  let livesLeft = null;
+  sim.onCaught = lives => { livesLeft = lives; };
+
+  placePlayer(sim, KITCHEN_TRIGGER);
+  run(sim, 0.1);
+  assert.equal(sim.catActivated, true);
+  assert.notEqual(sim.cat.state, CAT_STATE.LURKING);
+
+  run(sim, 30, () => livesLeft !== null);
+  assert.equal(livesLeft, sim.maxLives - 1);
+  assert.equal(sim.lives, sim.maxLives - 1);
+});
+
+test('respawning puts the player back at the room spawn with the cat hidden', () => {
+  const sim = createSimulation();
+  run(sim, 0.1);
+  placePlayer(sim, KITCHEN_TRIGGER);
+  run(sim, 0.5);
+
+  sim.respawn();
+
+  const spawn = sim.rooms[sim.roomIndex].spawnPoint;
+  assert.equal(sim.player.position.x, spawn.x);
+  assert.equal(sim.player.position.z, spawn.z);
+  assert.equal(sim.cat.state, CAT_STATE.LURKING);
+  assert.equal(sim.player.stamina, 1);
+});
+
+test('the exit only wins once the front door is open', () => {
+  const sim = createSimulation();
+  const bedroom = sim.rooms[roomIndex(sim, 'bedroom')];
+  const exit = new THREE.Vector3(0, 0, (bedroom.exitZone.min.z + bedroom.exitZone.max.z) / 2);
+
+  placePlayer(sim, exit);
+  assert.equal(run(sim, 0.5), 'playing');
+
+  const frontDoor = sim.doorManager.doors.find(door => door.id === 'front-door');
+  assert.equal(sim.doorManager.use(frontDoor, sim.player.position, new Set()), 'locked');
+  assert.equal(sim.doorManager.use(frontDoor, sim.player.position, new Set(['front-door'])), 'unlocked');
+  assert.equal(run(sim, 0.5), 'won');
+});
+
+test('a reset puts the house back how it started', () => {
+  const sim = createSimulation();
+  run(sim, 0.1);
+  placePlayer(sim, KITCHEN_TRIGGER);
+  run(sim, 1);
+
+  sim.reset();
+  run(sim, 0.1);
+
+  assert.equal(sim.lives, sim.maxLives);
+  assert.equal(sim.catActivated, false);
+  assert.equal(sim.cat.state, CAT_STATE.LURKING);
+  assert.equal(sim.rules.escaped, false);
+});
+
+test('the same seed plays out the same', () => {
+  const trace = () => {
+    const sim = createSimulation({ seed: 'same' });
+    run(sim, 0.1);
+    placePlayer(sim, KITCHEN_TRIGGER);
+    const states = [];
+    run(sim, 5, () => { states.push(sim.cat.state); return false; });
+    return { states, position: sim.cat.model.position.toArray() };
+  };
+
+  assert.deepEqual(trace(), trace());
+});
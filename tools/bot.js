@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+import { NavGrid } from '../src/navGrid.js';
+import { DOOR_WIDTH } from '../src/house.js';
+import { rng } from '../src/random.js';
+import { FIXED_STEP } from '../src/gameLoop.js';
+
+/**
+ * Bot -- a scripted player for playtesting, driving a Simulation's player
+ * the way a person would: holding movement keys, turning to face where it's
+ * going, opening doors and picking up what it needs.
+ *
+ * It heads for the exit, fetching any key a locked door needs and any items
+ * the level's collect objectives ask for on the way. Routes come from a
+ * player-sized nav grid of the house; doors are left out of it, and the bot
+ * opens them as it reaches them. It never hides, throws, or uses the
+ * flashlight — it's there to see how far plain movement gets.
+ *
+ * Policies (how it moves):
+ *   walk         always walks
+ *   sprint-rest  sprints until out of stamina, then stands still to get it back
+ *   hug-walls    walks, keeping to the edges of rooms rather than crossing them
+ */
+
+export const BOT_POLICIES = ['walk', 'sprint-rest', 'hug-walls'];
+
+// The player's size, for the nav grid (furniture under its head still blocks)
+const PLAYER_RADIUS = 0.3;
+const PLAYER_HEIGHT = 1.7;
+
+const WAYPOINT_REACHED = 0.3;   // metres
+const REPATH_INTERVAL = 1;      // seconds between fresh routes
+const DOOR_REACH = 1.5;         // opens closed doors this close
+const PICKUP_REACH = 1.2;       // picks up items this close (across the floor)
+const STUCK_CHECK = 1;          // seconds between progress checks...
+const STUCK_DISTANCE = 0.2;     // ...needing at least this much movement
+const BACK_OFF_TIME = 0.3;      // seconds spent backing away when stuck
+const WALL_HUG_COST = 0.4;      // extra route cost per metre from a wall, per cell
+const WALL_HUG_RANGE = 2;       // metres from a wall past which it's all the same
+
+const _toWaypoint = new THREE.Vector3();
+const _segment = new THREE.Line3();
+const _closest = new THREE.Vector3();
+const _panelBox = new THREE.Box3();
+
+export class Bot {
+  /**
+   * @param {import('../src/simulation.js').Simulation} sim
+   * @param {string} [policy] - One of BOT_POLICIES
+   */
+  constructor(sim, policy = 'walk') {
+    if (!BOT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown bot policy "${policy}" (try ${BOT_POLICIES.join(', ')})`);
+    }
+    this.sim = sim;
+    this.policy = policy;
+
+    // Walls and furniture only: doors get opened, not walked around
+    const doors = new Set(sim.doorManager.colliders);
+    this.grid = new NavGrid(sim.collidables.filter(obj => !doors.has(obj)), {
+      agentRadius: PLAYER_RADIUS,
+      agentHeight: PLAYER_HEIGHT,
+    });
+
+    // Hugging the walls: cells further from one cost more to cross
+    this._cellCost = null;
+    if (policy === 'hug-walls') {
+      this._cellCost = this.grid.clearance().map(metres => Math.min(metres, WALL_HUG_RANGE) * WALL_HUG_COST);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Forget the last game's route, for a new one.
+   */
+  reset() {
+    this.goal = null;           // { position, pickup? } — where it's heading
+    this._path = null;
+    this._pathIndex = 0;
+    this._repathTimer = 0;
+    this._resting = false;
+    this._stuckTimer = 0;
+    this._stuckFrom = this.sim.player.position.clone();
+    this._backOffTime = 0;
+  }
+
+  /**
+   * Decide this frame's input. Call before stepping the simulation.
+   * @param {number} delta
+   */
+  update(delta) {
+    const { sim } = this;
+    const player = sim.player;
+    const keys = player.keys;
+    for (const key of Object.keys(keys)) keys[key] = false;
+
+    this._useDoors();
+
+    const goal = this._chooseGoal();
+    if (!goal) return;
+    if (!this.goal || !goal.position.equals(this.goal.position)) {
+      this.goal = goal;
+      this._path = null;
+    }
+
+    if (goal.pickup && horizontalDistance(player.position, goal.pickup.position) < PICKUP_REACH) {
+      sim.pickUp(goal.pickup);
+      this._path = null;
+      return;
+    }
+
+    // Backing away from whatever it walked into
+    if (this._backOffTime > 0) {
+      this._backOffTime -= delta;
+      keys.backward = true;
+      return;
+    }
+
+    this._repathTimer -= delta;
+    if (!this._path || this._repathTimer <= 0) this.planRoute();
+    const waypoint = this._nextWaypoint();
+    if (!waypoint) return;
+
+    // Face the waypoint (yaw 0 looks down -z)
+    _toWaypoint.subVectors(waypoint, player.position);
+    player.camera.rotation.set(0, Math.atan2(-_toWaypoint.x, -_toWaypoint.z), 0, 'YXZ');
+
+    // Sprinting until it runs out, then a breather until it's full again
+    if (this.policy === 'sprint-rest') {
+      if (player.stamina <= 0) this._resting = true;
+      else if (player.stamina >= 1) this._resting = false;
+      if (this._resting) return;
+      keys.sprint = true;
+    }
+    keys.forward = true;
+
+    this._checkProgress(delta);
+  }
+
+  /**
+   * Where to go next: keys for doors still locked in its way, items the
+   * objectives want, then the exit.
+   * @returns {{ position: THREE.Vector3, pickup?: Object }|null}
+   */
+  _chooseGoal() {
+    const { sim } = this;
+    const position = sim.player.position;
+    const held = sim.inventory.keys;
+
+    const lockedKeys = new Set(sim.doorManager.doors
+      .filter(door => door.isLocked && !held.has(door.key))
+      .map(door => door.key));
+    const { defs, collected } = sim.rules;
+    const wanted = new Set(defs
+      .filter(def => def.type === 'collect' && (collected[def.item] || 0) < def.count)
+      .map(def => def.item));
+
+    const pickups = sim.pickupManager.pickups.filter(pickup => !pickup.collected && !pickup.dropped && (
+      (pickup.type === 'key' && lockedKeys.has(pickup.key)) || wanted.has(pickup.type)
+    ));
+    const pickup = nearest(pickups, position, p => p.position);
+    if (pickup) return { position: pickup.position, pickup };
+
+    const exits = sim.rooms.filter(room => room.exitZone).map(room => (
+      new THREE.Vector3().addVectors(room.exitZone.min, room.exitZone.max).multiplyScalar(0.5)
+    ));
+    const exit = nearest(exits, position, p => p);
+    return exit ? { position: exit } : null;
+  }
+
+  /**
+   * Open the closed door ahead, if it's within reach and it has the key.
+   */
+  _useDoors() {
+    const { doorManager, inventory, player } = this.sim;
+    for (const door of doorManager.doors) {
+      if (door.isOpen || horizontalDistance(player.position, door.position) > DOOR_REACH) continue;
+      if (door.isLocked && !inventory.keys.has(door.key)) continue;
+      if (!this._routePasses(door.position)) continue;
+      doorManager.use(door, player.position, inventory.keys);
+    }
+  }
+
+  /**
+   * Whether the rest of the route goes through a spot (a doorway).
+   */
+  _routePasses(position) {
+    const path = this._path;
+    if (!path) return false;
+    let from = this.sim.player.position;
+    for (let i = this._pathIndex; i < path.length; i++) {
+      _segment.set(from, path[i]);
+      _segment.start.y = _segment.end.y = position.y;
+      if (_segment.closestPointToPoint(position, true, _closest).distanceTo(position) < DOOR_WIDTH / 2) return true;
+      from = path[i];
+    }
+    return false;
+  }
+
+  /**
+   * Plan a fresh route from where the player stands to the goal. Done every
+   * REPATH_INTERVAL seconds while it plays, and whenever the goal changes.
+   * @returns {THREE.Vector3[]|null} The waypoints, or null if there's no way
+   */
+  planRoute() {
+    // Open doors stick out into the room; go round them
+    for (const door of this.sim.doorManager.doors) {
+      const open = door.isOpen && door.angle === door.targetAngle;
+      this.grid.setObstacle(door.id, open ? _panelBox.setFromObject(door.panel) : null);
+    }
+
+    this._path = this.grid.findPath(this.sim.player.position, this.goal.position, {
+      cellCost: this._cellCost,
+      smooth: !this._cellCost,
+    });
+    this._pathIndex = 0;
+    this._repathTimer = REPATH_INTERVAL;
+    return this._path;
+  }
+
+  _nextWaypoint() {
+    const path = this._path;
+    if (!path) return null;
+    while (this._pathIndex < path.length &&
+      horizontalDistance(this.sim.player.position, path[this._pathIndex]) < WAYPOINT_REACHED) {
+      this._pathIndex++;
+    }
+    return path[this._pathIndex] || null;
+  }
+
+  /**
+   * Every so often, make sure it's getting somewhere; if not, back off and
+   * find another way.
+   */
+  _checkProgress(delta) {
+    this._stuckTimer += delta;
+    if (this._stuckTimer < STUCK_CHECK) return;
+
+    const position = this.sim.player.position;
+    if (horizontalDistance(position, this._stuckFrom) < STUCK_DISTANCE) {
+      this._backOffTime = BACK_OFF_TIME;
+      this._path = null;
+    }
+    this._stuckTimer = 0;
+    this._stuckFrom.copy(position);
+  }
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+function nearest(items, position, positionOf) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const item of items) {
+    const distance = horizontalDistance(positionOf(item), position);
+    if (distance < bestDistance) {
+      best = item;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Play one game to the end, with a bot at the controls.
+ * @param {import('../src/simulation.js').Simulation} sim - Reset for the game
+ * @param {Bot} bot
+ * @param {number|string} seed - The run seed
+ * @param {number} maxTime - Seconds before giving up on it
+ * @returns {{ outcome: 'won'|'lost'|'timeout', time: number, hits: string[] }}
+ *   hits holds the id of the room each life was lost in
+ */
+export function playGame(sim, bot, seed, maxTime) {
+  sim.reset();
+  rng.reseed(seed);
+  bot.reset();
+
+  const hits = [];
+  let caught = false;
+  sim.onCaught = () => {
+    hits.push(sim.rooms[sim.roomIndex].id);
+    caught = true;
+  };
+
+  for (let time = 0; time < maxTime; time += FIXED_STEP) {
+    sim.scene.updateMatrixWorld();
+    bot.update(FIXED_STEP);
+    const outcome = sim.step(FIXED_STEP);
+    if (outcome !== 'playing') return { outcome, time: sim.rules.elapsed, hits };
+
+    // The game shows a scare here; the bot just carries on from the room's start
+    if (caught) {
+      if (sim.lives <= 0) return { outcome: 'lost', time: sim.rules.elapsed, hits };
+      sim.respawn();
+      bot.reset();
+      caught = false;
+    }
+  }
+  return { outcome: 'timeout', time: sim.rules.elapsed, hits };
+}
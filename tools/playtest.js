@@ -0,0 +1,109 @@
+import { parseArgs } from 'node:util';
+import { Bot, BOT_POLICIES, playGame } from './bot.js';
+import { createSimulation } from '../src/headless.js';
+import { DIFFICULTIES, DIFFICULTY_IDS } from '../src/difficulty.js';
+import { generateLevel } from '../src/levelGenerator.js';
+
+/**
+ * Playtest -- headless games played by bots, summed up for balancing.
+ *
+ *   npm run playtest -- [--games 1000] [--difficulty normal,hard]
+ *                       [--policy walk,sprint-rest] [--house <seed>]
+ *                       [--tune aggression=1.2,stalkTime=0.8]
+ *                       [--max-time 600] [--json]
+ *
+ * Every bot policy (see bot.js) plays `games` games on each difficulty.
+ * Game n is played with run seed n, so the same bot on the same seed plays
+ * it out the same way again (the bot's moves aren't recorded, so it can't
+ * be watched in the game). For each difficulty and policy it
+ * reports the win rate, the average time to win, and how many hits per game
+ * were taken in each room. Games that run past --max-time seconds are
+ * counted as timed out.
+ *
+ * --tune overrides settings of every difficulty preset (see difficulty.js),
+ * to try a change out before making it.
+ */
+
+const { values: options } = parseArgs({
+  options: {
+    games: { type: 'string', default: '1000' },
+    difficulty: { type: 'string', default: DIFFICULTY_IDS.join(',') },
+    policy: { type: 'string', default: BOT_POLICIES.join(',') },
+    house: { type: 'string' },
+    tune: { type: 'string', default: '' },
+    'max-time': { type: 'string', default: '600' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+const games = Number(options.games);
+const maxTime = Number(options['max-time']);
+const difficulties = options.difficulty.split(',');
+const policies = options.policy.split(',');
+const level = options.house !== undefined ? generateLevel(options.house) : undefined;
+const tuning = Object.fromEntries(options.tune.split(',').filter(Boolean).map(setting => {
+  const [name, value] = setting.split('=');
+  return [name, Number(value)];
+}));
+
+for (const [list, known, what] of [[difficulties, DIFFICULTY_IDS, 'difficulty'], [policies, BOT_POLICIES, 'policy']]) {
+  const unknown = list.find(id => !known.includes(id));
+  if (unknown !== undefined) {
+    console.error(`Unknown ${what} "${unknown}" (try ${known.join(', ')})`);
+    process.exit(1);
+  }
+}
+for (const [name, value] of Object.entries(tuning)) {
+  if (!(name in DIFFICULTIES[DIFFICULTY_IDS[0]]) || Number.isNaN(value)) {
+    console.error(`Can't tune "${name}" to ${value}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Play a batch of games and sum them up.
+ */
+function playtest(difficulty, policy) {
+  const sim = createSimulation({ level, difficulty });
+  sim.setDifficulty({ ...DIFFICULTIES[difficulty], ...tuning });
+  const bot = new Bot(sim, policy);
+
+  const report = { difficulty, policy, games, won: 0, lost: 0, timeout: 0, winRate: 0, averageWinTime: null, hitsPerGame: {} };
+  let winTime = 0;
+  for (const room of sim.rooms) report.hitsPerGame[room.id] = 0;
+
+  for (let n = 0; n < games; n++) {
+    const { outcome, time, hits } = playGame(sim, bot, n, maxTime);
+    report[outcome]++;
+    if (outcome === 'won') winTime += time;
+    for (const room of hits) report.hitsPerGame[room]++;
+  }
+
+  report.winRate = report.won / games;
+  if (report.won > 0) report.averageWinTime = winTime / report.won;
+  for (const room of Object.keys(report.hitsPerGame)) report.hitsPerGame[room] /= games;
+  return report;
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────
+
+const reports = [];
+for (const difficulty of difficulties) {
+  for (const policy of policies) {
+    const report = playtest(difficulty, policy);
+    reports.push(report);
+    if (!options.json) printReport(report);
+  }
+}
+if (options.json) console.log(JSON.stringify(reports, null, 2));
+
+function printReport({ difficulty, policy, games, won, lost, timeout, winRate, averageWinTime, hitsPerGame }) {
+  const winTime = averageWinTime === null ? '-' : `${averageWinTime.toFixed(1)}s`;
+  console.log(`${difficulty} / ${policy} — ${games} games`);
+  console.log(`  won ${(winRate * 100).toFixed(1)}% (${won}), lost ${lost}, timed out ${timeout}, average win ${winTime}`);
+  console.log('  hits per game:');
+  for (const [room, hits] of Object.entries(hitsPerGame)) {
+    console.log(`    ${room.padEnd(16)} ${hits.toFixed(2)}`);
+  }
+  console.log('');
+}